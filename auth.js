@@ -3,8 +3,66 @@
  * 处理用户注册、登录和会话管理
  */
 
+const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
-const { User } = require('./database');
+const { User, LoginAttempt, PasswordResetToken } = require('./database');
+const { sendMail } = require('./mail');
+const { pickDefaultAvatar, buildAvatarUrl } = require('./avatars');
+const logger = require('./logger');
+
+// 连续失败 LOGIN_DELAY_AFTER 次后，每次失败都要等待一段时间（逐次翻倍，最长 LOGIN_MAX_DELAY 秒）才能再试
+const LOGIN_DELAY_AFTER = 3;
+const LOGIN_MAX_DELAY = 60;
+// 连续失败 LOGIN_LOCKOUT_AFTER 次后临时锁定账号
+const LOGIN_LOCKOUT_AFTER = 10;
+const LOGIN_LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+// 同一IP在 IP_FAILURE_WINDOW_MINUTES 分钟内失败 IP_MAX_FAILURES 次后暂时拒绝该IP登录
+const IP_FAILURE_WINDOW_MINUTES = 15;
+const IP_MAX_FAILURES = 30;
+// 密码重置链接的有效期（分钟）
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 30;
+// 个人简介和自定义状态的最大长度
+const MAX_BIO_LENGTH = 200;
+const MAX_STATUS_LENGTH = 50;
+
+/**
+ * 创建登录受限错误（HTTP 429），附带需要等待的秒数
+ * @param {string} message - 错误信息
+ * @param {number} retryAfter - 需要等待的秒数
+ * @returns {Error} 错误对象
+ */
+function createThrottleError(message, retryAfter) {
+    const error = new Error(message);
+    error.status = 429;
+    error.retryAfter = Math.max(1, retryAfter);
+    return error;
+}
+
+/**
+ * 创建参数校验错误（HTTP 400），错误信息可以直接返回给用户
+ * @param {string} message - 错误信息
+ * @returns {Error} 错误对象
+ */
+function createValidationError(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+/**
+ * 计算连续失败后需要等待的秒数
+ * @param {number} failures - 连续失败次数
+ * @returns {number} 等待秒数，0 表示不需要等待
+ */
+function getLoginDelay(failures) {
+    if (failures >= LOGIN_LOCKOUT_AFTER) {
+        return LOGIN_LOCKOUT_MINUTES * 60;
+    }
+    if (failures < LOGIN_DELAY_AFTER) {
+        return 0;
+    }
+    return Math.min(2 ** (failures - LOGIN_DELAY_AFTER), LOGIN_MAX_DELAY);
+}
 
 /**
  * 密码加密
@@ -27,30 +85,48 @@ async function verifyPassword(password, hashedPassword) {
 }
 
 /**
- * 生成默认头像
- * @param {string} nickname - 用户昵称
- * @returns {string} 头像URL
+ * 校验新密码
+ * @param {string} password - 新密码
+ * @throws {Error} 密码不符合要求时抛出
+ */
+function validatePassword(password) {
+    if (typeof password !== 'string' || password.length < 6) {
+        throw createValidationError('密码长度不能少于6个字符');
+    }
+}
+
+/**
+ * 校验昵称
+ * @param {string} nickname - 昵称
+ * @throws {Error} 昵称不符合要求时抛出
  */
-function generateDefaultAvatar(nickname) {
-    // 使用DiceBear API生成头像，基于昵称生成固定头像
-    const colors = ['4f46e5', '7c3aed', 'dc2626', 'ea580c', '16a34a', '0891b2', 'be185d', '9333ea'];
-    const styles = ['avataaars', 'personas', 'micah', 'adventurer'];
-    
-    // 基于昵称的哈希值选择颜色和样式，确保一致性
-    let hash = 0;
-    for (let i = 0; i < nickname.length; i++) {
-        const char = nickname.charCodeAt(i);
-        hash = ((hash << 5) - hash) + char;
-        hash = hash & hash; // 转换为32位整数
+function validateNickname(nickname) {
+    if (typeof nickname !== 'string' || nickname.length < 2 || nickname.length > 20) {
+        throw createValidationError('昵称长度必须在2-20个字符之间');
     }
-    
-    const colorIndex = Math.abs(hash) % colors.length;
-    const styleIndex = Math.abs(hash >> 8) % styles.length;
-    
-    const color = colors[colorIndex];
-    const style = styles[styleIndex];
-    
-    return `https://api.dicebear.com/7.x/${style}/svg?seed=${encodeURIComponent(nickname)}&backgroundColor=${color}`;
+}
+
+/**
+ * 校验邮箱（可以为空）
+ * @param {string} email - 邮箱
+ * @throws {Error} 邮箱格式无效时抛出
+ */
+function validateEmail(email) {
+    if (!email) {
+        return;
+    }
+    if (typeof email !== 'string' || email.length > 100 || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+        throw createValidationError('邮箱格式不正确');
+    }
+}
+
+/**
+ * 计算密码重置令牌的哈希（数据库只保存哈希，泄露后也无法直接使用）
+ * @param {string} token - 令牌
+ * @returns {string} 十六进制哈希
+ */
+function hashResetToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
 }
 
 /**
@@ -76,29 +152,27 @@ async function registerUser(userData) {
         throw new Error('用户名长度必须在3-20个字符之间');
     }
 
-    if (password.length < 6) {
-        throw new Error('密码长度不能少于6个字符');
-    }
-
-    if (nickname.length < 2 || nickname.length > 20) {
-        throw new Error('昵称长度必须在2-20个字符之间');
-    }
+    validatePassword(password);
+    validateNickname(nickname);
+    validateEmail(email);
 
     // 加密密码
     const hashedPassword = await hashPassword(password);
 
-    // 生成默认头像
-    const defaultAvatar = generateDefaultAvatar(nickname);
-
     // 创建用户
     const newUser = await User.create({
         username,
         password: hashedPassword,
         nickname,
         email: email || null,
-        avatar: defaultAvatar
+        avatar: null
     });
 
+    // 默认头像按用户ID生成，需要先创建用户
+    const { style, color } = pickDefaultAvatar(newUser.id);
+    newUser.avatar = buildAvatarUrl(newUser.id, style, color);
+    await User.updateAvatar(newUser.id, newUser.avatar);
+
     return {
         success: true,
         user: {
@@ -113,29 +187,72 @@ async function registerUser(userData) {
 
 /**
  * 用户登录
+ * 记录每次登录尝试；按账号和IP统计失败次数，连续失败后逐步延长等待时间并临时锁定
  * @param {Object} loginData - 登录数据
+ * @param {Object} client - 客户端信息 { ip, userAgent }
  * @returns {Promise<Object>} 登录结果
+ * @throws {Error} 登录受限时 error.status 为 429，error.retryAfter 为需要等待的秒数；
+ *                 本次失败导致账号被锁定时 error.lockedUserId 为被锁定的用户ID
  */
-async function loginUser(loginData) {
+async function loginUser(loginData, client = {}) {
     const { username, password } = loginData;
+    const { ip = '', userAgent = null } = client;
 
     if (!username || !password) {
         throw new Error('用户名和密码不能为空');
     }
 
+    const record = (userId, outcome) => LoginAttempt.create({
+        user_id: userId,
+        username: String(username),
+        ip,
+        user_agent: userAgent,
+        outcome
+    });
+
+    // 同一IP失败过多时不再验证密码
+    const ipFailures = await LoginAttempt.countRecentFailuresByIp(ip, IP_FAILURE_WINDOW_MINUTES);
+    if (ipFailures.count >= IP_MAX_FAILURES) {
+        const retryAfter = Math.ceil((new Date(ipFailures.oldest).getTime() + IP_FAILURE_WINDOW_MINUTES * 60 * 1000 - Date.now()) / 1000);
+        throw createThrottleError(`登录失败次数过多，请 ${Math.ceil(retryAfter / 60)} 分钟后再试`, retryAfter);
+    }
+
     // 查找用户
     const user = await User.findByUsername(username);
     if (!user) {
+        await record(null, 'unknown_user');
         throw new Error('用户名或密码错误');
     }
 
+    // 仍在等待或锁定期内时直接拒绝，不验证密码
+    if (user.locked_until && new Date(user.locked_until) > new Date()) {
+        await record(user.id, 'locked');
+        const retryAfter = Math.ceil((new Date(user.locked_until).getTime() - Date.now()) / 1000);
+        if (user.failed_login_count >= LOGIN_LOCKOUT_AFTER) {
+            throw createThrottleError(`账号因多次登录失败已被临时锁定，请 ${Math.ceil(retryAfter / 60)} 分钟后再试，或在已登录的设备上解除锁定`, retryAfter);
+        }
+        throw createThrottleError(`登录失败次数过多，请 ${retryAfter} 秒后再试`, retryAfter);
+    }
+
     // 验证密码
     const isValidPassword = await verifyPassword(password, user.password);
     if (!isValidPassword) {
-        throw new Error('用户名或密码错误');
+        await record(user.id, 'wrong_password');
+        const failures = await User.recordLoginFailure(user.id);
+        const delay = getLoginDelay(failures);
+        if (delay > 0) {
+            await User.lockUntil(user.id, new Date(Date.now() + delay * 1000));
+        }
+        const error = new Error('用户名或密码错误');
+        if (failures >= LOGIN_LOCKOUT_AFTER) {
+            error.lockedUserId = user.id;
+        }
+        throw error;
     }
 
-    // 更新最后登录时间
+    // 登录成功，清除失败计数并更新最后登录时间
+    await record(user.id, 'success');
+    await User.resetLoginFailures(user.id);
     await User.updateLastLogin(user.id);
 
     return {
@@ -146,10 +263,166 @@ async function loginUser(loginData) {
             nickname: user.nickname,
             email: user.email,
             avatar: user.avatar
+        },
+        sessionVersion: user.session_version
+    };
+}
+
+/**
+ * 更新个人资料（昵称、邮箱、个人简介和自定义状态）
+ * 邮箱用于找回密码，修改邮箱需要验证当前密码，并通知原邮箱
+ * @param {number} userId - 用户ID
+ * @param {Object} profileData - { nickname, email, bio, statusText, currentPassword }
+ * @returns {Promise<Object>} 更新后的用户信息
+ * @throws {Error} 资料不符合要求或当前密码错误时 error.status 为 400
+ */
+async function updateProfile(userId, profileData) {
+    const text = value => (typeof value === 'string' ? value.trim() : '');
+    const nickname = text(profileData.nickname);
+    const email = text(profileData.email);
+    const bio = text(profileData.bio);
+    const statusText = text(profileData.statusText);
+
+    validateNickname(nickname);
+    validateEmail(email);
+    if (bio.length > MAX_BIO_LENGTH) {
+        throw createValidationError(`个人简介不能超过${MAX_BIO_LENGTH}个字符`);
+    }
+    if (statusText.length > MAX_STATUS_LENGTH) {
+        throw createValidationError(`状态不能超过${MAX_STATUS_LENGTH}个字符`);
+    }
+
+    const current = await User.findById(userId);
+    const previousEmail = current.email || null;
+    const emailChanged = (email || null) !== previousEmail;
+    if (emailChanged) {
+        if (!profileData.currentPassword) {
+            throw createValidationError('修改邮箱需要输入当前密码');
+        }
+        const hashedPassword = await User.getPasswordHash(userId);
+        if (!hashedPassword || !(await verifyPassword(String(profileData.currentPassword), hashedPassword))) {
+            throw createValidationError('当前密码错误');
+        }
+    }
+
+    await User.updateProfile(userId, {
+        nickname,
+        email: email || null,
+        bio: bio || null,
+        status_text: statusText || null
+    });
+
+    // 通知原邮箱，账号被他人修改邮箱时本人可以及时发现（资料已保存，发送失败不影响结果）
+    if (emailChanged && previousEmail) {
+        try {
+            await sendMail({
+                to: previousEmail,
+                subject: '聊天室账号邮箱已修改',
+                text: `${current.nickname}，你好：\n\n` +
+                    `账号 ${current.username} 绑定的邮箱已${email ? `修改为 ${email}` : '解除'}，此后找回密码的邮件不会再发送到本邮箱。\n\n` +
+                    '如果这不是你本人的操作，请尽快登录并修改密码，或联系管理员。'
+            });
+        } catch (error) {
+            logger.error(`向用户 ${current.username} 的原邮箱发送通知失败:`, error);
         }
+    }
+
+    const user = await User.findById(userId);
+    return {
+        id: user.id,
+        username: user.username,
+        nickname: user.nickname,
+        email: user.email,
+        avatar: user.avatar,
+        bio: user.bio,
+        status_text: user.status_text
     };
 }
 
+/**
+ * 修改密码（需要验证原密码），修改后其他会话失效
+ * @param {number} userId - 用户ID
+ * @param {string} oldPassword - 原密码
+ * @param {string} newPassword - 新密码
+ * @returns {Promise<number>} 新的会话版本，用于保留当前会话
+ */
+async function changePassword(userId, oldPassword, newPassword) {
+    if (!oldPassword || !newPassword) {
+        throw new Error('原密码和新密码不能为空');
+    }
+    validatePassword(newPassword);
+
+    const hashedPassword = await User.getPasswordHash(userId);
+    if (!hashedPassword || !(await verifyPassword(String(oldPassword), hashedPassword))) {
+        throw new Error('原密码错误');
+    }
+    if (await verifyPassword(newPassword, hashedPassword)) {
+        throw new Error('新密码不能与原密码相同');
+    }
+
+    return await User.updatePassword(userId, await hashPassword(newPassword));
+}
+
+/**
+ * 申请重置密码：向账号绑定的邮箱发送一次性的重置链接
+ * 无论账号是否存在都正常返回，避免通过该接口探测用户名和邮箱
+ * @param {string} account - 用户名或邮箱
+ * @param {string} baseUrl - 重置链接的站点地址
+ */
+async function requestPasswordReset(account, baseUrl) {
+    if (!account || typeof account !== 'string') {
+        throw new Error('请输入用户名或邮箱');
+    }
+    const value = account.trim();
+
+    const byUsername = await User.findByUsername(value);
+    const users = byUsername ? [byUsername] : (value.includes('@') ? await User.findByEmail(value) : []);
+
+    await PasswordResetToken.deleteStale();
+    for (const user of users) {
+        // 没有绑定邮箱的账号无法通过邮件重置
+        if (!user.email) {
+            continue;
+        }
+        const token = crypto.randomBytes(32).toString('hex');
+        await PasswordResetToken.create({
+            user_id: user.id,
+            token_hash: hashResetToken(token),
+            expires_at: new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000)
+        });
+        await sendMail({
+            to: user.email,
+            subject: '重置聊天室密码',
+            text: `${user.nickname}，你好：\n\n` +
+                `我们收到了重置账号 ${user.username} 密码的请求。请在 ${PASSWORD_RESET_TTL_MINUTES} 分钟内打开以下链接设置新密码（链接只能使用一次）：\n\n` +
+                `${baseUrl}/?resetToken=${token}\n\n` +
+                '如果这不是你本人的操作，请忽略这封邮件，你的密码不会被修改。'
+        });
+    }
+}
+
+/**
+ * 使用重置令牌设置新密码，成功后该账号的所有会话失效并解除登录锁定
+ * @param {string} token - 重置令牌
+ * @param {string} newPassword - 新密码
+ * @returns {Promise<number>} 被重置密码的用户ID
+ */
+async function resetPassword(token, newPassword) {
+    if (!token || typeof token !== 'string') {
+        throw new Error('重置链接无效');
+    }
+    validatePassword(newPassword);
+
+    const userId = await PasswordResetToken.consume(hashResetToken(token));
+    if (!userId) {
+        throw new Error('重置链接无效或已过期，请重新申请');
+    }
+
+    await User.updatePassword(userId, await hashPassword(newPassword));
+    await User.resetLoginFailures(userId);
+    return userId;
+}
+
 /**
  * 验证用户会话
  * @param {Object} session - 会话对象
@@ -165,11 +438,20 @@ async function verifySession(session) {
         return null;
     }
 
+    // 修改或重置密码后，之前登录的会话失效
+    if ((session.sessionVersion || 0) !== user.session_version) {
+        return null;
+    }
+
     return {
         id: user.id,
         username: user.username,
         nickname: user.nickname,
-        email: user.email
+        email: user.email,
+        avatar: user.avatar,
+        bio: user.bio,
+        status_text: user.status_text,
+        do_not_disturb: !!user.do_not_disturb
     };
 }
 
@@ -215,6 +497,10 @@ async function requireAuthSocket(socket, next) {
 module.exports = {
     registerUser,
     loginUser,
+    updateProfile,
+    changePassword,
+    requestPasswordReset,
+    resetPassword,
     verifySession,
     requireAuth,
     requireAuthSocket
@@ -0,0 +1,197 @@
+/**
+ * 默认头像生成
+ * 根据用户ID、风格和背景色在本地生成SVG头像，不依赖外部服务，也不会把昵称发送给第三方
+ */
+
+const crypto = require('crypto');
+
+// 可选的头像风格：initials 为昵称首字，identicon 为对称方块图案，rings 为同心圆环
+const AVATAR_STYLES = ['initials', 'identicon', 'rings'];
+
+// 可选的背景颜色
+const AVATAR_COLORS = ['4f46e5', '7c3aed', 'dc2626', 'ea580c', '16a34a', '0891b2', 'be185d', '9333ea'];
+
+// 旧版 DiceBear 头像风格对应的本地风格（用于迁移已保存的头像地址）
+const DICEBEAR_STYLE_MAP = {
+    avataaars: 'initials',
+    personas: 'identicon',
+    micah: 'rings',
+    adventurer: 'identicon'
+};
+
+// 生成的SVG边长
+const SVG_SIZE = 128;
+
+/**
+ * 根据用户ID计算哈希字节，同一用户的图案始终相同
+ * @param {number} userId - 用户ID
+ * @returns {Buffer} 32字节哈希
+ */
+function hashUserId(userId) {
+    return crypto.createHash('sha256').update(`avatar:${userId}`).digest();
+}
+
+/**
+ * 为新用户选择默认风格和颜色
+ * @param {number} userId - 用户ID
+ * @returns {Object} { style, color }
+ */
+function pickDefaultAvatar(userId) {
+    const hash = hashUserId(userId);
+    return { style: 'initials', color: AVATAR_COLORS[hash[0] % AVATAR_COLORS.length] };
+}
+
+/**
+ * 生成头像地址
+ * @param {number} userId - 用户ID
+ * @param {string} style - 风格
+ * @param {string} color - 背景颜色（不含#的六位十六进制）
+ * @returns {string} 头像地址
+ */
+function buildAvatarUrl(userId, style, color) {
+    return `/avatars/${userId}.svg?style=${style}&color=${color}`;
+}
+
+/**
+ * 把 DiceBear 头像地址转换为本地头像地址
+ * @param {number} userId - 用户ID
+ * @param {string} url - 原头像地址
+ * @returns {string|null} 本地头像地址，不是 DiceBear 地址时返回null
+ */
+function convertDiceBearUrl(userId, url) {
+    const match = typeof url === 'string'
+        ? url.match(/^https:\/\/api\.dicebear\.com\/[^/]+\/([a-z-]+)\/svg(?:\?(.*))?$/)
+        : null;
+    if (!match) {
+        return null;
+    }
+    const color = new URLSearchParams(match[2]).get('backgroundColor');
+    return buildAvatarUrl(
+        userId,
+        DICEBEAR_STYLE_MAP[match[1]] || 'initials',
+        AVATAR_COLORS.includes(color) ? color : pickDefaultAvatar(userId).color
+    );
+}
+
+/**
+ * 转义SVG文本中的特殊字符
+ * @param {string} text - 原始文本
+ * @returns {string} 转义后的文本
+ */
+function escapeXml(text) {
+    return text.replace(/[&<>"']/g, char => ({
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        "'": '&apos;'
+    })[char]);
+}
+
+/**
+ * 取昵称的首字：中文等取第一个字，英文取前两个单词的首字母
+ * @param {string} nickname - 昵称
+ * @returns {string} 显示的文字
+ */
+function getInitials(nickname) {
+    const words = String(nickname || '').trim().split(/\s+/).filter(Boolean);
+    if (words.length === 0) {
+        return '?';
+    }
+    // 按码点截取，避免把表情等字符截成半个
+    const first = Array.from(words[0])[0];
+    if (/^[a-z0-9]$/i.test(first) && words.length > 1) {
+        return (first + Array.from(words[1])[0]).toUpperCase();
+    }
+    return first.toUpperCase();
+}
+
+/**
+ * 生成首字头像的图形部分
+ * @param {string} nickname - 昵称
+ * @returns {string} SVG元素
+ */
+function renderInitials(nickname) {
+    const initials = getInitials(nickname);
+    const fontSize = Array.from(initials).length > 1 ? 52 : 60;
+    return `<text x="50%" y="50%" dy=".35em" text-anchor="middle" fill="#ffffff" ` +
+        `font-family="-apple-system, 'PingFang SC', 'Microsoft YaHei', sans-serif" font-size="${fontSize}" ` +
+        `font-weight="600">${escapeXml(initials)}</text>`;
+}
+
+/**
+ * 生成左右对称的5x5方块图案
+ * @param {Buffer} hash - 用户哈希
+ * @returns {string} SVG元素
+ */
+function renderIdenticon(hash) {
+    const cell = 16;
+    const offset = (SVG_SIZE - cell * 5) / 2;
+    const rects = [];
+    for (let row = 0; row < 5; row++) {
+        for (let col = 0; col < 3; col++) {
+            if (hash[row * 3 + col] % 2 === 0) {
+                continue;
+            }
+            const y = offset + row * cell;
+            rects.push(`<rect x="${offset + col * cell}" y="${y}" width="${cell}" height="${cell}"/>`);
+            if (col < 2) {
+                rects.push(`<rect x="${offset + (4 - col) * cell}" y="${y}" width="${cell}" height="${cell}"/>`);
+            }
+        }
+    }
+    return `<g fill="#ffffff">${rects.join('')}</g>`;
+}
+
+/**
+ * 生成同心圆环图案
+ * @param {Buffer} hash - 用户哈希
+ * @returns {string} SVG元素
+ */
+function renderRings(hash) {
+    const center = SVG_SIZE / 2;
+    const rings = [];
+    for (let i = 0; i < 4; i++) {
+        const radius = 52 - i * 13;
+        const opacity = (0.25 + (hash[i] % 4) * 0.2).toFixed(2);
+        // 每个圆环按哈希值留出一段缺口并旋转到不同角度
+        const gap = 20 + hash[i + 4] % 60;
+        const circumference = 2 * Math.PI * radius;
+        const dash = (circumference * (360 - gap) / 360).toFixed(1);
+        const rotate = hash[i + 8] % 360;
+        rings.push(
+            `<circle cx="${center}" cy="${center}" r="${radius}" fill="none" stroke="#ffffff" stroke-width="8" ` +
+            `stroke-opacity="${opacity}" stroke-dasharray="${dash} ${circumference.toFixed(1)}" ` +
+            `transform="rotate(${rotate} ${center} ${center})"/>`
+        );
+    }
+    return rings.join('');
+}
+
+/**
+ * 生成头像SVG
+ * @param {Object} options - { userId, nickname, style, color }
+ * @returns {string} SVG文本
+ */
+function renderAvatarSvg({ userId, nickname, style, color }) {
+    const background = AVATAR_COLORS.includes(color) ? color : pickDefaultAvatar(userId).color;
+    let content;
+    if (style === 'identicon') {
+        content = renderIdenticon(hashUserId(userId));
+    } else if (style === 'rings') {
+        content = renderRings(hashUserId(userId));
+    } else {
+        content = renderInitials(nickname);
+    }
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${SVG_SIZE}" height="${SVG_SIZE}" viewBox="0 0 ${SVG_SIZE} ${SVG_SIZE}">` +
+        `<rect width="${SVG_SIZE}" height="${SVG_SIZE}" fill="#${background}"/>${content}</svg>`;
+}
+
+module.exports = {
+    AVATAR_STYLES,
+    AVATAR_COLORS,
+    pickDefaultAvatar,
+    buildAvatarUrl,
+    convertDiceBearUrl,
+    renderAvatarSvg
+};
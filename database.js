@@ -6,6 +6,7 @@
 require('dotenv').config();
 const mysql = require('mysql2/promise');
 const logger = require('./logger');
+const { convertDiceBearUrl } = require('./avatars');
 
 // 数据库配置
 const dbConfig = {
@@ -25,6 +26,48 @@ const pool = mysql.createPool({
     queueLimit: 0
 });
 
+/**
+ * 为已存在的表补充字段（字段已存在时忽略）
+ * @param {string} table - 表名
+ * @param {string} column - 字段名
+ * @param {string} definition - 字段定义
+ * @returns {Promise<boolean>} 是否新添加了字段
+ */
+async function addColumnIfNotExists(table, column, definition) {
+    try {
+        await pool.execute(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+        return true;
+    } catch (error) {
+        // 字段已存在，忽略错误
+        if (!error.message.includes('Duplicate column name')) {
+            logger.warn(`添加 ${table}.${column} 字段时出现警告:`, error.message);
+        }
+        return false;
+    }
+}
+
+/**
+ * 为已存在的表补充索引（索引已存在时忽略）
+ * @param {string} table - 表名
+ * @param {string} indexName - 索引名
+ * @param {string} columns - 索引字段
+ * @param {Object} options - 索引选项
+ * @param {boolean} options.fulltext - 是否为全文索引
+ * @param {string} options.parser - 全文索引分词器（如 ngram）
+ */
+async function addIndexIfNotExists(table, indexName, columns, { fulltext = false, parser = null } = {}) {
+    try {
+        const kind = fulltext ? 'FULLTEXT INDEX' : 'INDEX';
+        const withParser = parser ? ` WITH PARSER ${parser}` : '';
+        await pool.execute(`ALTER TABLE ${table} ADD ${kind} ${indexName} (${columns})${withParser}`);
+    } catch (error) {
+        // 索引已存在，忽略错误
+        if (!error.message.includes('Duplicate key name')) {
+            logger.warn(`添加 ${table}.${indexName} 索引时出现警告:`, error.message);
+        }
+    }
+}
+
 /**
  * 初始化数据库表结构
  */
@@ -50,8 +93,44 @@ async function initializeDatabase() {
                 nickname VARCHAR(50) NOT NULL,
                 email VARCHAR(100),
                 avatar VARCHAR(255) DEFAULT NULL,
+                bio VARCHAR(200) DEFAULT NULL,
+                status_text VARCHAR(100) DEFAULT NULL,
                 created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                last_login TIMESTAMP NULL
+                last_login TIMESTAMP NULL,
+                last_seen TIMESTAMP NULL,
+                do_not_disturb BOOLEAN NOT NULL DEFAULT FALSE,
+                failed_login_count INT NOT NULL DEFAULT 0,
+                locked_until TIMESTAMP NULL,
+                session_version INT NOT NULL DEFAULT 0
+            )
+        `);
+
+        // 创建密码重置令牌表（只保存令牌的哈希，used_at 不为空表示已使用）
+        await pool.execute(`
+            CREATE TABLE IF NOT EXISTS password_reset_tokens (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                user_id INT NOT NULL,
+                token_hash CHAR(64) NOT NULL UNIQUE,
+                expires_at TIMESTAMP NOT NULL,
+                used_at TIMESTAMP NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+            )
+        `);
+
+        // 创建登录记录表（user_id 为空表示用户名不存在）
+        await pool.execute(`
+            CREATE TABLE IF NOT EXISTS login_attempts (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                user_id INT DEFAULT NULL,
+                username VARCHAR(50) NOT NULL,
+                ip VARCHAR(45) NOT NULL,
+                user_agent VARCHAR(255) DEFAULT NULL,
+                outcome VARCHAR(20) NOT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                INDEX idx_login_user (user_id, created_at),
+                INDEX idx_login_ip (ip, created_at),
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
             )
         `);
 
@@ -64,6 +143,9 @@ async function initializeDatabase() {
                 created_by INT NOT NULL,
                 created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
                 is_public BOOLEAN DEFAULT TRUE,
+                type ENUM('room', 'direct', 'group') NOT NULL DEFAULT 'room',
+                direct_key VARCHAR(255) DEFAULT NULL UNIQUE,
+                archived_at TIMESTAMP NULL,
                 FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE CASCADE
             )
         `);
@@ -75,12 +157,45 @@ async function initializeDatabase() {
                 chatroom_id INT NOT NULL,
                 user_id INT NOT NULL,
                 joined_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                last_read_message_id INT DEFAULT NULL,
+                role ENUM('owner', 'admin', 'member') NOT NULL DEFAULT 'member',
                 FOREIGN KEY (chatroom_id) REFERENCES chatrooms(id) ON DELETE CASCADE,
                 FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
                 UNIQUE KEY unique_member (chatroom_id, user_id)
             )
         `);
 
+        // 创建聊天室封禁表（expires_at 为空表示永久封禁）
+        await pool.execute(`
+            CREATE TABLE IF NOT EXISTS chatroom_bans (
+                chatroom_id INT NOT NULL,
+                user_id INT NOT NULL,
+                banned_by INT NOT NULL,
+                reason VARCHAR(255) DEFAULT NULL,
+                expires_at TIMESTAMP NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (chatroom_id, user_id),
+                FOREIGN KEY (chatroom_id) REFERENCES chatrooms(id) ON DELETE CASCADE,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                FOREIGN KEY (banned_by) REFERENCES users(id) ON DELETE CASCADE
+            )
+        `);
+
+        // 创建聊天室禁言表（expires_at 为空表示永久禁言）
+        await pool.execute(`
+            CREATE TABLE IF NOT EXISTS chatroom_mutes (
+                chatroom_id INT NOT NULL,
+                user_id INT NOT NULL,
+                muted_by INT NOT NULL,
+                expires_at TIMESTAMP NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (chatroom_id, user_id),
+                FOREIGN KEY (chatroom_id) REFERENCES chatrooms(id) ON DELETE CASCADE,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                FOREIGN KEY (muted_by) REFERENCES users(id) ON DELETE CASCADE
+            )
+        `);
+
         // 创建用户聊天室置顶表
         await pool.execute(`
             CREATE TABLE IF NOT EXISTS user_pinned_chatrooms (
@@ -93,6 +208,22 @@ async function initializeDatabase() {
             )
         `);
 
+        // 创建聊天室邀请表
+        await pool.execute(`
+            CREATE TABLE IF NOT EXISTS chatroom_invites (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                chatroom_id INT NOT NULL,
+                code VARCHAR(64) UNIQUE NOT NULL,
+                created_by INT NOT NULL,
+                max_uses INT DEFAULT NULL,
+                uses INT NOT NULL DEFAULT 0,
+                expires_at TIMESTAMP NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (chatroom_id) REFERENCES chatrooms(id) ON DELETE CASCADE,
+                FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE CASCADE
+            )
+        `);
+
         // 创建消息表
         await pool.execute(`
             CREATE TABLE IF NOT EXISTS messages (
@@ -101,23 +232,187 @@ async function initializeDatabase() {
                 user_id INT NOT NULL,
                 content TEXT NOT NULL,
                 image_url VARCHAR(500) DEFAULT NULL,
+                reply_to INT DEFAULT NULL,
+                thread_root_id INT DEFAULT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                edited_at TIMESTAMP NULL,
+                deleted_at TIMESTAMP NULL,
+                deleted_by INT DEFAULT NULL,
+                FOREIGN KEY (chatroom_id) REFERENCES chatrooms(id) ON DELETE CASCADE,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                INDEX idx_chatroom_message (chatroom_id, id),
+                INDEX idx_thread_root (thread_root_id),
+                FULLTEXT INDEX ft_content (content) WITH PARSER ngram
+            )
+        `);
+
+        // 创建消息编辑历史表（保存每次编辑前的内容）
+        await pool.execute(`
+            CREATE TABLE IF NOT EXISTS message_edits (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                message_id INT NOT NULL,
+                previous_content TEXT NOT NULL,
+                edited_by INT NOT NULL,
+                edited_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (message_id) REFERENCES messages(id) ON DELETE CASCADE,
+                FOREIGN KEY (edited_by) REFERENCES users(id) ON DELETE CASCADE
+            )
+        `);
+
+        // 创建消息表情回应表（每个用户对同一消息的同一表情只能回应一次）
+        await pool.execute(`
+            CREATE TABLE IF NOT EXISTS message_reactions (
+                message_id INT NOT NULL,
+                user_id INT NOT NULL,
+                emoji VARCHAR(32) CHARACTER SET utf8mb4 COLLATE utf8mb4_bin NOT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (message_id, user_id, emoji),
+                FOREIGN KEY (message_id) REFERENCES messages(id) ON DELETE CASCADE,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+            )
+        `);
+
+        // 创建附件表（message_id 为空表示已上传但尚未随消息发送）
+        await pool.execute(`
+            CREATE TABLE IF NOT EXISTS attachments (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                uploader_id INT NOT NULL,
+                chatroom_id INT NOT NULL,
+                message_id INT DEFAULT NULL,
+                stored_name VARCHAR(255) NOT NULL,
+                original_name VARCHAR(255) NOT NULL,
+                mime_type VARCHAR(100) NOT NULL,
+                size INT NOT NULL,
+                kind ENUM('file', 'image') NOT NULL DEFAULT 'file',
+                width INT DEFAULT NULL,
+                height INT DEFAULT NULL,
+                thumbnail_name VARCHAR(255) DEFAULT NULL,
                 created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                INDEX idx_attachment_message (message_id),
+                FOREIGN KEY (uploader_id) REFERENCES users(id) ON DELETE CASCADE,
                 FOREIGN KEY (chatroom_id) REFERENCES chatrooms(id) ON DELETE CASCADE,
+                FOREIGN KEY (message_id) REFERENCES messages(id) ON DELETE CASCADE
+            )
+        `);
+
+        // 创建上传文件表（按内容哈希去重，多个附件可以引用同一个文件）
+        // updated_at 在文件被新的上传复用时刷新，清理任务据此判断宽限期
+        await pool.execute(`
+            CREATE TABLE IF NOT EXISTS stored_files (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                name VARCHAR(255) NOT NULL UNIQUE,
+                sha256 CHAR(64) NOT NULL,
+                size BIGINT NOT NULL,
+                owner_id INT DEFAULT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                INDEX idx_stored_sha256 (sha256),
+                FOREIGN KEY (owner_id) REFERENCES users(id) ON DELETE SET NULL
+            )
+        `);
+
+        // 创建用户头像文件表（上传的头像按尺寸保存为多个文件，users.avatar 为默认尺寸的地址）
+        await pool.execute(`
+            CREATE TABLE IF NOT EXISTS user_avatar_files (
+                user_id INT NOT NULL,
+                size INT NOT NULL,
+                file_name VARCHAR(255) NOT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (user_id, size),
+                INDEX idx_avatar_file (file_name),
                 FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
             )
         `);
 
-        // 如果表已存在，添加 image_url 字段（如果不存在）
-        try {
+        // 创建消息提及表（记录消息中@到的用户）
+        await pool.execute(`
+            CREATE TABLE IF NOT EXISTS message_mentions (
+                message_id INT NOT NULL,
+                user_id INT NOT NULL,
+                PRIMARY KEY (message_id, user_id),
+                INDEX idx_mentioned_user (user_id),
+                FOREIGN KEY (message_id) REFERENCES messages(id) ON DELETE CASCADE,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+            )
+        `);
+
+        // 如果表已存在，补充后续版本新增的字段
+        await addColumnIfNotExists('messages', 'image_url', 'VARCHAR(500) DEFAULT NULL');
+        // 登录失败计数和锁定时间（用于防止暴力破解密码）
+        await addColumnIfNotExists('users', 'failed_login_count', 'INT NOT NULL DEFAULT 0');
+        await addColumnIfNotExists('users', 'locked_until', 'TIMESTAMP NULL');
+        // 会话版本：修改或重置密码时加一，版本不一致的会话失效
+        await addColumnIfNotExists('users', 'session_version', 'INT NOT NULL DEFAULT 0');
+        // 个人简介和自定义状态
+        await addColumnIfNotExists('users', 'bio', 'VARCHAR(200) DEFAULT NULL');
+        await addColumnIfNotExists('users', 'status_text', 'VARCHAR(100) DEFAULT NULL');
+        // 在线状态：最后在线时间和免打扰设置
+        await addColumnIfNotExists('users', 'last_seen', 'TIMESTAMP NULL');
+        await addColumnIfNotExists('users', 'do_not_disturb', 'BOOLEAN NOT NULL DEFAULT FALSE');
+        // 会话类型：room 为普通聊天室，direct/group 为私聊和临时群聊
+        await addColumnIfNotExists('chatrooms', 'type', "ENUM('room', 'direct', 'group') NOT NULL DEFAULT 'room'");
+        await addColumnIfNotExists('chatrooms', 'direct_key', 'VARCHAR(255) DEFAULT NULL UNIQUE');
+        // 归档时间：已归档的聊天室只读，默认不在列表中显示
+        await addColumnIfNotExists('chatrooms', 'archived_at', 'TIMESTAMP NULL');
+        await addColumnIfNotExists('messages', 'edited_at', 'TIMESTAMP NULL');
+        await addColumnIfNotExists('messages', 'deleted_at', 'TIMESTAMP NULL');
+        await addColumnIfNotExists('messages', 'deleted_by', 'INT DEFAULT NULL');
+        // 回复关系：reply_to 为直接回复的消息，thread_root_id 为所属话题的根消息
+        await addColumnIfNotExists('messages', 'reply_to', 'INT DEFAULT NULL');
+        await addColumnIfNotExists('messages', 'thread_root_id', 'INT DEFAULT NULL');
+        await addIndexIfNotExists('messages', 'idx_thread_root', 'thread_root_id');
+        // 按聊天室游标分页
+        await addIndexIfNotExists('messages', 'idx_chatroom_message', 'chatroom_id, id');
+        // 消息全文检索，ngram分词器支持中文
+        await addIndexIfNotExists('messages', 'ft_content', 'content', { fulltext: true, parser: 'ngram' });
+        // 阅读位置：升级时把已有成员视为已读到最新消息，避免历史消息全部变成未读
+        if (await addColumnIfNotExists('chatroom_members', 'last_read_message_id', 'INT DEFAULT NULL')) {
             await pool.execute(`
-                ALTER TABLE messages 
-                ADD COLUMN image_url VARCHAR(500) DEFAULT NULL
+                UPDATE chatroom_members cm
+                SET last_read_message_id = (SELECT MAX(m.id) FROM messages m WHERE m.chatroom_id = cm.chatroom_id)
             `);
-        } catch (error) {
-            // 字段已存在，忽略错误
-            if (!error.message.includes('Duplicate column name')) {
-                logger.warn('添加 image_url 字段时出现警告:', error.message);
-            }
+        }
+
+        // 图片附件：记录尺寸和缩略图，file 类型的附件以下载卡片展示
+        await addColumnIfNotExists('attachments', 'kind', "ENUM('file', 'image') NOT NULL DEFAULT 'file'");
+        await addColumnIfNotExists('attachments', 'width', 'INT DEFAULT NULL');
+        await addColumnIfNotExists('attachments', 'height', 'INT DEFAULT NULL');
+        await addColumnIfNotExists('attachments', 'thumbnail_name', 'VARCHAR(255) DEFAULT NULL');
+        // 按文件名提供上传文件时查找对应的附件
+        await addIndexIfNotExists('attachments', 'idx_attachment_stored', 'stored_name');
+        await addIndexIfNotExists('attachments', 'idx_attachment_thumbnail', 'thumbnail_name');
+
+        // 表情回应按二进制比较：utf8mb4_unicode_ci 会把不同的 emoji 视为相同，导致回应被合并或误删
+        const [[emojiColumn]] = await pool.execute(`
+            SELECT COLLATION_NAME FROM information_schema.COLUMNS
+            WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'message_reactions' AND COLUMN_NAME = 'emoji'
+        `);
+        if (emojiColumn && emojiColumn.COLLATION_NAME !== 'utf8mb4_bin') {
+            await pool.execute(
+                'ALTER TABLE message_reactions MODIFY emoji VARCHAR(32) CHARACTER SET utf8mb4 COLLATE utf8mb4_bin NOT NULL'
+            );
+            logger.info('已将 message_reactions.emoji 的排序规则改为 utf8mb4_bin');
+        }
+
+        // 成员角色：升级时把聊天室创建者设为群主
+        if (await addColumnIfNotExists('chatroom_members', 'role', "ENUM('owner', 'admin', 'member') NOT NULL DEFAULT 'member'")) {
+            await pool.execute(`
+                UPDATE chatroom_members cm
+                JOIN chatrooms c ON cm.chatroom_id = c.id AND cm.user_id = c.created_by
+                SET cm.role = 'owner'
+                WHERE c.type = 'room'
+            `);
+        }
+
+        // 默认头像改为本地生成：把保存的 DiceBear 地址替换为本地头像地址
+        const [diceBearUsers] = await pool.execute(
+            "SELECT id, avatar FROM users WHERE avatar LIKE 'https://api.dicebear.com/%'"
+        );
+        for (const user of diceBearUsers) {
+            await pool.execute('UPDATE users SET avatar = ? WHERE id = ?', [convertDiceBearUrl(user.id, user.avatar), user.id]);
+        }
+        if (diceBearUsers.length > 0) {
+            logger.info(`已将 ${diceBearUsers.length} 个 DiceBear 头像迁移为本地生成的头像`);
         }
 
         console.log('数据库初始化完成');
@@ -165,12 +460,69 @@ const User = {
      */
     async findById(id) {
         const [rows] = await pool.execute(
-            'SELECT id, username, nickname, email, avatar, created_at, last_login FROM users WHERE id = ?',
+            'SELECT id, username, nickname, email, avatar, bio, status_text, created_at, last_login, last_seen, do_not_disturb, session_version FROM users WHERE id = ?',
             [id]
         );
         return rows[0] || null;
     },
 
+    /**
+     * 根据邮箱查找用户（邮箱不唯一，可能有多个账号）
+     * @param {string} email - 邮箱
+     * @returns {Promise<Array>} 用户列表
+     */
+    async findByEmail(email) {
+        const [rows] = await pool.execute(
+            'SELECT id, username, nickname, email FROM users WHERE email = ?',
+            [email]
+        );
+        return rows;
+    },
+
+    /**
+     * 更新个人资料
+     * @param {number} id - 用户ID
+     * @param {Object} profile - { nickname, email, bio, status_text }
+     */
+    async updateProfile(id, profile) {
+        const { nickname, email, bio, status_text } = profile;
+        await pool.execute(
+            'UPDATE users SET nickname = ?, email = ?, bio = ?, status_text = ? WHERE id = ?',
+            [nickname, email, bio, status_text, id]
+        );
+    },
+
+    /**
+     * 获取用户的密码哈希
+     * @param {number} id - 用户ID
+     * @returns {Promise<string|null>} 密码哈希
+     */
+    async getPasswordHash(id) {
+        const [rows] = await pool.execute(
+            'SELECT password FROM users WHERE id = ?',
+            [id]
+        );
+        return rows[0] ? rows[0].password : null;
+    },
+
+    /**
+     * 更新密码，同时增加会话版本使已有会话失效
+     * @param {number} id - 用户ID
+     * @param {string} password - 加密后的密码
+     * @returns {Promise<number>} 新的会话版本
+     */
+    async updatePassword(id, password) {
+        await pool.execute(
+            'UPDATE users SET password = ?, session_version = session_version + 1 WHERE id = ?',
+            [password, id]
+        );
+        const [rows] = await pool.execute(
+            'SELECT session_version FROM users WHERE id = ?',
+            [id]
+        );
+        return rows[0] ? rows[0].session_version : 0;
+    },
+
     /**
      * 更新用户最后登录时间
      * @param {number} id - 用户ID
@@ -182,6 +534,32 @@ const User = {
         );
     },
 
+    /**
+     * 更新用户最后在线时间（最后一个连接断开时）
+     * @param {number} id - 用户ID
+     * @returns {Promise<Date>} 记录的时间
+     */
+    async updateLastSeen(id) {
+        const lastSeen = new Date();
+        await pool.execute(
+            'UPDATE users SET last_seen = ? WHERE id = ?',
+            [lastSeen, id]
+        );
+        return lastSeen;
+    },
+
+    /**
+     * 开启或关闭免打扰
+     * @param {number} id - 用户ID
+     * @param {boolean} enabled - 是否开启
+     */
+    async setDoNotDisturb(id, enabled) {
+        await pool.execute(
+            'UPDATE users SET do_not_disturb = ? WHERE id = ?',
+            [enabled, id]
+        );
+    },
+
     /**
      * 更新用户头像
      * @param {number} id - 用户ID
@@ -192,6 +570,160 @@ const User = {
             'UPDATE users SET avatar = ? WHERE id = ?',
             [avatar, id]
         );
+    },
+
+    /**
+     * 记录一次登录失败
+     * @param {number} id - 用户ID
+     * @returns {Promise<number>} 连续失败次数
+     */
+    async recordLoginFailure(id) {
+        await pool.execute(
+            'UPDATE users SET failed_login_count = failed_login_count + 1 WHERE id = ?',
+            [id]
+        );
+        const [rows] = await pool.execute(
+            'SELECT failed_login_count FROM users WHERE id = ?',
+            [id]
+        );
+        return rows[0] ? rows[0].failed_login_count : 0;
+    },
+
+    /**
+     * 设置账号在此之前不能登录
+     * @param {number} id - 用户ID
+     * @param {Date} until - 解除时间
+     */
+    async lockUntil(id, until) {
+        await pool.execute(
+            'UPDATE users SET locked_until = ? WHERE id = ?',
+            [until, id]
+        );
+    },
+
+    /**
+     * 清除登录失败计数和锁定（登录成功或手动解锁时）
+     * @param {number} id - 用户ID
+     */
+    async resetLoginFailures(id) {
+        await pool.execute(
+            'UPDATE users SET failed_login_count = 0, locked_until = NULL WHERE id = ?',
+            [id]
+        );
+    },
+
+    /**
+     * 获取账号的登录锁定状态
+     * @param {number} id - 用户ID
+     * @returns {Promise<Object|null>} { failed_login_count, locked_until }
+     */
+    async getLoginState(id) {
+        const [rows] = await pool.execute(
+            'SELECT failed_login_count, locked_until FROM users WHERE id = ?',
+            [id]
+        );
+        return rows[0] || null;
+    }
+};
+
+/**
+ * 登录记录相关数据库操作
+ */
+const LoginAttempt = {
+    /**
+     * 记录一次登录尝试
+     * @param {Object} attemptData - { user_id, username, ip, user_agent, outcome }
+     */
+    async create(attemptData) {
+        const { user_id, username, ip, user_agent, outcome } = attemptData;
+        await pool.execute(
+            'INSERT INTO login_attempts (user_id, username, ip, user_agent, outcome) VALUES (?, ?, ?, ?, ?)',
+            [user_id, username.slice(0, 50), ip, user_agent ? user_agent.slice(0, 255) : null, outcome]
+        );
+    },
+
+    /**
+     * 统计IP在最近一段时间内的登录失败次数
+     * @param {string} ip - IP地址
+     * @param {number} minutes - 统计时间范围（分钟）
+     * @returns {Promise<Object>} { count, oldest }（oldest 为范围内最早一次失败的时间）
+     */
+    async countRecentFailuresByIp(ip, minutes) {
+        const [rows] = await pool.execute(
+            `SELECT COUNT(*) as count, MIN(created_at) as oldest FROM login_attempts
+             WHERE ip = ? AND outcome IN ('wrong_password', 'unknown_user')
+               AND created_at > DATE_SUB(NOW(), INTERVAL ? MINUTE)`,
+            [ip, minutes]
+        );
+        return { count: rows[0].count, oldest: rows[0].oldest };
+    },
+
+    /**
+     * 获取用户账号的登录记录
+     * @param {number} userId - 用户ID
+     * @param {number} limit - 数量上限
+     * @returns {Promise<Array>} 登录记录（按时间倒序）
+     */
+    async findByUser(userId, limit = 50) {
+        const [rows] = await pool.execute(
+            `SELECT id, ip, user_agent, outcome, created_at FROM login_attempts
+             WHERE user_id = ? ORDER BY id DESC LIMIT ${parseInt(limit)}`,
+            [userId]
+        );
+        return rows;
+    }
+};
+
+/**
+ * 密码重置令牌相关数据库操作
+ */
+const PasswordResetToken = {
+    /**
+     * 创建重置令牌，同时作废该用户之前未使用的令牌
+     * @param {Object} tokenData - { user_id, token_hash, expires_at }
+     */
+    async create(tokenData) {
+        const { user_id, token_hash, expires_at } = tokenData;
+        await pool.execute(
+            'UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP WHERE user_id = ? AND used_at IS NULL',
+            [user_id]
+        );
+        await pool.execute(
+            'INSERT INTO password_reset_tokens (user_id, token_hash, expires_at) VALUES (?, ?, ?)',
+            [user_id, token_hash, expires_at]
+        );
+    },
+
+    /**
+     * 使用令牌：令牌有效时标记为已使用并返回对应的用户ID
+     * 通过带条件的UPDATE保证同一令牌只能成功使用一次
+     * @param {string} tokenHash - 令牌哈希
+     * @returns {Promise<number|null>} 用户ID，令牌无效、过期或已使用时返回null
+     */
+    async consume(tokenHash) {
+        const [rows] = await pool.execute(
+            'SELECT id, user_id FROM password_reset_tokens WHERE token_hash = ? AND used_at IS NULL AND expires_at > NOW()',
+            [tokenHash]
+        );
+        if (!rows[0]) {
+            return null;
+        }
+        const [result] = await pool.execute(
+            'UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP WHERE id = ? AND used_at IS NULL',
+            [rows[0].id]
+        );
+        return result.affectedRows > 0 ? rows[0].user_id : null;
+    },
+
+    /**
+     * 删除过期或已使用超过一天的令牌
+     */
+    async deleteStale() {
+        await pool.execute(
+            `DELETE FROM password_reset_tokens
+             WHERE expires_at < DATE_SUB(NOW(), INTERVAL 1 DAY)
+                OR used_at < DATE_SUB(NOW(), INTERVAL 1 DAY)`
+        );
     }
 };
 
@@ -205,19 +737,24 @@ const Chatroom = {
      * @returns {Promise<Object>} 创建的聊天室信息
      */
     async create(roomData) {
-        const { name, description, created_by, is_public = true } = roomData;
+        const { name, description, created_by, is_public = true, type = 'room', direct_key = null } = roomData;
         const [result] = await pool.execute(
-            'INSERT INTO chatrooms (name, description, created_by, is_public) VALUES (?, ?, ?, ?)',
-            [name, description, created_by, is_public]
+            'INSERT INTO chatrooms (name, description, created_by, is_public, type, direct_key) VALUES (?, ?, ?, ?, ?, ?)',
+            [name, description, created_by, is_public, type, direct_key]
         );
-        return { id: result.insertId, name, description, created_by, is_public };
+        return { id: result.insertId, name, description, created_by, is_public, type, direct_key };
     },
 
     /**
      * 获取所有公开聊天室
+     * @param {number|null} userId - 当前用户ID，用于置顶状态
+     * @param {Object} options - 查询选项
+     * @param {boolean} options.includePrivate - 是否包含该用户已加入的私密聊天室
+     * @param {boolean} options.includeArchived - 是否包含已归档的聊天室
      * @returns {Promise<Array>} 聊天室列表
      */
-    async getAllPublic(userId = null) {
+    async getAllPublic(userId = null, { includePrivate = false, includeArchived = false } = {}) {
+        const withPrivate = includePrivate && userId;
         let query = `
             SELECT c.*, 
                    u.nickname as creator_name, 
@@ -249,7 +786,19 @@ const Chatroom = {
                 FROM messages m
                 JOIN users u ON m.user_id = u.id
             ) last_msg ON c.id = last_msg.chatroom_id AND last_msg.rn = 1
-            WHERE c.is_public = TRUE
+            WHERE c.type = 'room' AND (c.is_public = TRUE`;
+
+        if (withPrivate) {
+            query += ` OR c.id IN (SELECT chatroom_id FROM chatroom_members WHERE user_id = ?)`;
+        }
+
+        query += `)`;
+
+        if (!includeArchived) {
+            query += ` AND c.archived_at IS NULL`;
+        }
+
+        query += `
             GROUP BY c.id, last_msg.user_id, last_msg.nickname, last_msg.created_at`;
         
         if (userId) {
@@ -266,6 +815,9 @@ const Chatroom = {
         query += `COALESCE(last_msg.created_at, c.created_at) DESC`;
 
         const params = userId ? [userId] : [];
+        if (withPrivate) {
+            params.push(userId);
+        }
         const [rows] = await pool.execute(query, params);
         return rows;
     },
@@ -284,15 +836,400 @@ const Chatroom = {
     },
 
     /**
-     * 添加用户到聊天室
-     * @param {number} chatroomId - 聊天室ID
+     * 更新聊天室名称和描述
+     * @param {number} id - 聊天室ID
+     * @param {Object} updates - { name, description }
+     */
+    async update(id, { name, description }) {
+        await pool.execute(
+            'UPDATE chatrooms SET name = ?, description = ? WHERE id = ?',
+            [name, description, id]
+        );
+    },
+
+    /**
+     * 归档或取消归档聊天室
+     * @param {number} id - 聊天室ID
+     * @param {boolean} archived - 是否归档
+     */
+    async setArchived(id, archived) {
+        await pool.execute(
+            `UPDATE chatrooms SET archived_at = ${archived ? 'CURRENT_TIMESTAMP' : 'NULL'} WHERE id = ?`,
+            [id]
+        );
+    },
+
+    /**
+     * 删除聊天室（成员、消息、邀请等通过外键级联删除）
+     * @param {number} id - 聊天室ID
+     */
+    async delete(id) {
+        await pool.execute('DELETE FROM chatrooms WHERE id = ?', [id]);
+    },
+
+    /**
+     * 根据成员组合查找私聊/群聊会话
+     * @param {string} directKey - 排序后的成员ID组合
+     * @returns {Promise<Object|null>} 会话信息
+     */
+    async findByDirectKey(directKey) {
+        const [rows] = await pool.execute(
+            'SELECT * FROM chatrooms WHERE direct_key = ?',
+            [directKey]
+        );
+        return rows[0] || null;
+    },
+
+    /**
+     * 获取用户参与的私聊和群聊会话
+     * @param {number} userId - 用户ID
+     * @returns {Promise<Array>} 会话列表，每项附带participants成员数组
+     */
+    async getConversations(userId) {
+        const [rows] = await pool.execute(`
+            SELECT c.*,
+                   last_msg.content as last_message,
+                   last_msg.nickname as last_reply_user_name,
+                   last_msg.created_at as last_reply_time
+            FROM chatrooms c
+            JOIN chatroom_members me ON me.chatroom_id = c.id AND me.user_id = ?
+            LEFT JOIN (
+                SELECT m.chatroom_id, m.content, u.nickname, m.created_at,
+                       ROW_NUMBER() OVER (PARTITION BY m.chatroom_id ORDER BY m.created_at DESC) as rn
+                FROM messages m
+                JOIN users u ON m.user_id = u.id
+            ) last_msg ON c.id = last_msg.chatroom_id AND last_msg.rn = 1
+            WHERE c.type IN ('direct', 'group')
+            ORDER BY COALESCE(last_msg.created_at, c.created_at) DESC
+        `, [userId]);
+
+        if (rows.length === 0) {
+            return rows;
+        }
+
+        const placeholders = rows.map(() => '?').join(', ');
+        const [members] = await pool.execute(`
+            SELECT cm.chatroom_id, u.id, u.username, u.nickname, u.avatar, u.last_seen
+            FROM chatroom_members cm
+            JOIN users u ON cm.user_id = u.id
+            WHERE cm.chatroom_id IN (${placeholders})
+            ORDER BY cm.joined_at ASC
+        `, rows.map(row => row.id));
+
+        return rows.map(row => ({
+            ...row,
+            participants: members
+                .filter(member => member.chatroom_id === row.id)
+                .map(({ chatroom_id, ...member }) => member)
+        }));
+    },
+
+    /**
+     * 获取用户加入的所有聊天室（包括私聊和群聊）的ID
      * @param {number} userId - 用户ID
+     * @returns {Promise<Array<number>>} 聊天室ID列表
+     */
+    async getMemberChatroomIds(userId) {
+        const [rows] = await pool.execute(
+            'SELECT chatroom_id FROM chatroom_members WHERE user_id = ?',
+            [userId]
+        );
+        return rows.map(row => row.chatroom_id);
+    },
+
+    /**
+     * 获取与用户有私聊或群聊会话的其他用户ID
+     * @param {number} userId - 用户ID
+     * @returns {Promise<Array<number>>} 用户ID列表
+     */
+    async getConversationPartnerIds(userId) {
+        const [rows] = await pool.execute(`
+            SELECT DISTINCT other.user_id
+            FROM chatroom_members me
+            JOIN chatrooms c ON c.id = me.chatroom_id AND c.type IN ('direct', 'group')
+            JOIN chatroom_members other ON other.chatroom_id = me.chatroom_id AND other.user_id <> me.user_id
+            WHERE me.user_id = ?
+        `, [userId]);
+        return rows.map(row => row.user_id);
+    },
+
+    /**
+     * 添加用户到聊天室
+     * @param {number} chatroomId - 聊天室ID
+     * @param {number} userId - 用户ID
+     * @param {string} role - 成员角色（owner/admin/member）
+     */
+    async addMember(chatroomId, userId, role = 'member') {
+        // 新成员从加入时的最新消息开始计算未读
+        await pool.execute(`
+            INSERT IGNORE INTO chatroom_members (chatroom_id, user_id, last_read_message_id, role)
+            VALUES (?, ?, (SELECT MAX(id) FROM messages WHERE chatroom_id = ?), ?)
+        `, [chatroomId, userId, chatroomId, role]);
+    },
+
+    /**
+     * 获取用户在聊天室中的角色
+     * @param {number} chatroomId - 聊天室ID
+     * @param {number} userId - 用户ID
+     * @returns {Promise<string|null>} 角色（owner/admin/member），非成员返回null
+     */
+    async getMemberRole(chatroomId, userId) {
+        const [rows] = await pool.execute(
+            'SELECT role FROM chatroom_members WHERE chatroom_id = ? AND user_id = ?',
+            [chatroomId, userId]
+        );
+        return rows[0] ? rows[0].role : null;
+    },
+
+    /**
+     * 设置成员角色（不能用于设置群主，群主变更使用 transferOwnership）
+     * @param {number} chatroomId - 聊天室ID
+     * @param {number} userId - 用户ID
+     * @param {string} role - admin 或 member
+     * @returns {Promise<boolean>} 是否修改成功
+     */
+    async setMemberRole(chatroomId, userId, role) {
+        const [result] = await pool.execute(
+            "UPDATE chatroom_members SET role = ? WHERE chatroom_id = ? AND user_id = ? AND role <> 'owner'",
+            [role, chatroomId, userId]
+        );
+        return result.affectedRows > 0;
+    },
+
+    /**
+     * 转让群主：原群主降为管理员
+     * @param {number} chatroomId - 聊天室ID
+     * @param {number|null} fromUserId - 原群主ID（群主已退出时为null）
+     * @param {number} toUserId - 新群主ID（必须是成员）
+     * @returns {Promise<boolean>} 是否转让成功
+     */
+    async transferOwnership(chatroomId, fromUserId, toUserId) {
+        const connection = await pool.getConnection();
+        try {
+            await connection.beginTransaction();
+            const [result] = await connection.execute(
+                "UPDATE chatroom_members SET role = 'owner' WHERE chatroom_id = ? AND user_id = ?",
+                [chatroomId, toUserId]
+            );
+            if (result.affectedRows === 0) {
+                await connection.rollback();
+                return false;
+            }
+            if (fromUserId) {
+                await connection.execute(
+                    "UPDATE chatroom_members SET role = 'admin' WHERE chatroom_id = ? AND user_id = ? AND role = 'owner'",
+                    [chatroomId, fromUserId]
+                );
+            }
+            await connection.commit();
+            return true;
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+    },
+
+    /**
+     * 查找群主退出后的继任者：最早加入的管理员，没有管理员时为最早加入的成员
+     * @param {number} chatroomId - 聊天室ID
+     * @returns {Promise<number|null>} 继任者用户ID
+     */
+    async findSuccessor(chatroomId) {
+        const [rows] = await pool.execute(`
+            SELECT user_id FROM chatroom_members
+            WHERE chatroom_id = ? AND role <> 'owner'
+            ORDER BY role = 'admin' DESC, joined_at ASC, id ASC
+            LIMIT 1
+        `, [chatroomId]);
+        return rows[0] ? rows[0].user_id : null;
+    },
+
+    /**
+     * 封禁用户（同时移出聊天室）
+     * @param {Object} banData - 封禁数据
+     */
+    async banMember(banData) {
+        const { chatroom_id, user_id, banned_by, reason = null, expires_at = null } = banData;
+        await pool.execute(
+            'REPLACE INTO chatroom_bans (chatroom_id, user_id, banned_by, reason, expires_at) VALUES (?, ?, ?, ?, ?)',
+            [chatroom_id, user_id, banned_by, reason, expires_at]
+        );
+        await this.removeMember(chatroom_id, user_id);
+    },
+
+    /**
+     * 解除封禁
+     * @param {number} chatroomId - 聊天室ID
+     * @param {number} userId - 用户ID
+     * @returns {Promise<boolean>} 是否存在封禁记录
+     */
+    async unbanMember(chatroomId, userId) {
+        const [result] = await pool.execute(
+            'DELETE FROM chatroom_bans WHERE chatroom_id = ? AND user_id = ?',
+            [chatroomId, userId]
+        );
+        return result.affectedRows > 0;
+    },
+
+    /**
+     * 获取用户在聊天室中仍然有效的封禁
+     * @param {number} chatroomId - 聊天室ID
+     * @param {number} userId - 用户ID
+     * @returns {Promise<Object|null>} 封禁信息
+     */
+    async getActiveBan(chatroomId, userId) {
+        const [rows] = await pool.execute(`
+            SELECT * FROM chatroom_bans
+            WHERE chatroom_id = ? AND user_id = ?
+              AND (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)
+        `, [chatroomId, userId]);
+        return rows[0] || null;
+    },
+
+    /**
+     * 获取聊天室仍然有效的封禁列表
+     * @param {number} chatroomId - 聊天室ID
+     * @returns {Promise<Array>} 封禁列表
+     */
+    async getBans(chatroomId) {
+        const [rows] = await pool.execute(`
+            SELECT b.user_id, u.username, u.nickname, b.reason, b.expires_at, b.created_at,
+                   bu.nickname as banned_by_name
+            FROM chatroom_bans b
+            JOIN users u ON b.user_id = u.id
+            JOIN users bu ON b.banned_by = bu.id
+            WHERE b.chatroom_id = ?
+              AND (b.expires_at IS NULL OR b.expires_at > CURRENT_TIMESTAMP)
+            ORDER BY b.created_at DESC
+        `, [chatroomId]);
+        return rows;
+    },
+
+    /**
+     * 禁言用户
+     * @param {Object} muteData - 禁言数据
      */
-    async addMember(chatroomId, userId) {
+    async muteMember(muteData) {
+        const { chatroom_id, user_id, muted_by, expires_at = null } = muteData;
         await pool.execute(
-            'INSERT IGNORE INTO chatroom_members (chatroom_id, user_id) VALUES (?, ?)',
+            'REPLACE INTO chatroom_mutes (chatroom_id, user_id, muted_by, expires_at) VALUES (?, ?, ?, ?)',
+            [chatroom_id, user_id, muted_by, expires_at]
+        );
+    },
+
+    /**
+     * 解除禁言
+     * @param {number} chatroomId - 聊天室ID
+     * @param {number} userId - 用户ID
+     * @returns {Promise<boolean>} 是否存在禁言记录
+     */
+    async unmuteMember(chatroomId, userId) {
+        const [result] = await pool.execute(
+            'DELETE FROM chatroom_mutes WHERE chatroom_id = ? AND user_id = ?',
+            [chatroomId, userId]
+        );
+        return result.affectedRows > 0;
+    },
+
+    /**
+     * 获取用户在聊天室中仍然有效的禁言
+     * @param {number} chatroomId - 聊天室ID
+     * @param {number} userId - 用户ID
+     * @returns {Promise<Object|null>} 禁言信息
+     */
+    async getActiveMute(chatroomId, userId) {
+        const [rows] = await pool.execute(`
+            SELECT * FROM chatroom_mutes
+            WHERE chatroom_id = ? AND user_id = ?
+              AND (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)
+        `, [chatroomId, userId]);
+        return rows[0] || null;
+    },
+
+    /**
+     * 获取用户在聊天室中的阅读位置
+     * @param {number} chatroomId - 聊天室ID
+     * @param {number} userId - 用户ID
+     * @returns {Promise<number|null>} 最后已读的消息ID
+     */
+    async getLastReadMessageId(chatroomId, userId) {
+        const [rows] = await pool.execute(
+            'SELECT last_read_message_id FROM chatroom_members WHERE chatroom_id = ? AND user_id = ?',
             [chatroomId, userId]
         );
+        return rows[0] ? rows[0].last_read_message_id : null;
+    },
+
+    /**
+     * 更新阅读位置（只会向前推进）
+     * @param {number} chatroomId - 聊天室ID
+     * @param {number} userId - 用户ID
+     * @param {number} messageId - 已读到的消息ID
+     * @returns {Promise<boolean>} 阅读位置是否发生变化
+     */
+    async markRead(chatroomId, userId, messageId) {
+        const [result] = await pool.execute(`
+            UPDATE chatroom_members
+            SET last_read_message_id = ?
+            WHERE chatroom_id = ? AND user_id = ?
+              AND (last_read_message_id IS NULL OR last_read_message_id < ?)
+        `, [messageId, chatroomId, userId, messageId]);
+        return result.affectedRows > 0;
+    },
+
+    /**
+     * 获取用户在已加入的各聊天室中的未读消息数（不含自己发的和已删除的消息）
+     * @param {number} userId - 用户ID
+     * @returns {Promise<Map>} 聊天室ID -> 未读数
+     */
+    async getUnreadCounts(userId) {
+        const [rows] = await pool.execute(`
+            SELECT cm.chatroom_id, COUNT(m.id) as unread_count
+            FROM chatroom_members cm
+            JOIN messages m ON m.chatroom_id = cm.chatroom_id
+                AND m.id > COALESCE(cm.last_read_message_id, 0)
+                AND m.user_id <> cm.user_id
+                AND m.deleted_at IS NULL
+            WHERE cm.user_id = ?
+            GROUP BY cm.chatroom_id
+        `, [userId]);
+        return new Map(rows.map(row => [row.chatroom_id, row.unread_count]));
+    },
+
+    /**
+     * 获取用户在已加入的各聊天室中未读的@提及数（不含自己发的和已删除的消息）
+     * @param {number} userId - 用户ID
+     * @returns {Promise<Map>} 聊天室ID -> 未读提及数
+     */
+    async getUnreadMentionCounts(userId) {
+        const [rows] = await pool.execute(`
+            SELECT cm.chatroom_id, COUNT(m.id) as mention_count
+            FROM chatroom_members cm
+            JOIN messages m ON m.chatroom_id = cm.chatroom_id
+                AND m.id > COALESCE(cm.last_read_message_id, 0)
+                AND m.user_id <> cm.user_id
+                AND m.deleted_at IS NULL
+            JOIN message_mentions mm ON mm.message_id = m.id AND mm.user_id = cm.user_id
+            WHERE cm.user_id = ?
+            GROUP BY cm.chatroom_id
+        `, [userId]);
+        return new Map(rows.map(row => [row.chatroom_id, row.mention_count]));
+    },
+
+    /**
+     * 检查用户是否为聊天室成员
+     * @param {number} chatroomId - 聊天室ID
+     * @param {number} userId - 用户ID
+     * @returns {Promise<boolean>} 是否为成员
+     */
+    async isMember(chatroomId, userId) {
+        const [rows] = await pool.execute(
+            'SELECT 1 FROM chatroom_members WHERE chatroom_id = ? AND user_id = ?',
+            [chatroomId, userId]
+        );
+        return rows.length > 0;
     },
 
     /**
@@ -314,11 +1251,14 @@ const Chatroom = {
      */
     async getMembers(chatroomId) {
         const [rows] = await pool.execute(`
-            SELECT u.id, u.username, u.nickname, cm.joined_at
+            SELECT u.id, u.username, u.nickname, u.bio, u.status_text, u.last_seen, cm.joined_at, cm.role,
+                   mu.user_id IS NOT NULL as is_muted, mu.expires_at as muted_until
             FROM chatroom_members cm
             JOIN users u ON cm.user_id = u.id
+            LEFT JOIN chatroom_mutes mu ON mu.chatroom_id = cm.chatroom_id AND mu.user_id = cm.user_id
+                AND (mu.expires_at IS NULL OR mu.expires_at > CURRENT_TIMESTAMP)
             WHERE cm.chatroom_id = ?
-            ORDER BY cm.joined_at ASC
+            ORDER BY FIELD(cm.role, 'owner', 'admin', 'member'), cm.joined_at ASC
         `, [chatroomId]);
         return rows;
     },
@@ -372,9 +1312,112 @@ const Chatroom = {
             [userId]
         );
         return rows.map(row => row.chatroom_id);
+    },
+
+    /**
+     * 创建聊天室邀请
+     * @param {Object} inviteData - 邀请数据
+     * @returns {Promise<Object>} 创建的邀请信息
+     */
+    async createInvite(inviteData) {
+        const { chatroom_id, code, created_by, max_uses = null, expires_at = null } = inviteData;
+        const [result] = await pool.execute(
+            'INSERT INTO chatroom_invites (chatroom_id, code, created_by, max_uses, expires_at) VALUES (?, ?, ?, ?, ?)',
+            [chatroom_id, code, created_by, max_uses, expires_at]
+        );
+        return { id: result.insertId, chatroom_id, code, created_by, max_uses, expires_at };
+    },
+
+    /**
+     * 根据邀请码查找仍然有效的邀请
+     * @param {string} code - 邀请码
+     * @returns {Promise<Object|null>} 邀请信息
+     */
+    async findValidInvite(code) {
+        const [rows] = await pool.execute(`
+            SELECT * FROM chatroom_invites
+            WHERE code = ?
+              AND (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)
+              AND (max_uses IS NULL OR uses < max_uses)
+        `, [code]);
+        return rows[0] || null;
+    },
+
+    /**
+     * 使用邀请（增加使用次数）
+     * @param {number} inviteId - 邀请ID
+     * @returns {Promise<boolean>} 邀请是否仍可用并已计数
+     */
+    async consumeInvite(inviteId) {
+        const [result] = await pool.execute(`
+            UPDATE chatroom_invites SET uses = uses + 1
+            WHERE id = ?
+              AND (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)
+              AND (max_uses IS NULL OR uses < max_uses)
+        `, [inviteId]);
+        return result.affectedRows > 0;
     }
 };
 
+/**
+ * 将已删除的消息转换为墓碑（清除内容，只保留元数据）
+ * @param {Object} message - 消息记录
+ * @returns {Object} 处理后的消息
+ */
+function toTombstone(message) {
+    let result = message;
+    if (message.reply_deleted_at) {
+        result = { ...result, reply_content: '', reply_image_url: null };
+    }
+    if (message.deleted_at) {
+        result = {
+            ...result,
+            content: '',
+            image_url: null,
+            image_width: null,
+            image_height: null,
+            thumbnail_name: null,
+            attachment_id: null,
+            attachment_name: null,
+            attachment_size: null,
+            attachment_mime: null
+        };
+    }
+    return result;
+}
+
+/**
+ * 为消息列表附加表情回应汇总（reactions 字段）和被提及的用户（mentions 字段）
+ * @param {Array} messages - 消息列表
+ * @returns {Promise<Array>} 附加回应和提及后的消息列表
+ */
+async function attachReactions(messages) {
+    const messageIds = messages.map(message => message.id);
+    const summaries = await Message.getReactionSummaries(messageIds);
+    const mentions = await Message.getMentions(messageIds);
+    return messages.map(message => ({
+        ...message,
+        reactions: message.deleted_at ? [] : (summaries.get(message.id) || []),
+        mentions: message.deleted_at ? [] : (mentions.get(message.id) || [])
+    }));
+}
+
+// 查询消息时附带的作者信息、被回复消息摘要、图片尺寸和缩略图、附件信息和话题回复数
+const MESSAGE_COLUMNS = `
+    m.*, u.nickname, u.username, u.avatar,
+    r.content as reply_content, r.image_url as reply_image_url, r.deleted_at as reply_deleted_at,
+    ru.nickname as reply_nickname,
+    i.width as image_width, i.height as image_height, i.thumbnail_name,
+    a.id as attachment_id, a.original_name as attachment_name, a.size as attachment_size, a.mime_type as attachment_mime,
+    (SELECT COUNT(*) FROM messages t WHERE t.thread_root_id = m.id AND t.deleted_at IS NULL) as reply_count`;
+
+const MESSAGE_JOINS = `
+    JOIN users u ON m.user_id = u.id
+    LEFT JOIN messages r ON m.reply_to = r.id
+    LEFT JOIN users ru ON r.user_id = ru.id
+    LEFT JOIN attachments i ON i.message_id = m.id AND i.kind = 'image'
+    LEFT JOIN attachments a ON a.message_id = m.id AND a.kind = 'file'`;
+
 /**
  * 消息相关数据库操作
  */
@@ -385,12 +1428,12 @@ const Message = {
      * @returns {Promise<Object>} 保存的消息信息
      */
     async create(messageData) {
-        const { chatroom_id, user_id, content, image_url } = messageData;
+        const { chatroom_id, user_id, content, image_url, reply_to = null, thread_root_id = null } = messageData;
         const [result] = await pool.execute(
-            'INSERT INTO messages (chatroom_id, user_id, content, image_url) VALUES (?, ?, ?, ?)',
-            [chatroom_id, user_id, content || '', image_url || null]
+            'INSERT INTO messages (chatroom_id, user_id, content, image_url, reply_to, thread_root_id) VALUES (?, ?, ?, ?, ?, ?)',
+            [chatroom_id, user_id, content || '', image_url || null, reply_to, thread_root_id]
         );
-        return { id: result.insertId, chatroom_id, user_id, content, image_url };
+        return { id: result.insertId, chatroom_id, user_id, content, image_url, reply_to, thread_root_id };
     },
 
     /**
@@ -400,23 +1443,699 @@ const Message = {
      * @returns {Promise<Array>} 消息列表
      */
     async getByChatroom(chatroomId, limit = 100) {
-        // 确保chatroomId和limit都是数字，防止SQL注入
+        const { messages } = await this.getPage(chatroomId, { limit });
+        return messages;
+    },
+
+    /**
+     * 按消息ID游标分页获取聊天室消息
+     * 不传游标时返回最新的一页；before 向前翻页（更早的消息），after 向后翻页（更新的消息）
+     * @param {number} chatroomId - 聊天室ID
+     * @param {Object} options - 分页选项
+     * @param {number} [options.before] - 只返回ID小于该值的消息
+     * @param {number} [options.after] - 只返回ID大于该值的消息
+     * @param {number} [options.limit=50] - 每页数量
+     * @returns {Promise<Object>} { messages: 按时间正序的消息列表, hasMore: 该方向上是否还有更多 }
+     */
+    async getPage(chatroomId, { before = null, after = null, limit = 50 } = {}) {
+        // 确保chatroomId、游标和limit都是数字，防止SQL注入
         const safeChatroomId = parseInt(chatroomId, 10);
         if (isNaN(safeChatroomId) || safeChatroomId <= 0) {
             throw new Error('无效的聊天室ID');
         }
-        const safeLimit = Math.min(Math.max(parseInt(limit, 10) || 100, 1), 500);
-        // 使用字符串模板拼接LIMIT，因为已经验证为安全整数
+        const safeLimit = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 500);
+        const safeBefore = parseInt(before, 10);
+        const safeAfter = parseInt(after, 10);
+
+        const conditions = ['m.chatroom_id = ?'];
+        const params = [safeChatroomId];
+        if (!isNaN(safeBefore)) {
+            conditions.push('m.id < ?');
+            params.push(safeBefore);
+        }
+        if (!isNaN(safeAfter)) {
+            conditions.push('m.id > ?');
+            params.push(safeAfter);
+        }
+        // 只有 after 时从游标处向后取，其余情况从最新处向前取
+        const forward = !isNaN(safeAfter) && isNaN(safeBefore);
+
+        // 多取一条用于判断是否还有更多；LIMIT使用字符串模板拼接，因为已经验证为安全整数
         const query = `
-            SELECT m.*, u.nickname, u.username, u.avatar
+            SELECT ${MESSAGE_COLUMNS}
             FROM messages m
-            JOIN users u ON m.user_id = u.id
-            WHERE m.chatroom_id = ?
-            ORDER BY m.created_at DESC
-            LIMIT ${safeLimit}
+            ${MESSAGE_JOINS}
+            WHERE ${conditions.join(' AND ')}
+            ORDER BY m.id ${forward ? 'ASC' : 'DESC'}
+            LIMIT ${safeLimit + 1}
         `;
-        const [rows] = await pool.execute(query, [safeChatroomId]);
-        return rows.reverse(); // 按时间正序返回
+        const [rows] = await pool.execute(query, params);
+
+        const hasMore = rows.length > safeLimit;
+        const pageRows = rows.slice(0, safeLimit);
+        if (!forward) {
+            pageRows.reverse(); // 按时间正序返回
+        }
+        const messages = await attachReactions(pageRows.map(toTombstone));
+        return { messages, hasMore };
+    },
+
+    /**
+     * 根据ID获取消息
+     * @param {number} id - 消息ID
+     * @returns {Promise<Object|null>} 消息信息
+     */
+    async findById(id) {
+        const [rows] = await pool.execute(
+            'SELECT * FROM messages WHERE id = ?',
+            [id]
+        );
+        return rows[0] || null;
+    },
+
+    /**
+     * 编辑消息内容，编辑前的内容写入编辑历史
+     * @param {number} id - 消息ID
+     * @param {string} content - 新内容
+     * @param {number} editorId - 编辑者ID
+     * @returns {Promise<boolean>} 是否编辑成功（已删除的消息不能编辑）
+     */
+    async updateContent(id, content, editorId) {
+        const connection = await pool.getConnection();
+        try {
+            await connection.beginTransaction();
+            const [rows] = await connection.execute(
+                'SELECT content FROM messages WHERE id = ? AND deleted_at IS NULL FOR UPDATE',
+                [id]
+            );
+            if (rows.length === 0) {
+                await connection.rollback();
+                return false;
+            }
+            await connection.execute(
+                'INSERT INTO message_edits (message_id, previous_content, edited_by) VALUES (?, ?, ?)',
+                [id, rows[0].content, editorId]
+            );
+            await connection.execute(
+                'UPDATE messages SET content = ?, edited_at = CURRENT_TIMESTAMP WHERE id = ?',
+                [content, id]
+            );
+            await connection.commit();
+            return true;
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+    },
+
+    /**
+     * 删除消息（保留记录作为墓碑，历史中只显示"已删除"）
+     * @param {number} id - 消息ID
+     * @param {number} deletedBy - 执行删除的用户ID
+     * @returns {Promise<boolean>} 是否删除成功
+     */
+    async softDelete(id, deletedBy) {
+        const [result] = await pool.execute(
+            'UPDATE messages SET deleted_at = CURRENT_TIMESTAMP, deleted_by = ? WHERE id = ? AND deleted_at IS NULL',
+            [deletedBy, id]
+        );
+        return result.affectedRows > 0;
+    },
+
+    /**
+     * 搜索用户有权访问的消息（公开聊天室和已加入的聊天室、私聊）
+     * @param {number} userId - 搜索者ID
+     * @param {Object} match - 关键词匹配条件 { sql, params }，为空时不按内容过滤
+     * @param {Object} filters - 过滤条件
+     * @param {number} [filters.chatroomId] - 聊天室ID
+     * @param {number} [filters.authorId] - 发送者ID
+     * @param {Date} [filters.from] - 起始时间（含）
+     * @param {Date} [filters.to] - 结束时间（不含）
+     * @param {boolean} [filters.hasImage] - 只搜索带图片的消息
+     * @param {number} [filters.before] - 分页游标，只返回ID小于该值的消息
+     * @param {number} [filters.limit=20] - 返回数量
+     * @returns {Promise<Object>} { messages, hasMore }
+     */
+    async search(userId, match, filters = {}) {
+        const { chatroomId, authorId, from, to, hasImage, before } = filters;
+        const safeLimit = Math.min(Math.max(parseInt(filters.limit, 10) || 20, 1), 100);
+
+        // 可见范围与 checkChatroomAccess 一致：公开聊天室或已加入的聊天室，且未被封禁
+        const conditions = [
+            'm.deleted_at IS NULL',
+            '(c.is_public = TRUE OR c.id IN (SELECT chatroom_id FROM chatroom_members WHERE user_id = ?))',
+            `NOT EXISTS (
+                SELECT 1 FROM chatroom_bans b
+                WHERE b.chatroom_id = m.chatroom_id AND b.user_id = ?
+                  AND (b.expires_at IS NULL OR b.expires_at > CURRENT_TIMESTAMP)
+            )`
+        ];
+        const params = [userId, userId];
+
+        if (match) {
+            conditions.push(`(${match.sql})`);
+            params.push(...match.params);
+        }
+        if (chatroomId) {
+            conditions.push('m.chatroom_id = ?');
+            params.push(chatroomId);
+        }
+        if (authorId) {
+            conditions.push('m.user_id = ?');
+            params.push(authorId);
+        }
+        if (from) {
+            conditions.push('m.created_at >= ?');
+            params.push(from);
+        }
+        if (to) {
+            conditions.push('m.created_at < ?');
+            params.push(to);
+        }
+        if (hasImage) {
+            conditions.push('m.image_url IS NOT NULL');
+        }
+        if (before) {
+            conditions.push('m.id < ?');
+            params.push(before);
+        }
+
+        // LIMIT使用字符串模板拼接，因为已经验证为安全整数
+        const [rows] = await pool.execute(`
+            SELECT m.id, m.chatroom_id, m.user_id, m.content, m.image_url, m.created_at,
+                   u.nickname, u.username, u.avatar,
+                   c.name as chatroom_name, c.type as chatroom_type
+            FROM messages m
+            JOIN users u ON m.user_id = u.id
+            JOIN chatrooms c ON m.chatroom_id = c.id
+            WHERE ${conditions.join(' AND ')}
+            ORDER BY m.id DESC
+            LIMIT ${safeLimit + 1}
+        `, params);
+
+        return { messages: rows.slice(0, safeLimit), hasMore: rows.length > safeLimit };
+    },
+
+    /**
+     * 获取话题：根消息及其全部回复
+     * @param {number} rootId - 根消息ID
+     * @returns {Promise<Array>} 话题消息列表（根消息在前，按时间正序）
+     */
+    async getThread(rootId) {
+        const [rows] = await pool.execute(`
+            SELECT ${MESSAGE_COLUMNS}
+            FROM messages m
+            ${MESSAGE_JOINS}
+            WHERE m.id = ? OR m.thread_root_id = ?
+            ORDER BY m.id ASC
+        `, [rootId, rootId]);
+        return attachReactions(rows.map(toTombstone));
+    },
+
+    /**
+     * 统计话题的有效回复数
+     * @param {number} rootId - 根消息ID
+     * @returns {Promise<number>} 回复数
+     */
+    async countThreadReplies(rootId) {
+        const [rows] = await pool.execute(
+            'SELECT COUNT(*) as count FROM messages WHERE thread_root_id = ? AND deleted_at IS NULL',
+            [rootId]
+        );
+        return rows[0].count;
+    },
+
+    /**
+     * 添加表情回应
+     * @param {number} messageId - 消息ID
+     * @param {number} userId - 用户ID
+     * @param {string} emoji - 表情
+     */
+    async addReaction(messageId, userId, emoji) {
+        await pool.execute(
+            'INSERT IGNORE INTO message_reactions (message_id, user_id, emoji) VALUES (?, ?, ?)',
+            [messageId, userId, emoji]
+        );
+    },
+
+    /**
+     * 取消表情回应
+     * @param {number} messageId - 消息ID
+     * @param {number} userId - 用户ID
+     * @param {string} emoji - 表情
+     */
+    async removeReaction(messageId, userId, emoji) {
+        await pool.execute(
+            'DELETE FROM message_reactions WHERE message_id = ? AND user_id = ? AND emoji = ?',
+            [messageId, userId, emoji]
+        );
+    },
+
+    /**
+     * 获取多条消息的表情回应汇总
+     * @param {Array<number>} messageIds - 消息ID列表
+     * @returns {Promise<Map>} 消息ID -> [{ emoji, count, userIds }]
+     */
+    async getReactionSummaries(messageIds) {
+        const summaries = new Map();
+        if (messageIds.length === 0) {
+            return summaries;
+        }
+
+        const placeholders = messageIds.map(() => '?').join(', ');
+        const [rows] = await pool.execute(`
+            SELECT message_id, emoji, COUNT(*) as count,
+                   GROUP_CONCAT(user_id ORDER BY created_at) as user_ids,
+                   MIN(created_at) as first_at
+            FROM message_reactions
+            WHERE message_id IN (${placeholders})
+            GROUP BY message_id, emoji
+            ORDER BY first_at ASC
+        `, messageIds);
+
+        rows.forEach(row => {
+            if (!summaries.has(row.message_id)) {
+                summaries.set(row.message_id, []);
+            }
+            summaries.get(row.message_id).push({
+                emoji: row.emoji,
+                count: row.count,
+                userIds: row.user_ids.split(',').map(Number)
+            });
+        });
+        return summaries;
+    },
+
+    /**
+     * 设置消息提及的用户（编辑消息时整体替换）
+     * @param {number} messageId - 消息ID
+     * @param {Array<number>} userIds - 被提及的用户ID列表
+     * @returns {Promise<Array<number>>} 新增的被提及用户ID（用于只通知新提及的人）
+     */
+    async setMentions(messageId, userIds) {
+        const [rows] = await pool.execute(
+            'SELECT user_id FROM message_mentions WHERE message_id = ?',
+            [messageId]
+        );
+        const existing = new Set(rows.map(row => row.user_id));
+        const added = userIds.filter(userId => !existing.has(userId));
+        const removed = [...existing].filter(userId => !userIds.includes(userId));
+
+        if (removed.length > 0) {
+            const placeholders = removed.map(() => '?').join(', ');
+            await pool.execute(
+                `DELETE FROM message_mentions WHERE message_id = ? AND user_id IN (${placeholders})`,
+                [messageId, ...removed]
+            );
+        }
+        if (added.length > 0) {
+            const placeholders = added.map(() => '(?, ?)').join(', ');
+            await pool.execute(
+                `INSERT IGNORE INTO message_mentions (message_id, user_id) VALUES ${placeholders}`,
+                added.flatMap(userId => [messageId, userId])
+            );
+        }
+        return added;
+    },
+
+    /**
+     * 获取多条消息提及的用户
+     * @param {Array<number>} messageIds - 消息ID列表
+     * @returns {Promise<Map>} 消息ID -> [{ userId, username, nickname }]
+     */
+    async getMentions(messageIds) {
+        const mentions = new Map();
+        if (messageIds.length === 0) {
+            return mentions;
+        }
+
+        const placeholders = messageIds.map(() => '?').join(', ');
+        const [rows] = await pool.execute(`
+            SELECT mm.message_id, u.id as user_id, u.username, u.nickname
+            FROM message_mentions mm
+            JOIN users u ON mm.user_id = u.id
+            WHERE mm.message_id IN (${placeholders})
+        `, messageIds);
+
+        rows.forEach(row => {
+            if (!mentions.has(row.message_id)) {
+                mentions.set(row.message_id, []);
+            }
+            mentions.get(row.message_id).push({
+                userId: row.user_id,
+                username: row.username,
+                nickname: row.nickname
+            });
+        });
+        return mentions;
+    },
+
+    /**
+     * 获取消息的编辑历史
+     * @param {number} messageId - 消息ID
+     * @returns {Promise<Array>} 编辑历史（按时间正序）
+     */
+    async getEditHistory(messageId) {
+        const [rows] = await pool.execute(`
+            SELECT e.id, e.previous_content, e.edited_at, u.nickname as editor_name
+            FROM message_edits e
+            JOIN users u ON e.edited_by = u.id
+            WHERE e.message_id = ?
+            ORDER BY e.edited_at ASC, e.id ASC
+        `, [messageId]);
+        return rows;
+    }
+};
+
+/**
+ * 附件相关数据库操作
+ */
+const Attachment = {
+    /**
+     * 保存附件记录
+     * @param {Object} attachmentData - 附件数据
+     * @returns {Promise<Object>} 保存的附件信息
+     */
+    async create(attachmentData) {
+        const { uploader_id, chatroom_id, stored_name, original_name, mime_type, size } = attachmentData;
+        const { kind = 'file', width = null, height = null, thumbnail_name = null } = attachmentData;
+        const [result] = await pool.execute(
+            `INSERT INTO attachments (uploader_id, chatroom_id, stored_name, original_name, mime_type, size, kind, width, height, thumbnail_name)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [uploader_id, chatroom_id, stored_name, original_name, mime_type, size, kind, width, height, thumbnail_name]
+        );
+        return {
+            id: result.insertId, uploader_id, chatroom_id, message_id: null,
+            stored_name, original_name, mime_type, size, kind, width, height, thumbnail_name
+        };
+    },
+
+    /**
+     * 根据ID获取附件（message_deleted_at 为所属消息的删除时间）
+     * @param {number} id - 附件ID
+     * @returns {Promise<Object|null>} 附件信息
+     */
+    async findById(id) {
+        const [rows] = await pool.execute(
+            `SELECT a.*, m.deleted_at as message_deleted_at
+             FROM attachments a
+             LEFT JOIN messages m ON a.message_id = m.id
+             WHERE a.id = ?`,
+            [id]
+        );
+        return rows[0] || null;
+    },
+
+    /**
+     * 获取消息关联的附件
+     * @param {number} messageId - 消息ID
+     * @returns {Promise<Object|null>} 附件信息
+     */
+    async findByMessageId(messageId) {
+        const [rows] = await pool.execute(
+            "SELECT * FROM attachments WHERE message_id = ? AND kind = 'file'",
+            [messageId]
+        );
+        return rows[0] || null;
+    },
+
+    /**
+     * 获取用户在聊天室上传且尚未发送的图片
+     * 相同内容的图片共用一个文件，需要按上传者和聊天室区分
+     * @param {string} storedName - 存储文件名
+     * @param {number} uploaderId - 上传者ID
+     * @param {number} chatroomId - 聊天室ID
+     * @returns {Promise<Object|null>} 附件信息
+     */
+    async findUnsentImage(storedName, uploaderId, chatroomId) {
+        const [rows] = await pool.execute(
+            `SELECT * FROM attachments
+             WHERE stored_name = ? AND uploader_id = ? AND chatroom_id = ? AND kind = 'image' AND message_id IS NULL
+             ORDER BY id DESC LIMIT 1`,
+            [storedName, uploaderId, chatroomId]
+        );
+        return rows[0] || null;
+    },
+
+    /**
+     * 根据上传目录中的文件名查找引用该文件的所有附件（原图或缩略图）
+     * 相同内容的文件只存储一份，可能被多个聊天室的附件引用；
+     * 图片处理上线前上传的图片没有附件记录，按消息的 image_url 查找
+     * @param {string} fileName - 文件名
+     * @returns {Promise<Array>} 附件列表（message_deleted_at 为所属消息的删除时间）
+     */
+    async findAllByFileName(fileName) {
+        const [rows] = await pool.execute(
+            `SELECT a.*, m.deleted_at as message_deleted_at
+             FROM attachments a
+             LEFT JOIN messages m ON a.message_id = m.id
+             WHERE a.stored_name = ? OR a.thumbnail_name = ?`,
+            [fileName, fileName]
+        );
+        if (rows.length > 0) {
+            return rows;
+        }
+
+        const [legacy] = await pool.execute(
+            `SELECT id as message_id, chatroom_id, user_id as uploader_id, deleted_at as message_deleted_at
+             FROM messages WHERE image_url = ?`,
+            [`/uploads/${fileName}`]
+        );
+        return legacy.map(row => ({ ...row, kind: 'image', stored_name: fileName }));
+    },
+
+    /**
+     * 将附件关联到消息（只能关联自己上传且尚未发送的附件）
+     * @param {number} id - 附件ID
+     * @param {number} messageId - 消息ID
+     * @param {number} uploaderId - 上传者ID
+     * @returns {Promise<boolean>} 是否关联成功
+     */
+    async attachToMessage(id, messageId, uploaderId) {
+        const [result] = await pool.execute(
+            'UPDATE attachments SET message_id = ? WHERE id = ? AND uploader_id = ? AND message_id IS NULL',
+            [messageId, id, uploaderId]
+        );
+        return result.affectedRows > 0;
+    },
+
+    /**
+     * 删除自己上传且尚未发送的附件（文件由清理任务回收）
+     * @param {number} id - 附件ID
+     * @param {number} uploaderId - 上传者ID
+     * @returns {Promise<boolean>} 是否删除成功
+     */
+    async deleteUnsent(id, uploaderId) {
+        const [result] = await pool.execute(
+            'DELETE FROM attachments WHERE id = ? AND uploader_id = ? AND message_id IS NULL',
+            [id, uploaderId]
+        );
+        return result.affectedRows > 0;
+    },
+
+    /**
+     * 删除上传后超过宽限期仍未发送的附件
+     * @param {number} graceHours - 宽限期（小时）
+     * @returns {Promise<number>} 删除的数量
+     */
+    async deleteExpiredUnsent(graceHours) {
+        const [result] = await pool.execute(
+            'DELETE FROM attachments WHERE message_id IS NULL AND created_at < DATE_SUB(NOW(), INTERVAL ? HOUR)',
+            [graceHours]
+        );
+        return result.affectedRows;
+    },
+
+    /**
+     * 统计用户上传占用的空间（包括尚未发送的附件，同一文件被多次上传时按次数计算）
+     * @param {number} userId - 用户ID
+     * @returns {Promise<number>} 字节数
+     */
+    async getUserUsage(userId) {
+        const [rows] = await pool.execute(
+            'SELECT COALESCE(SUM(size), 0) as total FROM attachments WHERE uploader_id = ?',
+            [userId]
+        );
+        return Number(rows[0].total);
+    },
+
+    /**
+     * 统计聊天室中的附件占用的空间
+     * @param {number} chatroomId - 聊天室ID
+     * @returns {Promise<number>} 字节数
+     */
+    async getRoomUsage(chatroomId) {
+        const [rows] = await pool.execute(
+            'SELECT COALESCE(SUM(size), 0) as total FROM attachments WHERE chatroom_id = ?',
+            [chatroomId]
+        );
+        return Number(rows[0].total);
+    }
+};
+
+/**
+ * 上传文件存储记录相关数据库操作
+ */
+const StoredFile = {
+    /**
+     * 记录新存储的文件
+     * @param {Object} fileData - { name, sha256, size, owner_id }
+     * @returns {Promise<Object>} 文件记录
+     */
+    async create(fileData) {
+        const { name, sha256, size, owner_id } = fileData;
+        const [result] = await pool.execute(
+            'INSERT INTO stored_files (name, sha256, size, owner_id) VALUES (?, ?, ?, ?)',
+            [name, sha256, size, owner_id]
+        );
+        return { id: result.insertId, name, sha256, size, owner_id };
+    },
+
+    /**
+     * 根据内容哈希查找文件
+     * @param {string} sha256 - SHA-256 十六进制哈希
+     * @returns {Promise<Object|null>} 文件记录
+     */
+    async findByHash(sha256) {
+        const [rows] = await pool.execute(
+            'SELECT * FROM stored_files WHERE sha256 = ? ORDER BY id LIMIT 1',
+            [sha256]
+        );
+        return rows[0] || null;
+    },
+
+    /**
+     * 获取已记录的文件名集合
+     * @param {Array<string>} names - 文件名列表
+     * @returns {Promise<Set<string>>} 其中已有记录的文件名
+     */
+    async findExistingNames(names) {
+        if (names.length === 0) {
+            return new Set();
+        }
+        const placeholders = names.map(() => '?').join(', ');
+        const [rows] = await pool.execute(
+            `SELECT name FROM stored_files WHERE name IN (${placeholders})`,
+            names
+        );
+        return new Set(rows.map(row => row.name));
+    },
+
+    /**
+     * 刷新文件的使用时间，避免刚被复用的文件被清理
+     * @param {number} id - 文件记录ID
+     */
+    async touch(id) {
+        await pool.execute('UPDATE stored_files SET updated_at = NOW() WHERE id = ?', [id]);
+    },
+
+    /**
+     * 判断文件是否仍被附件、旧消息的图片或用户头像引用
+     * @param {string} name - 文件名
+     * @returns {Promise<boolean>} 是否被引用
+     */
+    async isReferenced(name) {
+        const [rows] = await pool.execute(
+            `SELECT
+                EXISTS (SELECT 1 FROM attachments WHERE stored_name = ? OR thumbnail_name = ?) as in_attachments,
+                EXISTS (SELECT 1 FROM messages WHERE image_url = ?) as in_messages,
+                EXISTS (SELECT 1 FROM user_avatar_files WHERE file_name = ?) as in_avatars`,
+            [name, name, `/uploads/${name}`, name]
+        );
+        return !!(rows[0].in_attachments || rows[0].in_messages || rows[0].in_avatars);
+    },
+
+    /**
+     * 获取超过宽限期且不再被引用的文件
+     * @param {number} graceHours - 宽限期（小时）
+     * @returns {Promise<Array>} 文件记录列表
+     */
+    async getUnreferenced(graceHours) {
+        const [rows] = await pool.execute(
+            `SELECT f.* FROM stored_files f
+             WHERE f.updated_at < DATE_SUB(NOW(), INTERVAL ? HOUR)
+               AND NOT EXISTS (SELECT 1 FROM attachments a WHERE a.stored_name = f.name OR a.thumbnail_name = f.name)
+               AND NOT EXISTS (SELECT 1 FROM messages m WHERE m.image_url = CONCAT('/uploads/', f.name))
+               AND NOT EXISTS (SELECT 1 FROM user_avatar_files av WHERE av.file_name = f.name)`,
+            [graceHours]
+        );
+        return rows;
+    },
+
+    /**
+     * 删除文件记录
+     * @param {number} id - 文件记录ID
+     */
+    async delete(id) {
+        await pool.execute('DELETE FROM stored_files WHERE id = ?', [id]);
+    }
+};
+
+/**
+ * 用户头像文件相关数据库操作
+ */
+const AvatarFile = {
+    /**
+     * 设置用户上传的头像，替换之前的头像文件并更新 users.avatar
+     * @param {number} userId - 用户ID
+     * @param {Object} files - 尺寸 -> 文件名
+     * @param {string} avatarUrl - 默认尺寸的头像地址
+     */
+    async replace(userId, files, avatarUrl) {
+        const connection = await pool.getConnection();
+        try {
+            await connection.beginTransaction();
+            await connection.execute('DELETE FROM user_avatar_files WHERE user_id = ?', [userId]);
+            for (const [size, fileName] of Object.entries(files)) {
+                await connection.execute(
+                    'INSERT INTO user_avatar_files (user_id, size, file_name) VALUES (?, ?, ?)',
+                    [userId, parseInt(size), fileName]
+                );
+            }
+            await connection.execute('UPDATE users SET avatar = ? WHERE id = ?', [avatarUrl, userId]);
+            await connection.commit();
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+    },
+
+    /**
+     * 删除用户上传的头像文件记录（改用生成的头像时）
+     * @param {number} userId - 用户ID
+     */
+    async clear(userId) {
+        await pool.execute('DELETE FROM user_avatar_files WHERE user_id = ?', [userId]);
+    },
+
+    /**
+     * 获取用户上传的头像文件
+     * @param {number} userId - 用户ID
+     * @returns {Promise<Object>} 尺寸 -> 文件名，没有上传头像时为空对象
+     */
+    async findByUser(userId) {
+        const [rows] = await pool.execute(
+            'SELECT size, file_name FROM user_avatar_files WHERE user_id = ?',
+            [userId]
+        );
+        return Object.fromEntries(rows.map(row => [row.size, row.file_name]));
+    },
+
+    /**
+     * 判断文件是否为某个用户的头像
+     * @param {string} fileName - 文件名
+     * @returns {Promise<boolean>} 是否为头像文件
+     */
+    async isAvatarFile(fileName) {
+        const [rows] = await pool.execute(
+            'SELECT 1 FROM user_avatar_files WHERE file_name = ? LIMIT 1',
+            [fileName]
+        );
+        return rows.length > 0;
     }
 };
 
@@ -424,6 +2143,11 @@ module.exports = {
     pool,
     initializeDatabase,
     User,
+    LoginAttempt,
+    PasswordResetToken,
     Chatroom,
-    Message
+    Message,
+    Attachment,
+    StoredFile,
+    AvatarFile
 };
@@ -0,0 +1,170 @@
+/**
+ * 图片处理工具
+ * 校验上传图片的真实格式，去除EXIF等元数据并重新编码，生成缩略图和头像
+ */
+
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+
+// 缩略图最长边（像素）
+const THUMBNAIL_SIZE = 320;
+
+// 头像尺寸（像素，正方形）
+const AVATAR_SIZES = [64, 128, 256];
+
+// 支持的图片格式：文件头特征、扩展名和MIME类型
+const IMAGE_FORMATS = {
+    jpeg: { ext: '.jpg', mime: 'image/jpeg' },
+    png: { ext: '.png', mime: 'image/png' },
+    gif: { ext: '.gif', mime: 'image/gif' },
+    webp: { ext: '.webp', mime: 'image/webp' }
+};
+
+/**
+ * 根据文件头（magic bytes）识别图片格式，不信任扩展名和客户端声明的MIME类型
+ * @param {Buffer} buffer - 文件开头的字节
+ * @returns {string|null} 图片格式（jpeg/png/gif/webp），无法识别时返回null
+ */
+function detectImageType(buffer) {
+    if (!buffer || buffer.length < 12) {
+        return null;
+    }
+    if (buffer[0] === 0xFF && buffer[1] === 0xD8 && buffer[2] === 0xFF) {
+        return 'jpeg';
+    }
+    if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]))) {
+        return 'png';
+    }
+    const header = buffer.toString('ascii', 0, 6);
+    if (header === 'GIF87a' || header === 'GIF89a') {
+        return 'gif';
+    }
+    if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+        return 'webp';
+    }
+    return null;
+}
+
+/**
+ * 读取文件开头的字节
+ * @param {string} filePath - 文件路径
+ * @param {number} length - 读取长度
+ * @returns {Promise<Buffer>} 读取到的字节
+ */
+async function readHeader(filePath, length) {
+    const handle = await fs.promises.open(filePath, 'r');
+    try {
+        const buffer = Buffer.alloc(length);
+        const { bytesRead } = await handle.read(buffer, 0, length, 0);
+        return buffer.subarray(0, bytesRead);
+    } finally {
+        await handle.close();
+    }
+}
+
+/**
+ * 处理上传的图片：校验格式、按EXIF方向旋转后去除元数据重新编码，并生成缩略图
+ * 处理完成后删除原始上传文件；校验或解码失败时抛出错误，不保留任何文件
+ * @param {string} filePath - multer保存的原始文件路径
+ * @param {string} outputDir - 输出目录
+ * @param {string} baseName - 输出文件名（不含扩展名）
+ * @returns {Promise<Object>} { fileName, thumbnailName, mimeType, size, width, height }
+ */
+async function processImage(filePath, outputDir, baseName) {
+    try {
+        const type = detectImageType(await readHeader(filePath, 12));
+        if (!type) {
+            throw new Error('文件内容不是有效的图片');
+        }
+        const format = IMAGE_FORMATS[type];
+        const fileName = `${baseName}${format.ext}`;
+        const thumbnailName = `${baseName}-thumb.webp`;
+        const outputPath = path.join(outputDir, fileName);
+        const thumbnailPath = path.join(outputDir, thumbnailName);
+
+        try {
+            // GIF 和 WebP 可能是动图，保留所有帧
+            const animated = type === 'gif' || type === 'webp';
+            // sharp 默认不输出元数据，rotate() 先按EXIF方向把像素转正
+            const image = sharp(filePath, { animated }).rotate();
+            if (type === 'jpeg') {
+                image.jpeg({ quality: 85, mozjpeg: true });
+            } else if (type === 'png') {
+                image.png({ compressionLevel: 9 });
+            } else if (type === 'gif') {
+                image.gif();
+            } else {
+                image.webp({ quality: 85 });
+            }
+            const info = await image.toFile(outputPath);
+
+            // 缩略图只取第一帧，统一编码为WebP
+            await sharp(filePath)
+                .rotate()
+                .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+                .webp({ quality: 75 })
+                .toFile(thumbnailPath);
+
+            return {
+                fileName,
+                thumbnailName,
+                mimeType: format.mime,
+                size: info.size,
+                width: info.width,
+                // 动图的 height 是所有帧叠加的高度，取单帧高度
+                height: info.pageHeight || info.height
+            };
+        } catch (error) {
+            fs.unlink(outputPath, () => {});
+            fs.unlink(thumbnailPath, () => {});
+            // 文件头伪造或内容损坏时 sharp 无法解码，原始错误信息对用户没有意义
+            throw new Error('图片已损坏或格式不受支持');
+        }
+    } finally {
+        fs.unlink(filePath, () => {});
+    }
+}
+
+/**
+ * 处理上传的头像：校验格式后裁剪为正方形，按 AVATAR_SIZES 生成多个尺寸的WebP文件
+ * 客户端上传前已经裁剪过，这里居中裁剪只是为了保证输出一定是正方形；动图只取第一帧
+ * 处理完成后删除原始上传文件；校验或解码失败时抛出错误，不保留任何文件
+ * @param {string} filePath - multer保存的原始文件路径
+ * @param {string} outputDir - 输出目录
+ * @param {string} baseName - 输出文件名前缀（实际文件名为 前缀-尺寸.webp）
+ * @returns {Promise<Object>} 尺寸 -> 文件名
+ */
+async function processAvatar(filePath, outputDir, baseName) {
+    try {
+        if (!detectImageType(await readHeader(filePath, 12))) {
+            throw new Error('文件内容不是有效的图片');
+        }
+
+        const files = {};
+        try {
+            for (const size of AVATAR_SIZES) {
+                const fileName = `${baseName}-${size}.webp`;
+                files[size] = fileName;
+                await sharp(filePath)
+                    .rotate()
+                    .resize(size, size, { fit: 'cover' })
+                    .webp({ quality: 85 })
+                    .toFile(path.join(outputDir, fileName));
+            }
+            return files;
+        } catch (error) {
+            Object.values(files).forEach(fileName => fs.unlink(path.join(outputDir, fileName), () => {}));
+            throw new Error('图片已损坏或格式不受支持');
+        }
+    } finally {
+        fs.unlink(filePath, () => {});
+    }
+}
+
+module.exports = {
+    AVATAR_SIZES,
+    detectImageType,
+    processImage,
+    processAvatar
+};
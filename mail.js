@@ -0,0 +1,64 @@
+/**
+ * 邮件发送
+ * 发送方式可替换：通过 registerTransport 注册新的发送方式，用环境变量 MAIL_TRANSPORT 选择。
+ * 内置 console（写入日志）和 file（每封邮件保存为一个JSON文件）两种方式，供本地开发和测试使用
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+// file 方式保存邮件的目录
+const MAIL_DIR = process.env.MAIL_DIR || path.join(__dirname, 'logs', 'mail');
+
+// 发件人地址
+const MAIL_FROM = process.env.MAIL_FROM || 'no-reply@chatroom.local';
+
+// 已注册的发送方式：名称 -> { send(message) }
+const transports = new Map();
+
+/**
+ * 注册发送方式
+ * @param {string} name - 名称（MAIL_TRANSPORT 的取值）
+ * @param {Object} transport - 发送方式，需要实现 async send({ from, to, subject, text })
+ */
+function registerTransport(name, transport) {
+    if (!transport || typeof transport.send !== 'function') {
+        throw new Error(`邮件发送方式 ${name} 必须实现 send 方法`);
+    }
+    transports.set(name, transport);
+}
+
+registerTransport('console', {
+    async send(message) {
+        logger.info(`[邮件] 收件人: ${message.to} 主题: ${message.subject}\n${message.text}`);
+    }
+});
+
+registerTransport('file', {
+    async send(message) {
+        await fs.promises.mkdir(MAIL_DIR, { recursive: true });
+        const fileName = `${Date.now()}-${Math.round(Math.random() * 1E9)}.json`;
+        const record = { ...message, sentAt: new Date().toISOString() };
+        await fs.promises.writeFile(path.join(MAIL_DIR, fileName), JSON.stringify(record, null, 2));
+    }
+});
+
+/**
+ * 发送邮件
+ * @param {Object} message - { to, subject, text }
+ * @returns {Promise<void>}
+ */
+async function sendMail(message) {
+    const name = process.env.MAIL_TRANSPORT || 'console';
+    const transport = transports.get(name);
+    if (!transport) {
+        throw new Error(`未知的邮件发送方式: ${name}`);
+    }
+    await transport.send({ from: MAIL_FROM, ...message });
+}
+
+module.exports = {
+    registerTransport,
+    sendMail
+};
@@ -0,0 +1,55 @@
+/**
+ * @提及解析工具
+ * 从消息内容中识别被提及的聊天室成员
+ */
+
+// 名称以这些字符结尾时，后面紧跟同类字符视为名称未结束（例如 @Tom 不应匹配 @Tommy）
+const WORD_CHAR = /[A-Za-z0-9_]/;
+
+/**
+ * 从消息内容中解析被提及的成员
+ * 支持 @用户名 和 @昵称，同一位置有多个候选时取最长的名称
+ * @param {string} content - 消息内容
+ * @param {Array<Object>} members - 聊天室成员列表 [{ id, username, nickname }]
+ * @returns {Array<Object>} 被提及的成员（去重，按首次出现顺序）
+ */
+function extractMentions(content, members) {
+    if (!content || !content.includes('@') || members.length === 0) {
+        return [];
+    }
+
+    // 候选名称按长度降序，保证优先匹配最长的名称
+    const candidates = [];
+    members.forEach(member => {
+        [member.username, member.nickname].forEach(name => {
+            if (name) {
+                candidates.push({ name: name.toLowerCase(), member });
+            }
+        });
+    });
+    candidates.sort((a, b) => b.name.length - a.name.length);
+
+    const lowerContent = content.toLowerCase();
+    const mentioned = new Map();
+    let index = lowerContent.indexOf('@');
+    while (index !== -1) {
+        const rest = lowerContent.slice(index + 1);
+        const hit = candidates.find(({ name }) => {
+            if (!rest.startsWith(name)) {
+                return false;
+            }
+            const nextChar = rest.charAt(name.length);
+            return !(nextChar && WORD_CHAR.test(nextChar) && WORD_CHAR.test(name.charAt(name.length - 1)));
+        });
+        if (hit && !mentioned.has(hit.member.id)) {
+            mentioned.set(hit.member.id, hit.member);
+        }
+        index = lowerContent.indexOf('@', index + 1);
+    }
+
+    return Array.from(mentioned.values());
+}
+
+module.exports = {
+    extractMentions
+};
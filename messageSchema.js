@@ -0,0 +1,125 @@
+/**
+ * 消息格式校验
+ * 客户端发来的消息只接受约定的字段，类型和长度不符合时拒绝并返回原因
+ */
+
+// 单条消息最大长度
+const MAX_MESSAGE_LENGTH = 500;
+
+// 客户端消息ID最大长度（用于把拒绝原因对应到发送中的消息）
+const MAX_CLIENT_MESSAGE_ID_LENGTH = 64;
+
+// 图片只能引用经过上传接口处理的文件
+const IMAGE_URL_PATTERN = /^\/uploads\/(image-[0-9-]+\.(?:jpg|png|gif|webp))$/;
+
+// message 事件允许的字段
+const MESSAGE_FIELDS = ['chatroomId', 'content', 'imageUrl', 'replyTo', 'attachmentId', 'clientMessageId'];
+
+/**
+ * 解析正整数ID（允许数字字符串）
+ * @param {*} value - 原始值
+ * @returns {number|null} 解析后的ID，无效时返回null
+ */
+function parseId(value) {
+    if (typeof value === 'number' && Number.isInteger(value) && value > 0) {
+        return value;
+    }
+    if (typeof value === 'string' && /^[1-9]\d{0,9}$/.test(value)) {
+        return parseInt(value);
+    }
+    return null;
+}
+
+/**
+ * 校验消息内容
+ * @param {*} content - 消息内容
+ * @returns {Object} { content } 或 { error }
+ */
+function validateContent(content) {
+    if (content === undefined || content === null) {
+        return { content: '' };
+    }
+    if (typeof content !== 'string') {
+        return { error: '消息内容格式无效' };
+    }
+    const trimmed = content.trim();
+    if (trimmed.length > MAX_MESSAGE_LENGTH) {
+        return { error: `消息长度不能超过${MAX_MESSAGE_LENGTH}个字符` };
+    }
+    return { content: trimmed };
+}
+
+/**
+ * 校验 message 事件的数据
+ * 这里只检查格式，图片和附件是否属于发送者由调用方查询数据库确认
+ * @param {Object} data - 客户端发送的数据
+ * @returns {Object} { value } 或 { error }；value 为 { chatroomId, content, imageName, replyTo, attachmentId, clientMessageId }
+ */
+function validateMessage(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return { error: '消息格式无效' };
+    }
+
+    const unknownField = Object.keys(data).find(key => !MESSAGE_FIELDS.includes(key));
+    if (unknownField) {
+        return { error: `不支持的字段：${unknownField}` };
+    }
+
+    const chatroomId = parseId(data.chatroomId);
+    if (!chatroomId) {
+        return { error: '无效的聊天室ID' };
+    }
+
+    const { content, error } = validateContent(data.content);
+    if (error) {
+        return { error };
+    }
+
+    let imageName = null;
+    if (data.imageUrl !== undefined && data.imageUrl !== null) {
+        const match = typeof data.imageUrl === 'string' ? data.imageUrl.match(IMAGE_URL_PATTERN) : null;
+        if (!match) {
+            return { error: '图片地址无效' };
+        }
+        imageName = match[1];
+    }
+
+    const optionalIds = {};
+    for (const field of ['replyTo', 'attachmentId']) {
+        const value = data[field];
+        optionalIds[field] = value === undefined || value === null ? null : parseId(value);
+        if (optionalIds[field] === null && value !== undefined && value !== null) {
+            return { error: field === 'replyTo' ? '回复的消息ID无效' : '附件ID无效' };
+        }
+    }
+
+    let clientMessageId = null;
+    if (data.clientMessageId !== undefined && data.clientMessageId !== null) {
+        if (typeof data.clientMessageId !== 'string' || data.clientMessageId.length > MAX_CLIENT_MESSAGE_ID_LENGTH) {
+            return { error: '客户端消息ID无效' };
+        }
+        clientMessageId = data.clientMessageId;
+    }
+
+    // 消息必须包含内容、图片或附件
+    if (!content && !imageName && !optionalIds.attachmentId) {
+        return { error: '消息内容不能为空' };
+    }
+
+    return {
+        value: {
+            chatroomId,
+            content,
+            imageName,
+            replyTo: optionalIds.replyTo,
+            attachmentId: optionalIds.attachmentId,
+            clientMessageId
+        }
+    };
+}
+
+module.exports = {
+    MAX_MESSAGE_LENGTH,
+    validateContent,
+    validateMessage
+};
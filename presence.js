@@ -0,0 +1,236 @@
+/**
+ * 用户在线状态
+ * 汇总同一用户所有连接的状态：任一连接活跃为在线，全部连接都闲置为离开，
+ * 开启免打扰时始终显示免打扰，没有连接时为离线。
+ * 同时按用户记录每个聊天室中打开的连接，同一用户在多个标签页或设备中打开同一聊天室只算一人
+ */
+
+// 在线状态取值
+const PRESENCE = {
+    ONLINE: 'online',
+    AWAY: 'away',
+    DND: 'dnd',
+    OFFLINE: 'offline'
+};
+
+// 用户的连接：userId -> Map(socketId -> 是否活跃)
+const userSockets = new Map();
+// 开启了免打扰的用户
+const dndUsers = new Set();
+// 聊天室中打开的连接：chatroomId -> Map(userId -> Set(socketId))
+const roomSockets = new Map();
+
+/**
+ * 计算用户当前的在线状态
+ * @param {number} userId - 用户ID
+ * @returns {string} 在线状态
+ */
+function getPresence(userId) {
+    const sockets = userSockets.get(userId);
+    if (!sockets || sockets.size === 0) {
+        return PRESENCE.OFFLINE;
+    }
+    if (dndUsers.has(userId)) {
+        return PRESENCE.DND;
+    }
+    for (const active of sockets.values()) {
+        if (active) {
+            return PRESENCE.ONLINE;
+        }
+    }
+    return PRESENCE.AWAY;
+}
+
+/**
+ * 执行一次状态修改，返回修改后状态是否变化
+ * @param {number} userId - 用户ID
+ * @param {Function} mutate - 修改操作
+ * @returns {string|null} 状态变化时返回新状态，否则返回null
+ */
+function applyChange(userId, mutate) {
+    const before = getPresence(userId);
+    mutate();
+    const after = getPresence(userId);
+    return before === after ? null : after;
+}
+
+/**
+ * 记录用户的新连接（新连接视为活跃）
+ * @param {number} userId - 用户ID
+ * @param {string} socketId - 连接ID
+ * @param {boolean} dnd - 用户保存的免打扰设置
+ * @returns {string|null} 状态变化时返回新状态
+ */
+function addSocket(userId, socketId, dnd) {
+    return applyChange(userId, () => {
+        if (!userSockets.has(userId)) {
+            userSockets.set(userId, new Map());
+        }
+        userSockets.get(userId).set(socketId, true);
+        if (dnd) {
+            dndUsers.add(userId);
+        } else {
+            dndUsers.delete(userId);
+        }
+    });
+}
+
+/**
+ * 移除断开的连接
+ * @param {number} userId - 用户ID
+ * @param {string} socketId - 连接ID
+ * @returns {string|null} 状态变化时返回新状态
+ */
+function removeSocket(userId, socketId) {
+    return applyChange(userId, () => {
+        const sockets = userSockets.get(userId);
+        if (!sockets) {
+            return;
+        }
+        sockets.delete(socketId);
+        if (sockets.size === 0) {
+            userSockets.delete(userId);
+            dndUsers.delete(userId);
+        }
+    });
+}
+
+/**
+ * 更新连接的活跃状态（客户端检测到用户闲置或恢复操作时上报）
+ * @param {number} userId - 用户ID
+ * @param {string} socketId - 连接ID
+ * @param {boolean} active - 是否活跃
+ * @returns {string|null} 状态变化时返回新状态
+ */
+function setSocketActive(userId, socketId, active) {
+    return applyChange(userId, () => {
+        const sockets = userSockets.get(userId);
+        if (sockets && sockets.has(socketId)) {
+            sockets.set(socketId, active);
+        }
+    });
+}
+
+/**
+ * 开启或关闭免打扰
+ * @param {number} userId - 用户ID
+ * @param {boolean} enabled - 是否开启
+ * @returns {string|null} 状态变化时返回新状态
+ */
+function setDnd(userId, enabled) {
+    return applyChange(userId, () => {
+        if (enabled) {
+            dndUsers.add(userId);
+        } else {
+            dndUsers.delete(userId);
+        }
+    });
+}
+
+/**
+ * 记录连接进入聊天室
+ * @param {number} chatroomId - 聊天室ID
+ * @param {number} userId - 用户ID
+ * @param {string} socketId - 连接ID
+ * @returns {boolean} 是否为该用户在此聊天室的第一个连接
+ */
+function joinRoom(chatroomId, userId, socketId) {
+    if (!roomSockets.has(chatroomId)) {
+        roomSockets.set(chatroomId, new Map());
+    }
+    const users = roomSockets.get(chatroomId);
+    const sockets = users.get(userId) || new Set();
+    const first = sockets.size === 0;
+    sockets.add(socketId);
+    users.set(userId, sockets);
+    return first;
+}
+
+/**
+ * 记录连接离开聊天室
+ * @param {number} chatroomId - 聊天室ID
+ * @param {number} userId - 用户ID
+ * @param {string} socketId - 连接ID
+ * @returns {boolean} 是否为该用户在此聊天室的最后一个连接
+ */
+function leaveRoom(chatroomId, userId, socketId) {
+    const users = roomSockets.get(chatroomId);
+    const sockets = users && users.get(userId);
+    if (!sockets || !sockets.delete(socketId)) {
+        return false;
+    }
+    if (sockets.size > 0) {
+        return false;
+    }
+    users.delete(userId);
+    if (users.size === 0) {
+        roomSockets.delete(chatroomId);
+    }
+    return true;
+}
+
+/**
+ * 连接断开时离开其打开的所有聊天室
+ * @param {number} userId - 用户ID
+ * @param {string} socketId - 连接ID
+ * @returns {Array<Object>} 该连接所在的聊天室 [{ chatroomId, last }]，last 表示是否为该用户的最后一个连接
+ */
+function leaveAllRooms(userId, socketId) {
+    const left = [];
+    for (const [chatroomId, users] of roomSockets.entries()) {
+        const sockets = users.get(userId);
+        if (sockets && sockets.has(socketId)) {
+            left.push({ chatroomId, last: leaveRoom(chatroomId, userId, socketId) });
+        }
+    }
+    return left;
+}
+
+/**
+ * 移除用户在聊天室中的所有连接（被踢出、封禁或主动退出后）
+ * @param {number} chatroomId - 聊天室ID
+ * @param {number} userId - 用户ID
+ */
+function removeUserFromRoom(chatroomId, userId) {
+    const users = roomSockets.get(chatroomId);
+    if (!users) {
+        return;
+    }
+    users.delete(userId);
+    if (users.size === 0) {
+        roomSockets.delete(chatroomId);
+    }
+}
+
+/**
+ * 清除聊天室的连接记录（聊天室被删除后）
+ * @param {number} chatroomId - 聊天室ID
+ */
+function clearRoom(chatroomId) {
+    roomSockets.delete(chatroomId);
+}
+
+/**
+ * 获取聊天室当前的在线人数（按用户计数）
+ * @param {number} chatroomId - 聊天室ID
+ * @returns {number} 在线人数
+ */
+function getRoomOnlineCount(chatroomId) {
+    const users = roomSockets.get(chatroomId);
+    return users ? users.size : 0;
+}
+
+module.exports = {
+    PRESENCE,
+    getPresence,
+    addSocket,
+    removeSocket,
+    setSocketActive,
+    setDnd,
+    joinRoom,
+    leaveRoom,
+    leaveAllRooms,
+    removeUserFromRoom,
+    clearRoom,
+    getRoomOnlineCount
+};
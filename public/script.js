@@ -3,6 +3,19 @@
  * 处理用户界面交互和WebSocket通信
  */
 
+// 可用的表情回应（与服务器保持一致）
+const REACTION_EMOJIS = ['👍', '❤️', '😂', '😮', '😢', '🎉', '👀', '🙏'];
+
+// 头像裁剪框的边长，以及裁剪后上传的图片边长（与服务器生成的最大尺寸一致）
+const AVATAR_CROP_SIZE = 240;
+const AVATAR_UPLOAD_SIZE = 256;
+
+// 多久没有操作后显示为离开（毫秒）
+const IDLE_TIMEOUT = 5 * 60 * 1000;
+
+// 在线状态的显示文字
+const PRESENCE_LABELS = { online: '在线', away: '离开', dnd: '免打扰', offline: '离线' };
+
 class ChatRoom {
     constructor() {
         this.socket = null;
@@ -11,10 +24,19 @@ class ChatRoom {
         this.isTyping = false;
         this.typingTimeout = null;
         this.unreadCounts = new Map(); // 存储每个聊天室的未读消息数
+        this.mentionCounts = new Map(); // 存储每个聊天室未读的@提及数
+        this.roomMembers = []; // 当前聊天室成员，用于@提及补全
+        this.currentRoomRole = null; // 当前用户在当前聊天室中的角色
+        this.mentionQuery = null; // 正在补全的@提及 { start, matches, activeIndex }
         this.lastReadTimes = new Map(); // 存储每个聊天室的最后阅读时间
         this.currentSort = 'last_reply'; // 当前排序方式
         this.sortOrder = 'desc'; // 排序顺序：asc 或 desc
         this.cachedChatrooms = []; // 缓存的聊天室数据
+        this.conversations = []; // 私聊和群聊会话
+        this.resetToken = null; // 密码重置链接中的令牌
+        this.avatarCrop = null; // 正在裁剪的头像 { image, objectUrl, baseScale, zoom, x, y }
+        this.lastActivityTime = Date.now(); // 最近一次操作的时间，用于判断是否离开
+        this.presenceActive = true; // 已上报给服务器的活跃状态
         
         this.initializeElements();
         this.bindEvents();
@@ -31,6 +53,9 @@ class ChatRoom {
         this.registerForm = document.getElementById('registerForm');
         this.loginFormElement = document.getElementById('loginFormElement');
         this.registerFormElement = document.getElementById('registerFormElement');
+        this.resetForm = document.getElementById('resetForm');
+        this.resetFormElement = document.getElementById('resetFormElement');
+        this.forgotPasswordBtn = document.getElementById('forgotPasswordBtn');
         
         // 聊天室列表相关元素
         this.chatroomList = document.getElementById('chatroomList');
@@ -41,15 +66,25 @@ class ChatRoom {
         this.roomsContainer = document.getElementById('roomsContainer');
         this.sortSelect = document.getElementById('sortSelect');
         this.sortOrderBtn = document.getElementById('sortOrderBtn');
+        this.conversationsContainer = document.getElementById('conversationsContainer');
+        this.newGroupBtn = document.getElementById('newGroupBtn');
         
         // 聊天界面相关元素
         this.chatContainer = document.getElementById('chatContainer');
         this.backToListBtn = document.getElementById('backToListBtn');
         this.currentRoomName = document.getElementById('currentRoomName');
         this.roomMemberCount = document.getElementById('roomMemberCount');
+        this.memberPanel = document.getElementById('memberPanel');
+        this.memberList = document.getElementById('memberList');
+        this.showBansBtn = document.getElementById('showBansBtn');
+        this.quitRoomBtn = document.getElementById('quitRoomBtn');
+        this.banList = document.getElementById('banList');
         this.leaveRoomBtn = document.getElementById('leaveRoomBtn');
+        this.inviteBtn = document.getElementById('inviteBtn');
+        this.joinByInviteBtn = document.getElementById('joinByInviteBtn');
         this.messagesContainer = document.getElementById('messagesContainer');
         this.messageInput = document.getElementById('messageInput');
+        this.mentionSuggestions = document.getElementById('mentionSuggestions');
         this.sendButton = document.getElementById('sendButton');
         this.typingIndicator = document.getElementById('typingIndicator');
         this.typingText = document.getElementById('typingText');
@@ -59,13 +94,66 @@ class ChatRoom {
         this.previewImage = document.getElementById('previewImage');
         this.removePreviewBtn = document.getElementById('removePreviewBtn');
         
-        // 当前待发送的图片URL
+        // 当前待发送的图片URL和附件ID
         this.pendingImageUrl = null;
+        this.pendingImageId = null;
+
+        // 附件上传相关元素
+        this.fileInput = document.getElementById('fileInput');
+        this.fileUploadBtn = document.getElementById('fileUploadBtn');
+        this.filePreview = document.getElementById('filePreview');
+        this.filePreviewName = document.getElementById('filePreviewName');
+        this.filePreviewSize = document.getElementById('filePreviewSize');
+        this.removeFileBtn = document.getElementById('removeFileBtn');
+        this.pendingAttachment = null; // 已上传待发送的附件
+        this.sendingMessages = new Map(); // 发送中的消息（clientMessageId -> 草稿），被服务器拒绝时恢复输入
+        this.uploadConfig = null; // 服务器的附件上传限制
+
+        // 回复和话题相关元素
+        this.replyPreview = document.getElementById('replyPreview');
+        this.replyPreviewText = document.getElementById('replyPreviewText');
+        this.cancelReplyBtn = document.getElementById('cancelReplyBtn');
+        this.threadModal = document.getElementById('threadModal');
+        this.threadMessages = document.getElementById('threadMessages');
+        this.closeThreadModal = document.getElementById('closeThreadModal');
+        this.replyThreadBtn = document.getElementById('replyThreadBtn');
+
+        // 搜索相关元素
+        this.searchBtn = document.getElementById('searchBtn');
+        this.roomSearchBtn = document.getElementById('roomSearchBtn');
+        this.searchModal = document.getElementById('searchModal');
+        this.closeSearchModal = document.getElementById('closeSearchModal');
+        this.searchForm = document.getElementById('searchForm');
+        this.searchRoom = document.getElementById('searchRoom');
+        this.searchResults = document.getElementById('searchResults');
+        this.searchMoreBtn = document.getElementById('searchMoreBtn');
+        this.lastSearchParams = null;
+        this.lastSearchCursor = null;
+
+        // 打开聊天室后需要定位的消息ID（来自搜索结果）
+        this.pendingFocusMessageId = null;
+
+        // 历史消息分页状态
+        this.hasMoreHistory = false;
+        this.loadingHistory = false;
+
+        // 当前正在回复的消息 { id, nickname, content }
+        this.replyingTo = null;
+        this.currentThreadRoot = null;
         
         // 创建聊天室模态框
         this.createRoomModal = document.getElementById('createRoomModal');
         this.createRoomForm = document.getElementById('createRoomForm');
         this.cancelCreateRoom = document.getElementById('cancelCreateRoom');
+
+        // 聊天室设置模态框
+        this.roomSettingsBtn = document.getElementById('roomSettingsBtn');
+        this.roomSettingsModal = document.getElementById('roomSettingsModal');
+        this.roomSettingsForm = document.getElementById('roomSettingsForm');
+        this.cancelRoomSettings = document.getElementById('cancelRoomSettings');
+        this.archiveRoomBtn = document.getElementById('archiveRoomBtn');
+        this.deleteRoomBtn = document.getElementById('deleteRoomBtn');
+        this.showArchivedRooms = document.getElementById('showArchivedRooms');
         
         // 头像设置相关元素
         this.avatarModal = document.getElementById('avatarModal');
@@ -76,6 +164,30 @@ class ChatRoom {
         this.closeAvatarModal = document.getElementById('closeAvatarModal');
         this.saveAvatarBtn = document.getElementById('saveAvatarBtn');
         this.cancelAvatarBtn = document.getElementById('cancelAvatarBtn');
+        this.avatarFileInput = document.getElementById('avatarFileInput');
+        this.avatarCropper = document.getElementById('avatarCropper');
+        this.avatarCropArea = document.getElementById('avatarCropArea');
+        this.avatarCropImage = document.getElementById('avatarCropImage');
+        this.avatarCropZoom = document.getElementById('avatarCropZoom');
+        this.uploadAvatarBtn = document.getElementById('uploadAvatarBtn');
+
+        // 个人资料相关元素
+        this.dndBtn = document.getElementById('dndBtn');
+        this.profileBtn = document.getElementById('profileBtn');
+        this.profileModal = document.getElementById('profileModal');
+        this.closeProfileModal = document.getElementById('closeProfileModal');
+        this.cancelProfileBtn = document.getElementById('cancelProfileBtn');
+        this.profileForm = document.getElementById('profileForm');
+
+        // 账号安全相关元素
+        this.securityBtn = document.getElementById('securityBtn');
+        this.securityModal = document.getElementById('securityModal');
+        this.closeSecurityModal = document.getElementById('closeSecurityModal');
+        this.lockStatus = document.getElementById('lockStatus');
+        this.lockStatusText = document.getElementById('lockStatusText');
+        this.unlockAccountBtn = document.getElementById('unlockAccountBtn');
+        this.loginAttemptList = document.getElementById('loginAttemptList');
+        this.changePasswordForm = document.getElementById('changePasswordForm');
     }
 
     /**
@@ -101,6 +213,17 @@ class ChatRoom {
             this.handleRegister();
         });
 
+        // 忘记密码
+        this.forgotPasswordBtn.addEventListener('click', () => {
+            this.handleForgotPassword();
+        });
+
+        // 重置密码表单提交
+        this.resetFormElement.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleResetPassword();
+        });
+
         // 登出按钮
         this.logoutBtn.addEventListener('click', () => {
             this.handleLogout();
@@ -111,11 +234,65 @@ class ChatRoom {
             this.showCreateRoomModal();
         });
 
+        // 通过邀请码加入聊天室
+        this.joinByInviteBtn.addEventListener('click', () => {
+            const code = prompt('请输入邀请码或邀请链接');
+            if (code) {
+                this.acceptInvite(code);
+            }
+        });
+
         // 刷新聊天室列表
         this.refreshRoomsBtn.addEventListener('click', () => {
             this.refreshChatrooms();
         });
 
+        // 按用户名发起私聊或群聊
+        this.newGroupBtn.addEventListener('click', () => {
+            const input = prompt('请输入对方用户名，多人群聊用逗号分隔');
+            if (!input) return;
+            const usernames = input.split(/[,，\s]+/).map(name => name.trim()).filter(Boolean);
+            if (usernames.length > 0) {
+                this.startConversation({ usernames });
+            }
+        });
+
+        // 显示/隐藏成员列表
+        this.roomMemberCount.addEventListener('click', () => {
+            const isHidden = this.memberPanel.style.display === 'none';
+            this.memberPanel.style.display = isHidden ? 'block' : 'none';
+        });
+
+        // 从成员列表发起私聊或执行管理操作
+        this.memberList.addEventListener('click', (e) => {
+            const button = e.target.closest('.dm-btn');
+            if (button) {
+                this.startConversation({ userIds: [parseInt(button.dataset.userId)] });
+                return;
+            }
+            const actionButton = e.target.closest('.member-action-btn');
+            if (actionButton) {
+                this.moderateMember(actionButton.dataset.action, parseInt(actionButton.dataset.userId));
+            }
+        });
+
+        // 封禁列表和解除封禁
+        this.showBansBtn.addEventListener('click', () => {
+            this.toggleBanList();
+        });
+
+        this.banList.addEventListener('click', (e) => {
+            const button = e.target.closest('.unban-btn');
+            if (button) {
+                this.moderateMember('unban', parseInt(button.dataset.userId));
+            }
+        });
+
+        // 退出聊天室（不再是成员）
+        this.quitRoomBtn.addEventListener('click', () => {
+            this.quitCurrentRoom();
+        });
+
         // 排序选择
         this.sortSelect.addEventListener('change', (e) => {
             this.currentSort = e.target.value;
@@ -143,11 +320,100 @@ class ChatRoom {
             this.hideCreateRoomModal();
         });
 
+        // 聊天室设置（群主）
+        this.roomSettingsBtn.addEventListener('click', () => {
+            this.showRoomSettingsModal();
+        });
+
+        this.roomSettingsForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveRoomSettings();
+        });
+
+        this.cancelRoomSettings.addEventListener('click', () => {
+            this.hideRoomSettingsModal();
+        });
+
+        this.archiveRoomBtn.addEventListener('click', () => {
+            this.toggleRoomArchived();
+        });
+
+        this.deleteRoomBtn.addEventListener('click', () => {
+            this.deleteCurrentRoom();
+        });
+
+        // 显示或隐藏已归档的聊天室
+        this.showArchivedRooms.addEventListener('change', () => {
+            this.loadChatrooms();
+        });
+
         // 头像设置相关事件
         this.avatarSettingsBtn.addEventListener('click', () => {
             this.showAvatarModal();
         });
 
+        // 免打扰开关
+        this.dndBtn.addEventListener('click', () => {
+            this.toggleDoNotDisturb();
+        });
+
+        // 闲置检测：有操作时恢复在线，页面隐藏或长时间没有操作时显示为离开
+        ['pointerdown', 'pointermove', 'keydown', 'wheel', 'touchstart'].forEach(eventName => {
+            document.addEventListener(eventName, () => this.recordActivity(), { passive: true });
+        });
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) {
+                this.reportPresenceActivity(false);
+            } else {
+                this.recordActivity();
+            }
+        });
+        setInterval(() => {
+            if (Date.now() - this.lastActivityTime >= IDLE_TIMEOUT) {
+                this.reportPresenceActivity(false);
+            }
+        }, 30 * 1000);
+
+        // 个人资料相关事件
+        this.profileBtn.addEventListener('click', () => {
+            this.showProfileModal();
+        });
+
+        this.closeProfileModal.addEventListener('click', () => {
+            this.profileModal.style.display = 'none';
+        });
+
+        this.cancelProfileBtn.addEventListener('click', () => {
+            this.profileModal.style.display = 'none';
+        });
+
+        document.getElementById('profileEmail').addEventListener('input', () => {
+            this.updateProfilePasswordField();
+        });
+
+        this.profileForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveProfile();
+        });
+
+        // 账号安全相关事件
+        this.securityBtn.addEventListener('click', () => {
+            this.showSecurityModal();
+        });
+
+        this.closeSecurityModal.addEventListener('click', () => {
+            this.securityModal.style.display = 'none';
+        });
+
+        this.unlockAccountBtn.addEventListener('click', () => {
+            this.unlockAccount();
+        });
+
+        this.changePasswordForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleChangePassword();
+        });
+
         this.closeAvatarModal.addEventListener('click', () => {
             this.hideAvatarModal();
         });
@@ -160,6 +426,40 @@ class ChatRoom {
             this.saveAvatar();
         });
 
+        // 上传头像：选择图片后在裁剪框中拖动和缩放
+        this.avatarFileInput.addEventListener('change', (e) => {
+            if (e.target.files[0]) {
+                this.startAvatarCrop(e.target.files[0]);
+            }
+        });
+
+        this.avatarCropZoom.addEventListener('input', () => {
+            this.zoomAvatarCrop(parseFloat(this.avatarCropZoom.value));
+        });
+
+        this.avatarCropArea.addEventListener('pointerdown', (e) => {
+            if (!this.avatarCrop) return;
+            const start = { pointerX: e.clientX, pointerY: e.clientY, x: this.avatarCrop.x, y: this.avatarCrop.y };
+            this.avatarCropArea.setPointerCapture(e.pointerId);
+            const onMove = (moveEvent) => {
+                this.avatarCrop.x = start.x + moveEvent.clientX - start.pointerX;
+                this.avatarCrop.y = start.y + moveEvent.clientY - start.pointerY;
+                this.renderAvatarCrop();
+            };
+            const onUp = () => {
+                this.avatarCropArea.removeEventListener('pointermove', onMove);
+                this.avatarCropArea.removeEventListener('pointerup', onUp);
+                this.avatarCropArea.removeEventListener('pointercancel', onUp);
+            };
+            this.avatarCropArea.addEventListener('pointermove', onMove);
+            this.avatarCropArea.addEventListener('pointerup', onUp);
+            this.avatarCropArea.addEventListener('pointercancel', onUp);
+        });
+
+        this.uploadAvatarBtn.addEventListener('click', () => {
+            this.uploadAvatar();
+        });
+
         // 返回聊天室列表
         this.backToListBtn.addEventListener('click', () => {
             this.showChatroomList();
@@ -170,6 +470,11 @@ class ChatRoom {
             this.leaveCurrentRoom();
         });
 
+        // 生成邀请链接
+        this.inviteBtn.addEventListener('click', () => {
+            this.createInvite();
+        });
+
         // 发送消息
         this.sendButton.addEventListener('click', () => {
             this.sendMessage();
@@ -182,9 +487,27 @@ class ChatRoom {
             }
         });
 
+        // @提及候选列表的键盘操作（在keypress之前拦截回车）
+        this.messageInput.addEventListener('keydown', (e) => {
+            this.handleMentionKeydown(e);
+        });
+
+        this.mentionSuggestions.addEventListener('mousedown', (e) => {
+            const item = e.target.closest('.mention-suggestion');
+            if (item) {
+                e.preventDefault();
+                this.applyMention(parseInt(item.dataset.index));
+            }
+        });
+
+        this.messageInput.addEventListener('blur', () => {
+            this.hideMentionSuggestions();
+        });
+
         // 输入状态检测
         this.messageInput.addEventListener('input', () => {
             this.handleTyping();
+            this.updateMentionSuggestions();
         });
 
         // 粘贴图片事件（在输入框和聊天容器上监听）
@@ -210,14 +533,131 @@ class ChatRoom {
         });
 
         this.removePreviewBtn.addEventListener('click', () => {
+            this.discardUpload(this.pendingImageId);
             this.removeImagePreview();
         });
+
+        // 附件上传相关事件
+        this.fileUploadBtn.addEventListener('click', async () => {
+            await this.loadUploadConfig();
+            this.fileInput.click();
+        });
+
+        this.fileInput.addEventListener('change', (e) => {
+            this.handleFileSelect(e);
+        });
+
+        this.removeFileBtn.addEventListener('click', () => {
+            this.discardUpload(this.pendingAttachment && this.pendingAttachment.id);
+            this.removeFilePreview();
+        });
+
+        // 点击图片在缩略图和原图之间切换
+        [this.messagesContainer, this.threadMessages].forEach(container => {
+            container.addEventListener('click', (e) => {
+                const image = e.target.closest('.message-image');
+                if (image) {
+                    this.toggleImageExpanded(image);
+                }
+            });
+        });
+
+        // 消息操作（编辑、删除、查看编辑历史）
+        this.messagesContainer.addEventListener('click', (e) => {
+            const messageElement = e.target.closest('.message');
+            if (!messageElement || !messageElement.dataset.messageId) return;
+            const messageId = parseInt(messageElement.dataset.messageId);
+
+            const quote = e.target.closest('.message-quote');
+            const reactionChip = e.target.closest('.reaction-chip');
+            const pickerOption = e.target.closest('.reaction-option');
+            if (reactionChip) {
+                this.toggleReaction(messageId, reactionChip.dataset.emoji, reactionChip.classList.contains('mine'));
+            } else if (pickerOption) {
+                pickerOption.closest('.reaction-picker').remove();
+                this.toggleReaction(messageId, pickerOption.dataset.emoji, false);
+            } else if (e.target.closest('.message-react-btn')) {
+                this.toggleReactionPicker(messageElement);
+            } else if (quote) {
+                this.scrollToMessage(parseInt(quote.dataset.quoteId));
+            } else if (e.target.closest('.thread-count')) {
+                this.openThread(messageId);
+            } else if (e.target.closest('.message-reply-btn')) {
+                this.setReplyTarget(messageElement);
+            } else if (e.target.closest('.message-edit-btn')) {
+                this.editMessage(messageId);
+            } else if (e.target.closest('.message-delete-btn')) {
+                this.deleteMessage(messageId);
+            } else if (e.target.closest('.message-edited')) {
+                this.showEditHistory(messageId);
+            }
+        });
+
+        // 滚动到顶部时加载更早的消息
+        this.messagesContainer.addEventListener('scroll', () => {
+            if (this.messagesContainer.scrollTop < 50) {
+                this.loadOlderMessages();
+            }
+        });
+
+        // 搜索
+        this.searchBtn.addEventListener('click', () => {
+            this.showSearchModal(null);
+        });
+
+        this.roomSearchBtn.addEventListener('click', () => {
+            this.showSearchModal(this.currentRoom ? this.currentRoom.id : null);
+        });
+
+        this.closeSearchModal.addEventListener('click', () => {
+            this.hideSearchModal();
+        });
+
+        this.searchForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.searchMessages(false);
+        });
+
+        this.searchMoreBtn.addEventListener('click', () => {
+            this.searchMessages(true);
+        });
+
+        this.searchResults.addEventListener('click', (e) => {
+            const item = e.target.closest('.search-result');
+            if (item) {
+                this.openSearchResult(item.dataset);
+            }
+        });
+
+        // 取消回复
+        this.cancelReplyBtn.addEventListener('click', () => {
+            this.clearReplyTarget();
+        });
+
+        // 话题弹窗
+        this.closeThreadModal.addEventListener('click', () => {
+            this.hideThreadModal();
+        });
+
+        this.replyThreadBtn.addEventListener('click', () => {
+            const root = this.currentThreadRoot;
+            this.hideThreadModal();
+            if (root && !root.deleted_at) {
+                this.replyingTo = { id: root.id, nickname: root.nickname, content: root.content };
+                this.showReplyPreview();
+            }
+        });
     }
 
     /**
      * 检查用户认证状态
      */
     async checkAuthStatus() {
+        // 从密码重置链接打开时直接显示重置表单
+        if (this.handlePendingPasswordReset()) {
+            return;
+        }
+
         try {
             const response = await fetch('/api/user');
             if (response.ok) {
@@ -225,7 +665,9 @@ class ChatRoom {
                 this.currentUser = data.user;
                 this.showChatroomList();
                 this.loadChatrooms();
+                this.loadConversations();
                 this.initializeSocket();
+                this.handlePendingInvite();
             } else {
                 this.showAuthModal();
             }
@@ -241,18 +683,34 @@ class ChatRoom {
     initializeSocket() {
         this.socket = io();
 
-        // 连接成功
+        // 连接成功（服务器根据会话cookie识别用户）
         this.socket.on('connect', () => {
             console.log('已连接到服务器');
-            // 发送用户认证信息
-            if (this.currentUser) {
-                this.socket.emit('authenticate', { id: this.currentUser.id });
+        });
+
+        // 连接被拒绝：会话缺失或已过期
+        this.socket.on('connect_error', (error) => {
+            console.error('Socket连接失败:', error.message);
+            if (error.message === '请先登录') {
+                this.handleSessionExpired();
+            }
+        });
+
+        // 服务器主动断开（例如在其他页面登出）
+        this.socket.on('disconnect', (reason) => {
+            if (reason === 'io server disconnect') {
+                this.handleSessionExpired();
             }
         });
 
         // 认证成功
         this.socket.on('authenticated', async (data) => {
             console.log('Socket认证成功');
+            // 新连接在服务器上视为活跃，页面隐藏或已闲置时重新上报
+            this.presenceActive = true;
+            if (document.hidden || Date.now() - this.lastActivityTime >= IDLE_TIMEOUT) {
+                this.reportPresenceActivity(false);
+            }
             // 重新获取用户信息以确保头像是最新的
             await this.refreshUserInfo();
         });
@@ -260,15 +718,50 @@ class ChatRoom {
         // 接收消息
         this.socket.on('message', (data) => {
             console.log('收到消息:', data);
+            if (data.clientMessageId && data.userId === this.currentUser.id) {
+                this.sendingMessages.delete(data.clientMessageId);
+            }
             
             if (this.currentRoom && data.chatroomId === this.currentRoom.id) {
                 console.log('消息在当前房间，直接显示');
                 this.displayMessage(data);
+                this.markRoomRead(data.id);
+            } else if (!this.cachedChatrooms.some(room => room.id === data.chatroomId)) {
+                // 私聊或群聊消息：刷新会话列表和未读数（可能是别人新发起的会话）
+                this.loadConversations();
             } else {
                 console.log('消息不在当前房间，忽略');
             }
         });
 
+        // 消息被服务器拒绝：提示原因，输入框为空时恢复未发送的文字
+        this.socket.on('messageRejected', (data) => {
+            const draft = this.sendingMessages.get(data.clientMessageId);
+            this.sendingMessages.delete(data.clientMessageId);
+            if (draft && this.currentRoom && this.currentRoom.id === draft.chatroomId && !this.messageInput.value) {
+                this.messageInput.value = draft.content;
+            }
+            alert('消息发送失败：' + data.reason);
+        });
+
+        // 操作过于频繁被服务器限制：在当前房间中提示，不打断操作
+        this.socket.on('rateLimited', (data) => {
+            console.warn('操作被限制:', data);
+            if (data.event === 'loadMessages') {
+                this.cancelHistoryLoading();
+            }
+            if (this.currentRoom) {
+                this.displaySystemMessage(data.message);
+            } else {
+                alert(data.message);
+            }
+        });
+
+        // 账号因多次登录失败被锁定（可能有人在尝试猜测密码）
+        this.socket.on('accountLocked', (data) => {
+            alert(`你的账号因多次登录失败已被临时锁定（来源IP：${data.ip}）。\n如果不是你本人操作，建议尽快修改密码；可在“账号安全”中查看登录记录或解除锁定。`);
+        });
+
         // 用户加入
         this.socket.on('userJoined', (data) => {
             if (this.currentRoom && data.user.id !== this.currentUser.id) {
@@ -283,6 +776,14 @@ class ChatRoom {
             }
         });
 
+        // 在其他标签页或设备上已读：同步清除未读数
+        this.socket.on('roomRead', (data) => {
+            this.clearUnreadCount(data.chatroomId);
+            if (this.conversations.some(conversation => conversation.id === data.chatroomId)) {
+                this.renderConversations();
+            }
+        });
+
         // 用户正在输入
         this.socket.on('userTyping', (data) => {
             if (this.currentRoom && data.user.id !== this.currentUser.id) {
@@ -290,15 +791,101 @@ class ChatRoom {
             }
         });
 
+        // 消息被编辑
+        this.socket.on('messageEdited', (data) => {
+            if (this.currentRoom && data.chatroomId === this.currentRoom.id) {
+                this.applyMessageEdit(data);
+            }
+        });
+
+        // 消息被删除
+        this.socket.on('messageDeleted', (data) => {
+            if (this.currentRoom && data.chatroomId === this.currentRoom.id) {
+                this.applyMessageDelete(data);
+            }
+        });
+
+        // 表情回应变化
+        this.socket.on('reactionUpdated', (data) => {
+            if (this.currentRoom && data.chatroomId === this.currentRoom.id) {
+                this.renderReactions(data.messageId, data.reactions);
+            }
+        });
+
+        // 话题回复数变化
+        this.socket.on('threadUpdated', (data) => {
+            if (this.currentRoom && data.chatroomId === this.currentRoom.id) {
+                this.updateThreadCount(data.rootId, data.replyCount);
+            }
+        });
+
         // 接收消息历史
-        this.socket.on('messageHistory', (history) => {
-            console.log('收到消息历史事件:', history);
-            this.displayMessageHistory(history);
+        this.socket.on('messageHistory', (data) => {
+            console.log('收到消息历史事件:', data);
+            if (this.currentRoom && data.chatroomId === this.currentRoom.id) {
+                this.hasMoreHistory = data.hasMore;
+                this.loadingHistory = false;
+                this.displayMessageHistory(data.messages, data.lastReadMessageId);
+                this.focusPendingMessage();
+            }
+        });
+
+        // 接收分页加载的更早消息
+        this.socket.on('messagesPage', (data) => {
+            if (data.error) {
+                this.cancelHistoryLoading();
+                return;
+            }
+            if (this.currentRoom && data.chatroomId === this.currentRoom.id && data.before) {
+                this.prependMessages(data.messages, data.hasMore);
+                this.focusPendingMessage();
+            }
+        });
+
+        // 被@提及：不在当前聊天室时显示提及徽章
+        this.socket.on('mentioned', (data) => {
+            if (this.currentRoom && data.chatroomId === this.currentRoom.id) {
+                return;
+            }
+            if (data.chatroomType === 'room') {
+                this.mentionCounts.set(data.chatroomId, (this.mentionCounts.get(data.chatroomId) || 0) + 1);
+                this.updateChatroomItem(data.chatroomId);
+            }
+            // 私聊和群聊的提及数随收到消息后刷新会话列表一起更新
+        });
+
+        // 聊天室信息变化（改名、修改描述、归档）
+        this.socket.on('chatroomUpdated', (data) => {
+            this.applyChatroomUpdate(data.chatroom);
+        });
+
+        // 聊天室被删除
+        this.socket.on('chatroomDeleted', (data) => {
+            this.applyChatroomDelete(data.chatroomId);
+        });
+
+        // 聊天室管理操作（角色变化、踢出、封禁、禁言等）
+        this.socket.on('moderationAction', (data) => {
+            this.handleModerationAction(data);
+        });
+
+        // 用户修改了个人资料（包括自己在其他设备上的修改）
+        this.socket.on('userProfileUpdated', (data) => {
+            this.applyProfileUpdate(data.user);
+        });
+
+        // 用户的在线状态变化
+        this.socket.on('presenceUpdated', (data) => {
+            this.applyPresenceUpdate(data);
         });
 
         // 接收聊天室成员列表
         this.socket.on('roomMembers', (members) => {
+            this.roomMembers = members;
+            const me = members.find(member => member.id === this.currentUser.id);
+            this.currentRoomRole = me ? me.role : null;
             this.updateRoomMemberCount(members.length);
+            this.renderMemberList(members);
         });
 
         // 接收正在输入的用户列表
@@ -323,11 +910,16 @@ class ChatRoom {
         document.querySelectorAll('.tab-button').forEach(btn => {
             btn.classList.remove('active');
         });
-        document.querySelector(`[data-tab="${tab}"]`).classList.add('active');
+        // 重置密码表单没有对应的标签按钮
+        const tabButton = document.querySelector(`[data-tab="${tab}"]`);
+        if (tabButton) {
+            tabButton.classList.add('active');
+        }
 
         // 显示对应表单
         this.loginForm.classList.toggle('active', tab === 'login');
         this.registerForm.classList.toggle('active', tab === 'register');
+        this.resetForm.classList.toggle('active', tab === 'reset');
     }
 
     /**
@@ -356,7 +948,9 @@ class ChatRoom {
                 this.currentUser = data.user;
                 this.showChatroomList();
                 this.loadChatrooms();
+                this.loadConversations();
                 this.initializeSocket();
+                this.handlePendingInvite();
             } else {
                 alert(data.message || '登录失败');
             }
@@ -410,6 +1004,81 @@ class ChatRoom {
         }
     }
 
+    /**
+     * 处理地址栏中的密码重置令牌（?resetToken=xxx）
+     * @returns {boolean} 是否显示了重置表单
+     */
+    handlePendingPasswordReset() {
+        const params = new URLSearchParams(window.location.search);
+        const token = params.get('resetToken');
+        if (!token) return false;
+
+        // 清除地址栏中的令牌，避免留在浏览历史中
+        window.history.replaceState(null, '', window.location.pathname);
+        this.resetToken = token;
+        this.showAuthModal();
+        this.switchAuthTab('reset');
+        return true;
+    }
+
+    /**
+     * 申请重置密码（发送重置邮件）
+     */
+    async handleForgotPassword() {
+        const account = prompt('请输入用户名或注册时填写的邮箱：');
+        if (!account || !account.trim()) return;
+
+        try {
+            const response = await fetch('/api/password/forgot', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ account: account.trim() })
+            });
+            const data = await response.json();
+            alert(data.message || (data.success ? '重置链接已发送' : '发送失败'));
+        } catch (error) {
+            console.error('申请重置密码错误:', error);
+            alert('发送失败，请重试');
+        }
+    }
+
+    /**
+     * 使用重置链接设置新密码
+     */
+    async handleResetPassword() {
+        const newPassword = document.getElementById('resetPassword').value;
+        const confirmPassword = document.getElementById('resetConfirmPassword').value;
+
+        if (newPassword !== confirmPassword) {
+            alert('两次输入的密码不一致');
+            return;
+        }
+
+        try {
+            const response = await fetch('/api/password/reset', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ token: this.resetToken, newPassword })
+            });
+            const data = await response.json();
+            if (data.success) {
+                alert(data.message || '密码已重置，请登录');
+                this.resetToken = null;
+                this.resetFormElement.reset();
+                this.switchAuthTab('login');
+            } else {
+                alert(data.message || '重置密码失败');
+            }
+        } catch (error) {
+            console.error('重置密码错误:', error);
+            alert('重置密码失败，请重试');
+        }
+    }
+
     /**
      * 处理用户登出
      */
@@ -428,6 +1097,19 @@ class ChatRoom {
         }
     }
 
+    /**
+     * 会话失效时清理状态并返回登录界面
+     */
+    handleSessionExpired() {
+        this.currentUser = null;
+        this.currentRoom = null;
+        if (this.socket) {
+            this.socket.disconnect();
+            this.socket = null;
+        }
+        this.showAuthModal();
+    }
+
     /**
      * 显示认证模态框
      */
@@ -450,6 +1132,10 @@ class ChatRoom {
         if (this.currentRoom) {
             console.log('离开当前聊天室:', this.currentRoom.id);
             this.socket.emit('leaveRoom', { chatroomId: this.currentRoom.id });
+            // 离开私聊或群聊后刷新会话列表中的最新消息
+            if (this.currentRoom.type && this.currentRoom.type !== 'room') {
+                this.loadConversations();
+            }
             this.currentRoom = null;
         }
         console.log('返回聊天室列表，清理当前房间状态');
@@ -480,12 +1166,17 @@ class ChatRoom {
      */
     async loadChatrooms() {
         try {
-            const response = await fetch('/api/chatrooms');
+            const query = this.showArchivedRooms.checked ? '?includeArchived=1' : '';
+            const response = await fetch(`/api/chatrooms${query}`);
             const data = await response.json();
             
             if (data.success) {
-                // 缓存聊天室数据
+                // 缓存聊天室数据，未读数以服务器记录的阅读位置为准
                 this.cachedChatrooms = data.chatrooms;
+                data.chatrooms.forEach(room => {
+                    this.unreadCounts.set(room.id, room.unread_count || 0);
+                    this.mentionCounts.set(room.id, room.mention_count || 0);
+                });
                 this.displayChatrooms(data.chatrooms);
             } else {
                 console.error('加载聊天室失败:', data.message);
@@ -515,24 +1206,392 @@ class ChatRoom {
     }
 
     /**
-     * 排序聊天室
-     * @param {Array} chatrooms - 聊天室数组
-     * @returns {Array} 排序后的聊天室数组
+     * 加载私聊和群聊会话列表
      */
-    sortChatrooms(chatrooms) {
-        console.log('开始排序聊天室:', {
-            sortType: this.currentSort,
-            sortOrder: this.sortOrder,
-            chatroomCount: chatrooms.length
-        });
-        
-        return chatrooms.sort((a, b) => {
-            // 首先按置顶状态排序（置顶的在前）
-            const pinnedA = a.is_pinned === 1 ? 1 : 0;
-            const pinnedB = b.is_pinned === 1 ? 1 : 0;
-            
-            console.log(`比较 ${a.name} (置顶:${pinnedA}) vs ${b.name} (置顶:${pinnedB})`);
-            
+    async loadConversations() {
+        try {
+            const response = await fetch('/api/conversations', {
+                credentials: 'include'
+            });
+            const data = await response.json();
+
+            if (data.success) {
+                this.conversations = data.conversations;
+                this.conversations.forEach(conversation => {
+                    this.unreadCounts.set(conversation.id, conversation.unread_count || 0);
+                    this.mentionCounts.set(conversation.id, conversation.mention_count || 0);
+                });
+                this.renderConversations();
+            } else {
+                console.error('加载会话失败:', data.message);
+            }
+        } catch (error) {
+            console.error('加载会话错误:', error);
+        }
+    }
+
+    /**
+     * 获取会话的显示名称（私聊显示对方昵称）
+     * @param {Object} conversation - 会话数据
+     * @returns {string} 显示名称
+     */
+    getConversationName(conversation) {
+        const others = (conversation.participants || []).filter(user => user.id !== this.currentUser.id);
+        if (conversation.type === 'direct' && others.length > 0) {
+            return others[0].nickname;
+        }
+        return others.map(user => user.nickname).join('、') || conversation.name;
+    }
+
+    /**
+     * 渲染私聊和群聊会话列表
+     */
+    renderConversations() {
+        this.conversationsContainer.innerHTML = '';
+
+        if (this.conversations.length === 0) {
+            this.conversationsContainer.innerHTML = '<div class="no-conversations">暂无私信，可在聊天室成员列表中发起私聊</div>';
+            return;
+        }
+
+        this.conversations.forEach(conversation => {
+            const item = document.createElement('div');
+            item.className = 'conversation-item';
+
+            const name = this.getConversationName(conversation);
+            const others = conversation.participants.filter(user => user.id !== this.currentUser.id);
+            const partner = conversation.type === 'direct' ? others[0] : null;
+            const avatar = partner
+                ? (partner.avatar || this.generateDefaultAvatar(partner.nickname))
+                : this.generateDefaultAvatar(name);
+            const unreadCount = this.unreadCounts.get(conversation.id) || 0;
+            const mentionCount = this.mentionCounts.get(conversation.id) || 0;
+            const lastReplyTime = conversation.last_reply_time ? this.formatLastReplyTime(conversation.last_reply_time) : '';
+
+            item.innerHTML = `
+                <span class="conversation-avatar-wrap">
+                    <img src="${this.escapeHtml(avatar)}" alt="${this.escapeHtml(name)}" class="conversation-avatar">
+                    ${partner ? this.renderPresenceDot(partner) : ''}
+                </span>
+                <div class="conversation-body">
+                    <div class="conversation-header">
+                        <span class="conversation-name">${this.escapeHtml(name)}</span>
+                        ${conversation.type === 'group' ? `<span class="conversation-size">${conversation.participants.length}人</span>` : ''}
+                        <span class="conversation-time">${lastReplyTime}</span>
+                    </div>
+                    <div class="conversation-preview">${this.escapeHtml(conversation.last_message || '')}</div>
+                </div>
+                ${mentionCount > 0 ? `<span class="mention-badge" title="有人@了你">@${mentionCount}</span>` : ''}
+                ${unreadCount > 0 ? `<span class="unread-badge">${unreadCount}</span>` : ''}
+            `;
+
+            item.addEventListener('click', () => {
+                this.openConversation(conversation);
+            });
+
+            this.conversationsContainer.appendChild(item);
+        });
+    }
+
+    /**
+     * 发起私聊或群聊，已存在的会话会被复用
+     * @param {Object} target - { userIds } 或 { usernames }
+     */
+    async startConversation(target) {
+        try {
+            const response = await fetch('/api/conversations', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                credentials: 'include',
+                body: JSON.stringify(target)
+            });
+
+            const data = await response.json();
+            if (data.success) {
+                await this.loadConversations();
+                const conversation = this.conversations.find(item => item.id === data.conversation.id);
+                this.openConversation(conversation || data.conversation);
+            } else {
+                alert(data.message || '发起会话失败');
+            }
+        } catch (error) {
+            console.error('发起会话错误:', error);
+            alert('发起会话失败');
+        }
+    }
+
+    /**
+     * 打开私聊或群聊会话
+     * @param {Object} conversation - 会话数据
+     */
+    openConversation(conversation) {
+        this.unreadCounts.set(conversation.id, 0);
+        this.mentionCounts.set(conversation.id, 0);
+        this.joinChatroom({ ...conversation, name: this.getConversationName(conversation) });
+    }
+
+    /**
+     * 渲染当前聊天室成员列表
+     * @param {Array} members - 成员列表
+     */
+    renderMemberList(members) {
+        const roleLabels = { owner: '群主', admin: '管理员' };
+        this.memberList.innerHTML = members.map(member => `
+            <li class="member-item" title="${this.escapeHtml(member.bio || '')}">
+                ${this.renderPresenceDot(member)}
+                <span class="member-name">${this.escapeHtml(member.nickname)}</span>
+                <span class="member-username">@${this.escapeHtml(member.username)}</span>
+                ${member.status_text ? `<span class="member-status">${this.escapeHtml(member.status_text)}</span>` : ''}
+                ${roleLabels[member.role] ? `<span class="member-role role-${member.role}">${roleLabels[member.role]}</span>` : ''}
+                ${member.is_muted ? '<span class="member-muted" title="已被禁言">🔇</span>' : ''}
+                ${member.id !== this.currentUser.id
+                    ? `<button class="dm-btn" data-user-id="${member.id}" title="发起私聊">私聊</button>`
+                    : ''}
+                ${this.renderMemberActions(member)}
+            </li>
+        `).join('');
+
+        // 私聊不能退出，封禁列表仅群主和管理员可见，设置仅群主可见
+        this.quitRoomBtn.style.display = this.currentRoom && this.currentRoom.type === 'direct' ? 'none' : '';
+        this.showBansBtn.style.display = this.isCurrentRoomModerator() ? '' : 'none';
+        this.roomSettingsBtn.style.display = this.currentRoomRole === 'owner' &&
+            (this.currentRoom.type || 'room') === 'room' ? '' : 'none';
+    }
+
+    /**
+     * 生成在线状态圆点HTML，离线时提示最后在线时间
+     * @param {Object} user - 用户信息（presence、last_seen）
+     * @returns {string} 圆点HTML
+     */
+    renderPresenceDot(user) {
+        const status = user.presence || 'offline';
+        let title = PRESENCE_LABELS[status] || PRESENCE_LABELS.offline;
+        if (status === 'offline' && user.last_seen) {
+            title += `，最后在线 ${this.formatLastReplyTime(user.last_seen)}`;
+        }
+        return `<span class="presence-dot presence-${this.escapeHtml(status)}" title="${this.escapeHtml(title)}"></span>`;
+    }
+
+    /**
+     * 生成成员管理按钮HTML（只能管理角色低于自己的成员）
+     * @param {Object} member - 成员信息
+     * @returns {string} 按钮HTML
+     */
+    renderMemberActions(member) {
+        const rank = { owner: 3, admin: 2, member: 1 };
+        if (!this.isCurrentRoomModerator() || member.id === this.currentUser.id ||
+            rank[member.role] >= rank[this.currentRoomRole]) {
+            return '';
+        }
+
+        const actions = [];
+        if (this.currentRoomRole === 'owner') {
+            actions.push(member.role === 'admin' ? ['demote', '取消管理员'] : ['promote', '设为管理员']);
+            actions.push(['transfer', '转让群主']);
+        }
+        actions.push(member.is_muted ? ['unmute', '解除禁言'] : ['mute', '禁言']);
+        actions.push(['kick', '踢出'], ['ban', '封禁']);
+
+        return `<span class="member-actions">${actions.map(([action, label]) =>
+            `<button class="member-action-btn" data-action="${action}" data-user-id="${member.id}">${label}</button>`
+        ).join('')}</span>`;
+    }
+
+    /**
+     * 对成员执行管理操作
+     * @param {string} action - 操作类型
+     * @param {number} userId - 目标用户ID
+     */
+    async moderateMember(action, userId) {
+        if (!this.currentRoom) return;
+
+        const member = this.roomMembers.find(item => item.id === userId);
+        const name = member ? member.nickname : '该用户';
+        const base = `/api/chatrooms/${this.currentRoom.id}`;
+        let request;
+
+        switch (action) {
+            case 'promote':
+            case 'demote':
+                request = { method: 'PUT', url: `${base}/members/${userId}/role`, body: { role: action === 'promote' ? 'admin' : 'member' } };
+                break;
+            case 'transfer':
+                if (!confirm(`确定将群主转让给 ${name} 吗？转让后你将成为管理员。`)) return;
+                request = { method: 'POST', url: `${base}/transfer`, body: { userId } };
+                break;
+            case 'mute': {
+                const duration = prompt(`禁言 ${name} 的时长（分钟），留空为永久禁言：`, '60');
+                if (duration === null) return;
+                request = { method: 'POST', url: `${base}/mutes`, body: { userId, durationMinutes: duration } };
+                break;
+            }
+            case 'unmute':
+                request = { method: 'DELETE', url: `${base}/mutes/${userId}` };
+                break;
+            case 'kick':
+                if (!confirm(`确定将 ${name} 移出聊天室吗？`)) return;
+                request = { method: 'DELETE', url: `${base}/members/${userId}` };
+                break;
+            case 'ban': {
+                const duration = prompt(`封禁 ${name} 的时长（分钟），留空为永久封禁：`, '');
+                if (duration === null) return;
+                const reason = prompt('封禁原因（可选）：', '');
+                request = { method: 'POST', url: `${base}/bans`, body: { userId, durationMinutes: duration, reason } };
+                break;
+            }
+            case 'unban':
+                request = { method: 'DELETE', url: `${base}/bans/${userId}` };
+                break;
+            default:
+                return;
+        }
+
+        try {
+            const response = await fetch(request.url, {
+                method: request.method,
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                credentials: 'include',
+                body: request.body ? JSON.stringify(request.body) : undefined
+            });
+            const data = await response.json();
+            if (!data.success) {
+                alert(data.message || '操作失败');
+                return;
+            }
+            if (action === 'unban' || (action === 'ban' && this.banList.style.display !== 'none')) {
+                this.loadBanList();
+            }
+        } catch (error) {
+            console.error('成员管理操作错误:', error);
+            alert('操作失败，请重试');
+        }
+    }
+
+    /**
+     * 显示或隐藏封禁列表
+     */
+    toggleBanList() {
+        const isHidden = this.banList.style.display === 'none';
+        this.banList.style.display = isHidden ? 'block' : 'none';
+        if (isHidden) {
+            this.loadBanList();
+        }
+    }
+
+    /**
+     * 加载当前聊天室的封禁列表
+     */
+    async loadBanList() {
+        if (!this.currentRoom) return;
+
+        try {
+            const response = await fetch(`/api/chatrooms/${this.currentRoom.id}/bans`, {
+                credentials: 'include'
+            });
+            const data = await response.json();
+            if (!data.success) {
+                alert(data.message || '获取封禁列表失败');
+                return;
+            }
+
+            this.banList.innerHTML = data.bans.length === 0
+                ? '<li class="member-item">暂无封禁用户</li>'
+                : data.bans.map(ban => `
+                    <li class="member-item">
+                        <span class="member-name">${this.escapeHtml(ban.nickname)}</span>
+                        <span class="member-username">
+                            ${ban.expires_at ? `至 ${new Date(ban.expires_at).toLocaleString('zh-CN')}` : '永久'}
+                            ${ban.reason ? `· ${this.escapeHtml(ban.reason)}` : ''}
+                        </span>
+                        <button class="member-action-btn unban-btn" data-user-id="${ban.user_id}">解除封禁</button>
+                    </li>
+                `).join('');
+        } catch (error) {
+            console.error('获取封禁列表错误:', error);
+        }
+    }
+
+    /**
+     * 处理聊天室管理操作通知
+     * @param {Object} data - { chatroomId, action, userId, message }
+     */
+    handleModerationAction(data) {
+        const isCurrentRoom = this.currentRoom && data.chatroomId === this.currentRoom.id;
+        const isRemoved = data.userId === this.currentUser.id && (data.action === 'kick' || data.action === 'ban');
+
+        if (isRemoved) {
+            if (isCurrentRoom) {
+                this.showChatroomList();
+            }
+            alert(data.message);
+            this.loadChatrooms();
+            return;
+        }
+
+        // 自己主动退出时已经回到列表，不再显示提示
+        if (isCurrentRoom && !(data.action === 'leave' && data.userId === this.currentUser.id)) {
+            this.displaySystemMessage(data.message);
+        }
+    }
+
+    /**
+     * 退出当前聊天室（移除成员身份）
+     */
+    async quitCurrentRoom() {
+        if (!this.currentRoom) return;
+
+        const warning = this.currentRoomRole === 'owner'
+            ? '你是群主，退出后群主将自动转让给其他管理员或成员。确定退出吗？'
+            : '确定退出该聊天室吗？';
+        if (!confirm(warning)) return;
+
+        try {
+            const response = await fetch(`/api/chatrooms/${this.currentRoom.id}/leave`, {
+                method: 'POST',
+                credentials: 'include'
+            });
+            const data = await response.json();
+            if (!data.success) {
+                alert(data.message || '退出聊天室失败');
+                return;
+            }
+
+            const wasConversation = this.currentRoom.type && this.currentRoom.type !== 'room';
+            this.showChatroomList();
+            if (wasConversation) {
+                this.loadConversations();
+            } else {
+                this.loadChatrooms();
+            }
+        } catch (error) {
+            console.error('退出聊天室错误:', error);
+            alert('退出聊天室失败');
+        }
+    }
+
+    /**
+     * 排序聊天室
+     * @param {Array} chatrooms - 聊天室数组
+     * @returns {Array} 排序后的聊天室数组
+     */
+    sortChatrooms(chatrooms) {
+        console.log('开始排序聊天室:', {
+            sortType: this.currentSort,
+            sortOrder: this.sortOrder,
+            chatroomCount: chatrooms.length
+        });
+        
+        return chatrooms.sort((a, b) => {
+            // 首先按置顶状态排序（置顶的在前）
+            const pinnedA = a.is_pinned === 1 ? 1 : 0;
+            const pinnedB = b.is_pinned === 1 ? 1 : 0;
+            
+            console.log(`比较 ${a.name} (置顶:${pinnedA}) vs ${b.name} (置顶:${pinnedB})`);
+            
             if (pinnedA !== pinnedB) {
                 console.log(`置顶状态不同，${pinnedA > pinnedB ? a.name : b.name} 排在前面`);
                 return pinnedB - pinnedA; // 置顶的在前
@@ -619,6 +1678,13 @@ class ChatRoom {
         sortedRooms.forEach(room => {
             const roomElement = document.createElement('div');
             roomElement.className = 'room-item';
+            roomElement.dataset.roomId = room.id;
+
+            const unreadCount = this.unreadCounts.get(room.id) || 0;
+            const mentionCount = this.mentionCounts.get(room.id) || 0;
+            if (unreadCount > 0) {
+                roomElement.classList.add('has-unread');
+            }
             
             // 格式化最后回复时间和创建时间
             const lastReplyTime = room.last_reply_time ? this.formatLastReplyTime(room.last_reply_time) : '';
@@ -629,10 +1695,13 @@ class ChatRoom {
             if (isPinned) {
                 roomElement.setAttribute('data-pinned', 'true');
             }
+            const isPrivate = !room.is_public;
             roomElement.innerHTML = `
                 <div class="room-header">
                     <div class="room-name-container">
                         <div class="room-name">${this.escapeHtml(room.name)}</div>
+                        ${isPrivate ? '<span class="private-indicator" title="私密聊天室">🔒</span>' : ''}
+                        ${room.archived_at ? '<span class="archived-indicator" title="已归档，只读">已归档</span>' : ''}
                         ${isPinned ? '<span class="pinned-indicator" title="已置顶">📌</span>' : ''}
                     </div>
                     <div class="room-actions">
@@ -642,6 +1711,8 @@ class ChatRoom {
                         <div class="room-members">
                             <span class="online-indicator"></span>
                             ${room.online_count || 0} 人在线
+                            ${mentionCount > 0 ? `<span class="mention-badge" title="有人@了你">@${mentionCount}</span>` : ''}
+                            ${unreadCount > 0 ? `<span class="unread-badge">${unreadCount}</span>` : ''}
                         </div>
                     </div>
                 </div>
@@ -691,6 +1762,7 @@ class ChatRoom {
      */
     clearUnreadCount(chatroomId) {
         this.unreadCounts.set(chatroomId, 0);
+        this.mentionCounts.set(chatroomId, 0);
         this.lastReadTimes.set(chatroomId, new Date());
         this.updateChatroomItem(chatroomId); // 更新聊天室项显示
     }
@@ -700,7 +1772,7 @@ class ChatRoom {
      * @param {number} chatroomId - 聊天室ID
      */
     updateChatroomItem(chatroomId) {
-        const roomElement = document.querySelector(`[data-room-id="${chatroomId}"]`);
+        const roomElement = document.querySelector(`.room-item[data-room-id="${chatroomId}"]`);
         if (!roomElement) {
             console.log(`❌ 未找到聊天室元素: ${chatroomId}`);
             return;
@@ -732,6 +1804,26 @@ class ChatRoom {
             roomElement.classList.remove('has-unread');
         }
 
+        // 更新提及徽章（显示在未读徽章之前）
+        const mentionCount = this.mentionCounts.get(chatroomId) || 0;
+        const mentionBadge = roomElement.querySelector('.mention-badge');
+        if (mentionCount > 0) {
+            if (mentionBadge) {
+                mentionBadge.textContent = `@${mentionCount}`;
+            } else {
+                const membersDiv = roomElement.querySelector('.room-members');
+                if (membersDiv) {
+                    const badge = document.createElement('span');
+                    badge.className = 'mention-badge';
+                    badge.title = '有人@了你';
+                    badge.textContent = `@${mentionCount}`;
+                    membersDiv.insertBefore(badge, membersDiv.querySelector('.unread-badge'));
+                }
+            }
+        } else if (mentionBadge) {
+            mentionBadge.remove();
+        }
+
         // 如果未读消息数量变化较大，重新排序聊天室列表
         // 这里可以添加一个简单的重新排序逻辑
         this.reorderChatrooms();
@@ -764,6 +1856,19 @@ class ChatRoom {
             if (response.ok) {
                 this.currentRoom = room;
                 this.currentRoomName.textContent = room.name;
+                this.memberPanel.style.display = 'none';
+                this.memberList.innerHTML = '';
+                this.roomMembers = [];
+                this.currentRoomRole = null;
+                this.roomSettingsBtn.style.display = 'none';
+                this.updateArchivedState();
+                this.banList.style.display = 'none';
+                this.banList.innerHTML = '';
+                this.mentionCounts.set(room.id, 0);
+                this.hasMoreHistory = false;
+                this.loadingHistory = false;
+                // 私聊和群聊不能邀请他人
+                this.inviteBtn.style.display = (room.type || 'room') === 'room' ? '' : 'none';
                 this.showChatInterface();
                 
                 // 清空消息容器，但先显示加载提示
@@ -797,6 +1902,75 @@ class ChatRoom {
         }
     }
 
+    /**
+     * 为当前聊天室生成邀请链接
+     */
+    async createInvite() {
+        if (!this.currentRoom) return;
+
+        try {
+            const response = await fetch(`/api/chatrooms/${this.currentRoom.id}/invites`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                credentials: 'include',
+                body: JSON.stringify({})
+            });
+
+            const data = await response.json();
+            if (data.success) {
+                const link = `${window.location.origin}/?invite=${data.invite.code}`;
+                prompt('邀请链接已生成（7天内有效），复制后发送给好友：', link);
+            } else {
+                alert(data.message || '生成邀请失败');
+            }
+        } catch (error) {
+            console.error('生成邀请错误:', error);
+            alert('生成邀请失败');
+        }
+    }
+
+    /**
+     * 处理地址栏中的邀请码（?invite=xxx）
+     */
+    handlePendingInvite() {
+        const params = new URLSearchParams(window.location.search);
+        const code = params.get('invite');
+        if (!code) return;
+
+        // 清除地址栏中的邀请码，避免刷新后重复处理
+        window.history.replaceState(null, '', window.location.pathname);
+        this.acceptInvite(code);
+    }
+
+    /**
+     * 接受邀请并进入聊天室
+     * @param {string} input - 邀请码或完整的邀请链接
+     */
+    async acceptInvite(input) {
+        const match = input.trim().match(/invite=([0-9a-f]+)/i);
+        const code = match ? match[1] : input.trim();
+
+        try {
+            const response = await fetch(`/api/invites/${encodeURIComponent(code)}/accept`, {
+                method: 'POST',
+                credentials: 'include'
+            });
+
+            const data = await response.json();
+            if (data.success) {
+                await this.loadChatrooms();
+                this.joinChatroom(data.chatroom);
+            } else {
+                alert(data.message || '加入聊天室失败');
+            }
+        } catch (error) {
+            console.error('接受邀请错误:', error);
+            alert('加入聊天室失败');
+        }
+    }
+
     /**
      * 显示创建聊天室模态框
      */
@@ -818,6 +1992,7 @@ class ChatRoom {
     async handleCreateRoom() {
         const name = document.getElementById('roomName').value.trim();
         const description = document.getElementById('roomDescription').value.trim();
+        const isPublic = !document.getElementById('roomPrivate').checked;
 
         if (!name) {
             alert('请输入聊天室名称');
@@ -830,7 +2005,7 @@ class ChatRoom {
                 headers: {
                     'Content-Type': 'application/json'
                 },
-                body: JSON.stringify({ name, description })
+                body: JSON.stringify({ name, description, isPublic })
             });
 
             const data = await response.json();
@@ -848,54 +2023,317 @@ class ChatRoom {
     }
 
     /**
-     * 发送消息
+     * 显示聊天室设置模态框
      */
-    sendMessage() {
-        const message = this.messageInput.value.trim();
-        const imageUrl = this.pendingImageUrl;
-        
-        // 消息必须包含内容或图片
-        if ((!message && !imageUrl) || !this.currentRoom) {
-            console.log('发送消息失败:', { message, imageUrl, currentRoom: this.currentRoom });
-            return;
-        }
-
-        console.log('发送消息:', { 
-            chatroomId: this.currentRoom.id, 
-            content: message,
-            imageUrl: imageUrl,
-            socket: this.socket ? 'connected' : 'disconnected'
-        });
-
-        this.socket.emit('message', { 
-            chatroomId: this.currentRoom.id, 
-            content: message,
-            imageUrl: imageUrl
-        });
-        
-        // 清空输入和预览
-        this.messageInput.value = '';
-        this.removeImagePreview();
-        
-        // 停止输入状态
-        this.stopTyping();
+    showRoomSettingsModal() {
+        if (!this.currentRoom) return;
+        document.getElementById('settingsRoomName').value = this.currentRoom.name;
+        document.getElementById('settingsRoomDescription').value = this.currentRoom.description || '';
+        this.archiveRoomBtn.textContent = this.currentRoom.archived_at ? '取消归档' : '归档聊天室';
+        this.roomSettingsModal.style.display = 'flex';
     }
 
     /**
-     * 处理粘贴事件（从剪切板粘贴图片）
-     * @param {Event} e - 粘贴事件
+     * 隐藏聊天室设置模态框
      */
-    async handlePaste(e) {
-        // 只在聊天界面显示时处理粘贴
-        if (!this.currentRoom || this.chatContainer.style.display === 'none') {
-            return;
-        }
-
-        const items = e.clipboardData?.items;
-        if (!items) return;
+    hideRoomSettingsModal() {
+        this.roomSettingsModal.style.display = 'none';
+    }
 
-        // 查找图片类型的剪贴板项
-        for (let i = 0; i < items.length; i++) {
+    /**
+     * 调用聊天室管理接口
+     * @param {string} method - HTTP方法
+     * @param {string} url - 接口地址
+     * @param {Object} body - 请求体
+     * @returns {Promise<Object|null>} 成功时返回响应数据
+     */
+    async requestRoomChange(method, url, body = null) {
+        try {
+            const response = await fetch(url, {
+                method,
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                credentials: 'include',
+                body: body ? JSON.stringify(body) : undefined
+            });
+            const data = await response.json();
+            if (!data.success) {
+                alert(data.message || '操作失败');
+                return null;
+            }
+            return data;
+        } catch (error) {
+            console.error('聊天室操作错误:', error);
+            alert('操作失败，请重试');
+            return null;
+        }
+    }
+
+    /**
+     * 保存聊天室名称和描述
+     */
+    async saveRoomSettings() {
+        const name = document.getElementById('settingsRoomName').value.trim();
+        const description = document.getElementById('settingsRoomDescription').value.trim();
+        if (!name) {
+            alert('请输入聊天室名称');
+            return;
+        }
+
+        const data = await this.requestRoomChange('PUT', `/api/chatrooms/${this.currentRoom.id}`, { name, description });
+        if (data) {
+            this.hideRoomSettingsModal();
+        }
+    }
+
+    /**
+     * 归档或取消归档当前聊天室
+     */
+    async toggleRoomArchived() {
+        const archived = !!this.currentRoom.archived_at;
+        if (!archived && !confirm('归档后聊天室将变为只读，并默认不在列表中显示。确定归档吗？')) return;
+
+        const data = await this.requestRoomChange(archived ? 'DELETE' : 'POST', `/api/chatrooms/${this.currentRoom.id}/archive`);
+        if (data) {
+            this.hideRoomSettingsModal();
+        }
+    }
+
+    /**
+     * 删除当前聊天室
+     */
+    async deleteCurrentRoom() {
+        if (!confirm(`确定删除聊天室「${this.currentRoom.name}」吗？所有消息将被永久删除，无法恢复。`)) return;
+
+        const data = await this.requestRoomChange('DELETE', `/api/chatrooms/${this.currentRoom.id}`);
+        if (data) {
+            this.hideRoomSettingsModal();
+        }
+    }
+
+    /**
+     * 应用聊天室信息变化：更新列表和当前打开的聊天室
+     * @param {Object} chatroom - 变化后的聊天室信息
+     */
+    applyChatroomUpdate(chatroom) {
+        const index = this.cachedChatrooms.findIndex(room => room.id === chatroom.id);
+        if (chatroom.archived_at && !this.showArchivedRooms.checked) {
+            if (index !== -1) {
+                this.cachedChatrooms.splice(index, 1);
+            }
+        } else if (index !== -1) {
+            this.cachedChatrooms[index] = {
+                ...this.cachedChatrooms[index],
+                name: chatroom.name,
+                description: chatroom.description,
+                archived_at: chatroom.archived_at
+            };
+        } else {
+            // 新出现在列表中的聊天室（例如取消归档）需要完整的列表数据
+            this.loadChatrooms();
+        }
+        this.displayChatrooms(this.cachedChatrooms);
+
+        if (this.currentRoom && this.currentRoom.id === chatroom.id) {
+            const wasArchived = !!this.currentRoom.archived_at;
+            this.currentRoom = {
+                ...this.currentRoom,
+                name: chatroom.name,
+                description: chatroom.description,
+                archived_at: chatroom.archived_at
+            };
+            this.currentRoomName.textContent = chatroom.name;
+            this.updateArchivedState();
+            if (wasArchived !== !!chatroom.archived_at) {
+                this.displaySystemMessage(chatroom.archived_at ? '聊天室已归档，只能查看历史消息' : '聊天室已取消归档');
+            } else {
+                this.displaySystemMessage('聊天室信息已更新');
+            }
+        }
+    }
+
+    /**
+     * 聊天室被删除：从列表移除，正在查看时返回列表
+     * @param {number} chatroomId - 聊天室ID
+     */
+    applyChatroomDelete(chatroomId) {
+        this.cachedChatrooms = this.cachedChatrooms.filter(room => room.id !== chatroomId);
+        this.displayChatrooms(this.cachedChatrooms);
+
+        if (this.currentRoom && this.currentRoom.id === chatroomId) {
+            this.currentRoom = null;
+            this.showChatroomList();
+            alert('该聊天室已被删除');
+        }
+    }
+
+    /**
+     * 根据当前聊天室是否归档切换输入区的只读状态
+     */
+    updateArchivedState() {
+        const archived = !!(this.currentRoom && this.currentRoom.archived_at);
+        this.messageInput.disabled = archived;
+        this.sendButton.disabled = archived;
+        this.imageUploadBtn.disabled = archived;
+        this.fileUploadBtn.disabled = archived;
+        this.messageInput.placeholder = archived ? '聊天室已归档，只能查看历史消息' : '输入消息或粘贴图片...';
+    }
+
+    /**
+     * 发送消息
+     */
+    sendMessage() {
+        const message = this.messageInput.value.trim();
+        const imageUrl = this.pendingImageUrl;
+        const attachment = this.pendingAttachment;
+        
+        // 消息必须包含内容、图片或附件
+        if ((!message && !imageUrl && !attachment) || !this.currentRoom) {
+            console.log('发送消息失败:', { message, imageUrl, currentRoom: this.currentRoom });
+            return;
+        }
+
+        console.log('发送消息:', { 
+            chatroomId: this.currentRoom.id, 
+            content: message,
+            imageUrl: imageUrl,
+            socket: this.socket ? 'connected' : 'disconnected'
+        });
+
+        const clientMessageId = `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+        this.sendingMessages.set(clientMessageId, { chatroomId: this.currentRoom.id, content: message });
+
+        this.socket.emit('message', { 
+            chatroomId: this.currentRoom.id, 
+            content: message,
+            imageUrl: imageUrl,
+            attachmentId: attachment ? attachment.id : null,
+            replyTo: this.replyingTo ? this.replyingTo.id : null,
+            clientMessageId
+        });
+        
+        // 清空输入、预览和回复
+        this.messageInput.value = '';
+        this.removeImagePreview();
+        this.removeFilePreview();
+        this.clearReplyTarget();
+        
+        // 停止输入状态
+        this.stopTyping();
+        this.hideMentionSuggestions();
+    }
+
+    /**
+     * 根据光标前的@文本更新提及候选列表
+     */
+    updateMentionSuggestions() {
+        const caret = this.messageInput.selectionStart;
+        const beforeCaret = this.messageInput.value.slice(0, caret);
+        const match = beforeCaret.match(/(^|\s)@([^\s@]*)$/);
+        if (!match) {
+            this.hideMentionSuggestions();
+            return;
+        }
+
+        const keyword = match[2].toLowerCase();
+        const matches = this.roomMembers
+            .filter(member => member.id !== this.currentUser.id)
+            .filter(member => member.username.toLowerCase().includes(keyword) ||
+                member.nickname.toLowerCase().includes(keyword))
+            .slice(0, 8);
+        if (matches.length === 0) {
+            this.hideMentionSuggestions();
+            return;
+        }
+
+        this.mentionQuery = { start: caret - match[2].length - 1, end: caret, matches, activeIndex: 0 };
+        this.renderMentionSuggestions();
+    }
+
+    /**
+     * 渲染提及候选列表
+     */
+    renderMentionSuggestions() {
+        const { matches, activeIndex } = this.mentionQuery;
+        this.mentionSuggestions.innerHTML = matches.map((member, index) => `
+            <li class="mention-suggestion ${index === activeIndex ? 'active' : ''}" data-index="${index}">
+                <span class="member-name">${this.escapeHtml(member.nickname)}</span>
+                <span class="member-username">@${this.escapeHtml(member.username)}</span>
+            </li>
+        `).join('');
+        this.mentionSuggestions.style.display = 'block';
+    }
+
+    /**
+     * 隐藏提及候选列表
+     */
+    hideMentionSuggestions() {
+        this.mentionQuery = null;
+        this.mentionSuggestions.style.display = 'none';
+    }
+
+    /**
+     * 提及候选列表的键盘操作：上下选择，回车或Tab确认，Esc关闭
+     * @param {KeyboardEvent} e - 键盘事件
+     */
+    handleMentionKeydown(e) {
+        if (!this.mentionQuery) return;
+
+        const count = this.mentionQuery.matches.length;
+        switch (e.key) {
+            case 'ArrowDown':
+                this.mentionQuery.activeIndex = (this.mentionQuery.activeIndex + 1) % count;
+                this.renderMentionSuggestions();
+                break;
+            case 'ArrowUp':
+                this.mentionQuery.activeIndex = (this.mentionQuery.activeIndex - 1 + count) % count;
+                this.renderMentionSuggestions();
+                break;
+            case 'Enter':
+            case 'Tab':
+                this.applyMention(this.mentionQuery.activeIndex);
+                break;
+            case 'Escape':
+                this.hideMentionSuggestions();
+                break;
+            default:
+                return;
+        }
+        e.preventDefault();
+    }
+
+    /**
+     * 将选中的成员以 @用户名 的形式插入输入框
+     * @param {number} index - 候选索引
+     */
+    applyMention(index) {
+        const { start, end, matches } = this.mentionQuery;
+        const member = matches[index];
+        const value = this.messageInput.value;
+        const insertion = `@${member.username} `;
+        this.messageInput.value = value.slice(0, start) + insertion + value.slice(end);
+
+        const caret = start + insertion.length;
+        this.messageInput.setSelectionRange(caret, caret);
+        this.hideMentionSuggestions();
+    }
+
+    /**
+     * 处理粘贴事件（从剪切板粘贴图片）
+     * @param {Event} e - 粘贴事件
+     */
+    async handlePaste(e) {
+        // 只在聊天界面显示时处理粘贴
+        if (!this.currentRoom || this.chatContainer.style.display === 'none') {
+            return;
+        }
+
+        const items = e.clipboardData?.items;
+        if (!items) return;
+
+        // 查找图片类型的剪贴板项
+        for (let i = 0; i < items.length; i++) {
             const item = items[i];
             
             // 检查是否是图片类型
@@ -922,6 +2360,7 @@ class ChatRoom {
                 // 上传图片
                 try {
                     const formData = new FormData();
+                    formData.append('chatroomId', this.currentRoom.id);
                     formData.append('image', file);
 
                     // 显示上传提示（可选，如果已经有预览就不需要了）
@@ -934,6 +2373,7 @@ class ChatRoom {
                     const result = await response.json();
                     if (result.success) {
                         this.pendingImageUrl = result.imageUrl;
+                        this.pendingImageId = result.id;
                         console.log('粘贴图片上传成功:', result.imageUrl);
                         
                         // 将焦点移回输入框，方便继续输入文字
@@ -988,6 +2428,7 @@ class ChatRoom {
         // 上传图片
         try {
             const formData = new FormData();
+            formData.append('chatroomId', this.currentRoom.id);
             formData.append('image', file);
 
             const response = await fetch('/api/upload/image', {
@@ -999,6 +2440,7 @@ class ChatRoom {
             const result = await response.json();
             if (result.success) {
                 this.pendingImageUrl = result.imageUrl;
+                this.pendingImageId = result.id;
                 console.log('图片上传成功:', result.imageUrl);
             } else {
                 alert('图片上传失败: ' + result.message);
@@ -1015,82 +2457,913 @@ class ChatRoom {
     }
 
     /**
-     * 移除图片预览
+     * 加载附件上传限制（只加载一次）
+     */
+    async loadUploadConfig() {
+        if (this.uploadConfig) return;
+
+        try {
+            const response = await fetch('/api/upload/config', {
+                credentials: 'include'
+            });
+            const data = await response.json();
+            if (data.success) {
+                this.uploadConfig = data;
+                this.fileInput.accept = data.allowedExtensions.map(ext => `.${ext}`).join(',');
+            }
+        } catch (error) {
+            console.error('获取上传配置错误:', error);
+        }
+    }
+
+    /**
+     * 处理附件选择并上传
+     * @param {Event} e - 文件选择事件
+     */
+    async handleFileSelect(e) {
+        const file = e.target.files[0];
+        if (!file || !this.currentRoom) return;
+
+        // 按服务器配置预先校验，最终以服务器校验为准
+        if (this.uploadConfig) {
+            const ext = file.name.includes('.') ? file.name.split('.').pop().toLowerCase() : '';
+            if (!this.uploadConfig.allowedExtensions.includes(ext)) {
+                alert(`不支持的文件类型，仅允许: ${this.uploadConfig.allowedExtensions.join(', ')}`);
+                this.fileInput.value = '';
+                return;
+            }
+            if (file.size > this.uploadConfig.maxSize) {
+                alert(`文件大小不能超过 ${this.formatFileSize(this.uploadConfig.maxSize)}`);
+                this.fileInput.value = '';
+                return;
+            }
+        }
+
+        this.filePreviewName.textContent = file.name;
+        this.filePreviewSize.textContent = '上传中...';
+        this.filePreview.style.display = 'flex';
+        this.pendingAttachment = null;
+
+        try {
+            const formData = new FormData();
+            formData.append('chatroomId', this.currentRoom.id);
+            formData.append('file', file);
+
+            const response = await fetch('/api/upload/file', {
+                method: 'POST',
+                body: formData,
+                credentials: 'include'
+            });
+
+            const result = await response.json();
+            if (result.success) {
+                this.pendingAttachment = result.attachment;
+                this.filePreviewSize.textContent = this.formatFileSize(result.attachment.size);
+            } else {
+                alert('文件上传失败: ' + result.message);
+                this.removeFilePreview();
+            }
+        } catch (error) {
+            console.error('文件上传错误:', error);
+            alert('文件上传失败，请重试');
+            this.removeFilePreview();
+        }
+
+        // 清空文件输入，允许重复选择同一文件
+        this.fileInput.value = '';
+    }
+
+    /**
+     * 移除附件预览
+     */
+    removeFilePreview() {
+        this.filePreview.style.display = 'none';
+        this.filePreviewName.textContent = '';
+        this.filePreviewSize.textContent = '';
+        this.pendingAttachment = null;
+        this.fileInput.value = '';
+    }
+
+    /**
+     * 放弃已上传但不再发送的图片或附件，释放占用的存储配额
+     * @param {number|null} attachmentId - 附件ID
+     */
+    discardUpload(attachmentId) {
+        if (!attachmentId) return;
+        fetch(`/api/attachments/${attachmentId}`, {
+            method: 'DELETE',
+            credentials: 'include'
+        }).catch(error => {
+            // 失败时由服务器的定期清理回收
+            console.error('删除未发送的上传失败:', error);
+        });
+    }
+
+    /**
+     * 格式化文件大小
+     * @param {number} bytes - 字节数
+     * @returns {string} 格式化后的大小
+     */
+    formatFileSize(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+    }
+
+    /**
+     * 生成消息图片HTML
+     * 有缩略图时先加载缩略图，展开时再加载原图；宽高属性用于在加载前占位，避免列表跳动
+     * @param {Object} image - { url, thumbnailUrl, width, height }
+     * @returns {string} 图片HTML
+     */
+    renderMessageImage(image) {
+        const src = image.thumbnailUrl || image.url;
+        const size = image.width && image.height ? ` width="${image.width}" height="${image.height}"` : '';
+        return `<img src="${this.escapeHtml(src)}" data-full="${this.escapeHtml(image.url)}"${size} alt="图片" class="message-image" loading="lazy">`;
+    }
+
+    /**
+     * 展开或收起消息图片，首次展开时把缩略图替换为原图
+     * @param {HTMLImageElement} image - 图片元素
+     */
+    toggleImageExpanded(image) {
+        const expanded = image.classList.toggle('expanded');
+        if (expanded && image.dataset.full && image.getAttribute('src') !== image.dataset.full) {
+            image.src = image.dataset.full;
+        }
+    }
+
+    /**
+     * 生成附件卡片HTML
+     * @param {Object} attachment - { id, name, size, mimeType }
+     * @returns {string} 附件卡片HTML
+     */
+    renderFileCard(attachment) {
+        const downloadUrl = `/api/attachments/${attachment.id}/download`;
+        return `<a class="file-card" href="${downloadUrl}" download="${this.escapeHtml(attachment.name)}" title="下载 ${this.escapeHtml(attachment.name)}">
+            <span class="file-icon">📄</span>
+            <span class="file-info">
+                <span class="file-name">${this.escapeHtml(attachment.name)}</span>
+                <span class="file-size">${this.formatFileSize(attachment.size)}</span>
+            </span>
+            <span class="file-download">⬇</span>
+        </a>`;
+    }
+
+    /**
+     * 移除图片预览
+     */
+    removeImagePreview() {
+        this.imagePreview.style.display = 'none';
+        this.previewImage.src = '';
+        this.pendingImageUrl = null;
+        this.pendingImageId = null;
+        this.imageInput.value = '';
+    }
+
+    /**
+     * 清除输入状态（切换房间时调用）
+     */
+    clearInput() {
+        this.messageInput.value = '';
+        // 切换房间后未发送的上传不能再使用，通知服务器释放
+        this.discardUpload(this.pendingImageId);
+        this.discardUpload(this.pendingAttachment && this.pendingAttachment.id);
+        this.removeImagePreview();
+        this.removeFilePreview();
+        this.clearReplyTarget();
+        this.stopTyping();
+        this.hideMentionSuggestions();
+    }
+
+    /**
+     * 显示消息
+     * @param {Object} data - 消息数据
+     */
+    displayMessage(data) {
+        this.messagesContainer.appendChild(this.createMessageElement(data));
+        this.scrollToBottom();
+    }
+
+    /**
+     * 创建消息元素
+     * @param {Object} data - 消息数据
+     * @returns {HTMLElement} 消息元素
+     */
+    createMessageElement(data) {
+        const messageElement = document.createElement('div');
+        messageElement.className = 'message';
+        
+        // 判断是否为自己的消息
+        // 历史消息使用 user_id，实时消息使用 userId
+        const isOwnMessage = this.currentUser && (
+            data.userId === this.currentUser.id || 
+            data.user_id === this.currentUser.id
+        );
+        
+        if (isOwnMessage) {
+            messageElement.classList.add('own');
+        }
+
+        // 根据消息长度判断样式
+        const content = data.content || '';
+        const imageUrl = data.imageUrl || data.image_url || null;
+        const hasImage = !!imageUrl;
+        // 图片缩略图和尺寸（旧消息的图片没有缩略图，直接显示原图）
+        const image = hasImage ? {
+            url: imageUrl,
+            thumbnailUrl: data.thumbnailUrl || (data.thumbnail_name ? `/uploads/${data.thumbnail_name}` : null),
+            width: data.imageWidth || data.image_width || null,
+            height: data.imageHeight || data.image_height || null
+        } : null;
+        const hasText = content.trim().length > 0;
+        // 附件（实时消息为 attachment 对象，历史消息为 attachment_ 前缀字段）
+        const attachment = data.attachment || (data.attachment_id ? {
+            id: data.attachment_id,
+            name: data.attachment_name,
+            size: data.attachment_size,
+            mimeType: data.attachment_mime
+        } : null);
+        const isLongMessage = content.length > 50 || content.includes('\n');
+        const isShortMessage = content.length <= 20 && !content.includes(' ');
+
+        // 获取用户头像
+        const userAvatar = data.avatar || this.generateDefaultAvatar(data.nickname);
+
+        // 编辑和删除状态（历史消息使用下划线字段）
+        const isDeleted = !!(data.deletedAt || data.deleted_at);
+        const isEdited = !!(data.editedAt || data.edited_at);
+        if (data.id) {
+            messageElement.dataset.messageId = data.id;
+        }
+        
+        // 回复引用和话题回复数（实时消息为驼峰字段，历史消息为下划线字段）
+        const quote = data.replyTo || (data.reply_to ? {
+            id: data.reply_to,
+            nickname: data.reply_nickname,
+            content: data.reply_content,
+            imageUrl: data.reply_image_url
+        } : null);
+        const replyCount = data.replyCount ?? data.reply_count ?? 0;
+
+        // 被@提及的消息额外高亮
+        const mentions = data.mentions || [];
+        if (!isDeleted && mentions.some(mention => mention.userId === this.currentUser.id)) {
+            messageElement.classList.add('mentions-me');
+        }
+
+        // 构建消息内容HTML
+        let contentHtml = '';
+        if (quote && !isDeleted) {
+            contentHtml += this.renderQuote(quote);
+        }
+        if (isDeleted) {
+            messageElement.classList.add('deleted');
+            contentHtml = '<div class="message-deleted">此消息已被删除</div>';
+        } else if (hasImage) {
+            contentHtml += `<div class="message-image-container">${this.renderMessageImage(image)}</div>`;
+        }
+        if (attachment && !isDeleted) {
+            contentHtml += this.renderFileCard(attachment);
+        }
+        if (hasText && !isDeleted) {
+            contentHtml += `<div class="message-text" 
+                     data-long="${isLongMessage}" 
+                     data-short="${isShortMessage}">${this.renderMessageText(content, mentions)}</div>`;
+        }
+        
+        messageElement.innerHTML = `
+            <div class="message-avatar">
+                <img src="${this.escapeHtml(userAvatar)}" alt="${this.escapeHtml(data.nickname)}" class="avatar-img">
+            </div>
+            <div class="message-body">
+                <div class="message-header">
+                    <span class="message-nickname">${this.escapeHtml(data.nickname)}</span>
+                    <span class="message-time">${data.timestamp || ''}</span>
+                    ${isEdited && !isDeleted ? '<span class="message-edited" title="查看编辑历史">(已编辑)</span>' : ''}
+                    ${this.renderMessageActions(isOwnMessage, isDeleted, data.userId ?? data.user_id)}
+                </div>
+                <div class="message-content">${contentHtml}</div>
+                <div class="message-reactions">${isDeleted ? '' : this.renderReactionChips(data.reactions || [])}</div>
+                <span class="thread-count" ${replyCount > 0 ? '' : 'style="display: none;"'}>💬 ${replyCount} 条回复</span>
+            </div>
+        `;
+
+        return messageElement;
+    }
+
+    /**
+     * 渲染消息文本，将 @用户名 和 @昵称 渲染为高亮的提及
+     * @param {string} content - 消息内容
+     * @param {Array} mentions - 被提及的用户 [{ userId, username, nickname }]
+     * @returns {string} 转义后的HTML
+     */
+    renderMessageText(content, mentions) {
+        if (mentions.length === 0) {
+            return this.escapeHtml(content);
+        }
+
+        // 名称按长度降序，优先匹配最长的名称
+        const names = [];
+        mentions.forEach(mention => {
+            names.push({ name: mention.username, userId: mention.userId });
+            names.push({ name: mention.nickname, userId: mention.userId });
+        });
+        names.sort((a, b) => b.name.length - a.name.length);
+
+        const pattern = new RegExp(
+            `@(${names.map(item => item.name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})`,
+            'gi'
+        );
+        let html = '';
+        let cursor = 0;
+        content.replace(pattern, (matched, name, offset) => {
+            const target = names.find(item => item.name.toLowerCase() === name.toLowerCase());
+            const isSelf = target && target.userId === this.currentUser.id;
+            html += this.escapeHtml(content.slice(cursor, offset));
+            html += `<span class="mention${isSelf ? ' mention-self' : ''}">${this.escapeHtml(matched)}</span>`;
+            cursor = offset + matched.length;
+            return matched;
+        });
+        return html + this.escapeHtml(content.slice(cursor));
+    }
+
+    /**
+     * 生成消息操作按钮HTML
+     * @param {boolean} isOwnMessage - 是否为自己的消息
+     * @param {boolean} isDeleted - 消息是否已删除
+     * @param {number} authorId - 消息发送者ID
+     * @returns {string} 按钮HTML
+     */
+    renderMessageActions(isOwnMessage, isDeleted, authorId) {
+        if (isDeleted) return '';
+
+        // 管理者只能删除角色低于自己的成员的消息
+        const rank = { owner: 3, admin: 2, member: 1 };
+        const author = this.roomMembers.find(member => member.id === authorId);
+        const canDelete = isOwnMessage || (this.isCurrentRoomModerator() &&
+            (rank[author && author.role] || 0) < rank[this.currentRoomRole]);
+
+        return `
+            <span class="message-actions">
+                <button class="message-react-btn" title="表情回应">😀</button>
+                <button class="message-reply-btn" title="回复">↩️</button>
+                ${isOwnMessage ? '<button class="message-edit-btn" title="编辑">✏️</button>' : ''}
+                ${canDelete ? '<button class="message-delete-btn" title="删除">🗑️</button>' : ''}
+            </span>
+        `;
+    }
+
+    /**
+     * 生成表情回应标签HTML
+     * @param {Array} reactions - [{ emoji, count, userIds }]
+     * @returns {string} 标签HTML
+     */
+    renderReactionChips(reactions) {
+        return reactions.map(reaction => {
+            const isMine = reaction.userIds.includes(this.currentUser.id);
+            return `<button class="reaction-chip${isMine ? ' mine' : ''}" data-emoji="${this.escapeHtml(reaction.emoji)}">${this.escapeHtml(reaction.emoji)} ${reaction.count}</button>`;
+        }).join('');
+    }
+
+    /**
+     * 更新消息下方的表情回应
+     * @param {number} messageId - 消息ID
+     * @param {Array} reactions - 回应汇总
+     */
+    renderReactions(messageId, reactions) {
+        const messageElement = this.getMessageElement(messageId);
+        if (!messageElement) return;
+        messageElement.querySelector('.message-reactions').innerHTML = this.renderReactionChips(reactions);
+    }
+
+    /**
+     * 显示/隐藏表情选择器
+     * @param {HTMLElement} messageElement - 消息元素
+     */
+    toggleReactionPicker(messageElement) {
+        const existing = messageElement.querySelector('.reaction-picker');
+        document.querySelectorAll('.reaction-picker').forEach(picker => picker.remove());
+        if (existing) return;
+
+        const picker = document.createElement('div');
+        picker.className = 'reaction-picker';
+        picker.innerHTML = REACTION_EMOJIS
+            .map(emoji => `<button class="reaction-option" data-emoji="${emoji}">${emoji}</button>`)
+            .join('');
+        messageElement.querySelector('.message-reactions').before(picker);
+    }
+
+    /**
+     * 添加或取消表情回应
+     * @param {number} messageId - 消息ID
+     * @param {string} emoji - 表情
+     * @param {boolean} isMine - 当前用户是否已回应过该表情
+     */
+    toggleReaction(messageId, emoji, isMine) {
+        this.socket.emit(isMine ? 'removeReaction' : 'addReaction', { messageId, emoji });
+    }
+
+    /**
+     * 生成被回复消息的引用HTML
+     * @param {Object} quote - { id, nickname, content, imageUrl }
+     * @returns {string} 引用HTML
+     */
+    renderQuote(quote) {
+        let snippet = quote.content || (quote.imageUrl ? '[图片]' : '此消息已被删除');
+        if (snippet.length > 50) {
+            snippet = snippet.slice(0, 50) + '…';
+        }
+        return `
+            <div class="message-quote" data-quote-id="${quote.id}" title="跳转到原消息">
+                <span class="quote-nickname">${this.escapeHtml(quote.nickname || '')}</span>
+                <span class="quote-text">${this.escapeHtml(snippet)}</span>
+            </div>
+        `;
+    }
+
+    /**
+     * 设置要回复的消息
+     * @param {HTMLElement} messageElement - 消息元素
+     */
+    setReplyTarget(messageElement) {
+        const textElement = messageElement.querySelector('.message-text');
+        this.replyingTo = {
+            id: parseInt(messageElement.dataset.messageId),
+            nickname: messageElement.querySelector('.message-nickname').textContent,
+            content: textElement ? textElement.textContent : '[图片]'
+        };
+        this.showReplyPreview();
+    }
+
+    /**
+     * 显示回复提示条
+     */
+    showReplyPreview() {
+        let snippet = this.replyingTo.content || '';
+        if (snippet.length > 30) {
+            snippet = snippet.slice(0, 30) + '…';
+        }
+        this.replyPreviewText.textContent = `回复 ${this.replyingTo.nickname}：${snippet}`;
+        this.replyPreview.style.display = 'flex';
+        this.messageInput.focus();
+    }
+
+    /**
+     * 取消回复
+     */
+    clearReplyTarget() {
+        this.replyingTo = null;
+        this.replyPreview.style.display = 'none';
+        this.replyPreviewText.textContent = '';
+    }
+
+    /**
+     * 滚动到指定消息并高亮
+     * @param {number} messageId - 消息ID
+     */
+    scrollToMessage(messageId) {
+        const messageElement = this.getMessageElement(messageId);
+        if (!messageElement) {
+            alert('原消息不在当前已加载的消息中');
+            return;
+        }
+        messageElement.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        messageElement.classList.add('highlighted');
+        setTimeout(() => messageElement.classList.remove('highlighted'), 2000);
+    }
+
+    /**
+     * 更新话题根消息上的回复数
+     * @param {number} rootId - 根消息ID
+     * @param {number} replyCount - 回复数
+     */
+    updateThreadCount(rootId, replyCount) {
+        const messageElement = this.getMessageElement(rootId);
+        if (!messageElement) return;
+
+        const counter = messageElement.querySelector('.thread-count');
+        counter.textContent = `💬 ${replyCount} 条回复`;
+        counter.style.display = replyCount > 0 ? '' : 'none';
+    }
+
+    /**
+     * 打开话题弹窗
+     * @param {number} messageId - 话题中任意一条消息的ID
+     */
+    async openThread(messageId) {
+        try {
+            const response = await fetch(`/api/messages/${messageId}/thread`, {
+                credentials: 'include'
+            });
+            const data = await response.json();
+
+            if (!data.success) {
+                alert(data.message || '获取话题失败');
+                return;
+            }
+
+            this.currentThreadRoot = data.root;
+            this.threadMessages.innerHTML = '';
+            [data.root, ...data.replies].forEach((message, index) => {
+                const item = document.createElement('div');
+                item.className = index === 0 ? 'thread-message thread-root' : 'thread-message';
+
+                let body = '';
+                if (message.deleted_at) {
+                    body = '<div class="message-deleted">此消息已被删除</div>';
+                } else {
+                    if (message.image_url) {
+                        body += this.renderMessageImage({
+                            url: message.image_url,
+                            thumbnailUrl: message.thumbnail_name ? `/uploads/${message.thumbnail_name}` : null,
+                            width: message.image_width,
+                            height: message.image_height
+                        });
+                    }
+                    if (message.content) {
+                        body += `<div class="thread-text">${this.escapeHtml(message.content)}</div>`;
+                    }
+                }
+
+                item.innerHTML = `
+                    <div class="thread-message-header">
+                        <span class="message-nickname">${this.escapeHtml(message.nickname)}</span>
+                        <span class="message-time">${this.formatTimestamp(message.created_at)}</span>
+                    </div>
+                    ${body}
+                `;
+                this.threadMessages.appendChild(item);
+            });
+
+            this.threadModal.style.display = 'flex';
+        } catch (error) {
+            console.error('获取话题错误:', error);
+            alert('获取话题失败');
+        }
+    }
+
+    /**
+     * 关闭话题弹窗
+     */
+    hideThreadModal() {
+        this.threadModal.style.display = 'none';
+        this.threadMessages.innerHTML = '';
+        this.currentThreadRoot = null;
+    }
+
+    /**
+     * 当前用户是否为当前聊天室的管理者
+     * @returns {boolean}
+     */
+    isCurrentRoomModerator() {
+        return !!this.currentRoom &&
+            (this.currentRoom.type || 'room') === 'room' &&
+            (this.currentRoomRole === 'owner' || this.currentRoomRole === 'admin');
+    }
+
+    /**
+     * 获取消息元素
+     * @param {number} messageId - 消息ID
+     * @returns {HTMLElement|null}
+     */
+    getMessageElement(messageId) {
+        return this.messagesContainer.querySelector(`.message[data-message-id="${messageId}"]`);
+    }
+
+    /**
+     * 编辑消息
+     * @param {number} messageId - 消息ID
+     */
+    editMessage(messageId) {
+        const messageElement = this.getMessageElement(messageId);
+        if (!messageElement) return;
+
+        const textElement = messageElement.querySelector('.message-text');
+        const currentContent = textElement ? textElement.textContent : '';
+        const content = prompt('编辑消息', currentContent);
+        if (content === null || content.trim() === currentContent) return;
+
+        this.socket.emit('editMessage', { messageId, content: content.trim() });
+    }
+
+    /**
+     * 删除消息
+     * @param {number} messageId - 消息ID
+     */
+    deleteMessage(messageId) {
+        if (!confirm('确定要删除这条消息吗？')) return;
+        this.socket.emit('deleteMessage', { messageId });
+    }
+
+    /**
+     * 显示消息编辑历史
+     * @param {number} messageId - 消息ID
+     */
+    async showEditHistory(messageId) {
+        try {
+            const response = await fetch(`/api/messages/${messageId}/edits`, {
+                credentials: 'include'
+            });
+            const data = await response.json();
+
+            if (data.success) {
+                const lines = data.edits.map(edit =>
+                    `[${this.formatTimestamp(edit.edited_at)}] ${edit.previous_content || '(无文字)'}`
+                );
+                alert(lines.length > 0 ? `编辑前的内容：\n\n${lines.join('\n')}` : '暂无编辑历史');
+            } else {
+                alert(data.message || '获取编辑历史失败');
+            }
+        } catch (error) {
+            console.error('获取编辑历史错误:', error);
+        }
+    }
+
+    /**
+     * 在原位置更新被编辑的消息
+     * @param {Object} data - { id, content }
+     */
+    applyMessageEdit(data) {
+        const messageElement = this.getMessageElement(data.id);
+        if (!messageElement) return;
+
+        const contentElement = messageElement.querySelector('.message-content');
+        let textElement = messageElement.querySelector('.message-text');
+        if (data.content) {
+            if (!textElement) {
+                textElement = document.createElement('div');
+                textElement.className = 'message-text';
+                contentElement.appendChild(textElement);
+            }
+            textElement.innerHTML = this.renderMessageText(data.content, data.mentions || []);
+            textElement.dataset.long = data.content.length > 50 || data.content.includes('\n');
+            textElement.dataset.short = data.content.length <= 20 && !data.content.includes(' ');
+        } else if (textElement) {
+            textElement.remove();
+        }
+
+        messageElement.classList.toggle('mentions-me',
+            (data.mentions || []).some(mention => mention.userId === this.currentUser.id));
+
+        if (!messageElement.querySelector('.message-edited')) {
+            const marker = document.createElement('span');
+            marker.className = 'message-edited';
+            marker.title = '查看编辑历史';
+            marker.textContent = '(已编辑)';
+            messageElement.querySelector('.message-time').after(marker);
+        }
+    }
+
+    /**
+     * 在原位置将消息替换为删除提示
+     * @param {Object} data - { id }
+     */
+    applyMessageDelete(data) {
+        const messageElement = this.getMessageElement(data.id);
+        if (!messageElement) return;
+
+        messageElement.classList.add('deleted');
+        messageElement.querySelector('.message-content').innerHTML = '<div class="message-deleted">此消息已被删除</div>';
+        messageElement.querySelector('.message-reactions').innerHTML = '';
+        messageElement.querySelectorAll('.message-actions, .message-edited, .reaction-picker').forEach(el => el.remove());
+    }
+
+    /**
+     * 加载当前最早一条消息之前的一页历史
+     */
+    loadOlderMessages(limit = null) {
+        if (!this.currentRoom || !this.hasMoreHistory || this.loadingHistory) return;
+
+        const firstMessage = this.messagesContainer.querySelector('.message[data-message-id]');
+        if (!firstMessage) return;
+
+        this.loadingHistory = true;
+        const loader = document.createElement('div');
+        loader.className = 'history-loader';
+        loader.textContent = '正在加载更早的消息...';
+        this.messagesContainer.prepend(loader);
+
+        this.socket.emit('loadMessages', {
+            chatroomId: this.currentRoom.id,
+            before: parseInt(firstMessage.dataset.messageId),
+            limit
+        });
+    }
+
+    /**
+     * 加载历史失败时结束加载状态，之后可以继续向上滚动重新加载
+     */
+    cancelHistoryLoading() {
+        this.messagesContainer.querySelectorAll('.history-loader').forEach(el => el.remove());
+        this.loadingHistory = false;
+        this.pendingFocusMessageId = null;
+    }
+
+    /**
+     * 定位到待跳转的消息；消息尚未加载时继续向前加载历史，直到找到或没有更多
+     */
+    focusPendingMessage() {
+        const messageId = this.pendingFocusMessageId;
+        if (!messageId) return;
+
+        if (this.getMessageElement(messageId)) {
+            this.pendingFocusMessageId = null;
+            this.scrollToMessage(messageId);
+        } else if (this.hasMoreHistory) {
+            this.loadOlderMessages(200);
+        } else {
+            this.pendingFocusMessageId = null;
+            alert('未找到该消息，可能已被删除');
+        }
+    }
+
+    /**
+     * 显示搜索弹窗
+     * @param {number|null} chatroomId - 预选的聊天室
+     */
+    showSearchModal(chatroomId) {
+        // 搜索范围：已加载的聊天室和会话
+        const rooms = [
+            ...this.cachedChatrooms.map(room => ({ id: room.id, name: room.name })),
+            ...this.conversations.map(conversation => ({ id: conversation.id, name: this.getConversationName(conversation) }))
+        ];
+        if (this.currentRoom && !rooms.some(room => room.id === this.currentRoom.id)) {
+            rooms.push({ id: this.currentRoom.id, name: this.currentRoom.name });
+        }
+        this.searchRoom.innerHTML = '<option value="">全部聊天室</option>' + rooms
+            .map(room => `<option value="${room.id}">${this.escapeHtml(room.name)}</option>`)
+            .join('');
+        this.searchRoom.value = chatroomId ? String(chatroomId) : '';
+
+        this.searchModal.style.display = 'flex';
+        document.getElementById('searchKeyword').focus();
+    }
+
+    /**
+     * 隐藏搜索弹窗
+     */
+    hideSearchModal() {
+        this.searchModal.style.display = 'none';
+    }
+
+    /**
+     * 搜索消息
+     * @param {boolean} loadMore - 是否加载下一页结果
+     */
+    async searchMessages(loadMore) {
+        if (!loadMore) {
+            const params = new URLSearchParams();
+            const fields = {
+                q: document.getElementById('searchKeyword').value.trim(),
+                chatroomId: this.searchRoom.value,
+                author: document.getElementById('searchAuthor').value.trim(),
+                from: document.getElementById('searchFrom').value,
+                to: document.getElementById('searchTo').value,
+                hasImage: document.getElementById('searchHasImage').checked ? '1' : ''
+            };
+            Object.entries(fields).forEach(([key, value]) => {
+                if (value) params.set(key, value);
+            });
+
+            if (!fields.q && !fields.hasImage) {
+                alert('请输入搜索关键词');
+                return;
+            }
+
+            this.lastSearchParams = params;
+            this.lastSearchCursor = null;
+            this.searchResults.innerHTML = '';
+        }
+
+        const params = new URLSearchParams(this.lastSearchParams);
+        if (this.lastSearchCursor) {
+            params.set('before', this.lastSearchCursor);
+        }
+
+        try {
+            const response = await fetch(`/api/search?${params}`, {
+                credentials: 'include'
+            });
+            const data = await response.json();
+
+            if (!data.success) {
+                alert(data.message || '搜索失败');
+                return;
+            }
+
+            if (data.results.length === 0 && !loadMore) {
+                this.searchResults.innerHTML = '<div class="no-results">没有找到相关消息</div>';
+            }
+
+            data.results.forEach(result => {
+                const item = document.createElement('div');
+                item.className = 'search-result';
+                item.dataset.messageId = result.id;
+                item.dataset.chatroomId = result.chatroom_id;
+                item.dataset.chatroomName = result.chatroom_name;
+                item.dataset.chatroomType = result.chatroom_type;
+                item.innerHTML = `
+                    <div class="search-result-header">
+                        <span class="message-nickname">${this.escapeHtml(result.nickname)}</span>
+                        <span class="search-result-room">${result.chatroom_type === 'room' ? this.escapeHtml(result.chatroom_name) : '私信'}</span>
+                        <span class="message-time">${this.formatTimestamp(result.created_at)}</span>
+                    </div>
+                    <div class="search-result-snippet">${this.renderHighlightedSnippet(result.snippet, result.highlights)}${result.image_url ? ' [图片]' : ''}</div>
+                `;
+                this.searchResults.appendChild(item);
+            });
+
+            if (data.results.length > 0) {
+                this.lastSearchCursor = data.results[data.results.length - 1].id;
+            }
+            this.searchMoreBtn.style.display = data.hasMore ? 'block' : 'none';
+        } catch (error) {
+            console.error('搜索错误:', error);
+            alert('搜索失败，请重试');
+        }
+    }
+
+    /**
+     * 渲染带高亮的搜索摘要
+     * @param {string} snippet - 摘要文本
+     * @param {Array} highlights - 高亮区间 [[start, end], ...]
+     * @returns {string} 转义后的HTML
      */
-    removeImagePreview() {
-        this.imagePreview.style.display = 'none';
-        this.previewImage.src = '';
-        this.pendingImageUrl = null;
-        this.imageInput.value = '';
+    renderHighlightedSnippet(snippet, highlights) {
+        let html = '';
+        let cursor = 0;
+        highlights.forEach(([start, end]) => {
+            html += this.escapeHtml(snippet.slice(cursor, start));
+            html += `<mark>${this.escapeHtml(snippet.slice(start, end))}</mark>`;
+            cursor = end;
+        });
+        return html + this.escapeHtml(snippet.slice(cursor));
     }
 
     /**
-     * 清除输入状态（切换房间时调用）
+     * 打开搜索结果所在的聊天室并定位到该消息
+     * @param {DOMStringMap} result - 搜索结果元素的 dataset
      */
-    clearInput() {
-        this.messageInput.value = '';
-        this.removeImagePreview();
-        this.stopTyping();
+    openSearchResult(result) {
+        const chatroomId = parseInt(result.chatroomId);
+        const messageId = parseInt(result.messageId);
+        this.hideSearchModal();
+        this.pendingFocusMessageId = messageId;
+
+        if (this.currentRoom && this.currentRoom.id === chatroomId) {
+            this.focusPendingMessage();
+            return;
+        }
+
+        const room = this.cachedChatrooms.find(item => item.id === chatroomId);
+        const conversation = this.conversations.find(item => item.id === chatroomId);
+        if (conversation) {
+            this.openConversation(conversation);
+        } else {
+            this.joinChatroom(room || { id: chatroomId, name: result.chatroomName, type: result.chatroomType });
+        }
     }
 
     /**
-     * 显示消息
-     * @param {Object} data - 消息数据
+     * 在顶部插入更早的消息，并保持当前可见位置不跳动
+     * @param {Array} messages - 按时间正序的消息列表
+     * @param {boolean} hasMore - 是否还有更早的消息
      */
-    displayMessage(data) {
-        const messageElement = document.createElement('div');
-        messageElement.className = 'message';
-        
-        // 判断是否为自己的消息
-        // 历史消息使用 user_id，实时消息使用 userId
-        const isOwnMessage = this.currentUser && (
-            data.userId === this.currentUser.id || 
-            data.user_id === this.currentUser.id
-        );
-        
-        if (isOwnMessage) {
-            messageElement.classList.add('own');
+    prependMessages(messages, hasMore) {
+        this.messagesContainer.querySelectorAll('.history-loader').forEach(el => el.remove());
+        this.hasMoreHistory = hasMore;
+
+        const previousHeight = this.messagesContainer.scrollHeight;
+        const previousTop = this.messagesContainer.scrollTop;
+
+        const fragment = document.createDocumentFragment();
+        messages.forEach(messageData => {
+            fragment.appendChild(this.createMessageElement({
+                ...messageData,
+                timestamp: this.formatTimestamp(messageData.created_at)
+            }));
+        });
+        if (!hasMore) {
+            const start = document.createElement('div');
+            start.className = 'history-start';
+            start.textContent = '已经到最早的消息了';
+            fragment.prepend(start);
         }
+        this.messagesContainer.prepend(fragment);
 
-        // 根据消息长度判断样式
-        const content = data.content || '';
-        const imageUrl = data.imageUrl || data.image_url || null;
-        const hasImage = !!imageUrl;
-        const hasText = content.trim().length > 0;
-        const isLongMessage = content.length > 50 || content.includes('\n');
-        const isShortMessage = content.length <= 20 && !content.includes(' ');
-
-        // 获取用户头像
-        const userAvatar = data.avatar || this.generateDefaultAvatar(data.nickname);
-        
-        // 构建消息内容HTML
-        let contentHtml = '';
-        if (hasImage) {
-            contentHtml += `<div class="message-image-container">
-                <img src="${imageUrl}" alt="图片" class="message-image" onclick="this.classList.toggle('expanded')">
-            </div>`;
-        }
-        if (hasText) {
-            contentHtml += `<div class="message-text" 
-                     data-long="${isLongMessage}" 
-                     data-short="${isShortMessage}">${this.escapeHtml(content)}</div>`;
-        }
-        
-        messageElement.innerHTML = `
-            <div class="message-avatar">
-                <img src="${userAvatar}" alt="${this.escapeHtml(data.nickname)}" class="avatar-img">
-            </div>
-            <div class="message-body">
-                <div class="message-header">
-                    <span class="message-nickname">${this.escapeHtml(data.nickname)}</span>
-                    <span class="message-time">${data.timestamp || ''}</span>
-                </div>
-                <div class="message-content">${contentHtml}</div>
-            </div>
-        `;
+        this.messagesContainer.scrollTop = previousTop + (this.messagesContainer.scrollHeight - previousHeight);
+        this.loadingHistory = false;
+    }
 
-        this.messagesContainer.appendChild(messageElement);
-        this.scrollToBottom();
+    /**
+     * 将当前聊天室标记为已读到指定消息
+     * @param {number} messageId - 消息ID
+     */
+    markRoomRead(messageId) {
+        if (!this.currentRoom || !messageId) return;
+        this.socket.emit('markRead', { chatroomId: this.currentRoom.id, messageId });
+        this.clearUnreadCount(this.currentRoom.id);
     }
 
     /**
@@ -1109,18 +3382,29 @@ class ChatRoom {
     /**
      * 显示消息历史
      * @param {Array} history - 消息历史数组
+     * @param {number|null} lastReadMessageId - 服务器记录的最后已读消息ID
      */
-    displayMessageHistory(history) {
+    displayMessageHistory(history, lastReadMessageId = null) {
         console.log('显示历史消息:', history);
         
         // 清空所有现有内容
         this.messagesContainer.innerHTML = '';
+        let newMessagesDivider = null;
 
         if (history && history.length > 0) {
             console.log('显示历史消息，数量:', history.length);
             
             // 先显示历史消息
             history.forEach(messageData => {
+                // 在第一条他人发送的未读消息前插入"新消息"分隔线
+                if (!newMessagesDivider && lastReadMessageId !== null &&
+                    messageData.id > lastReadMessageId && messageData.user_id !== this.currentUser.id) {
+                    newMessagesDivider = document.createElement('div');
+                    newMessagesDivider.className = 'history-separator new-messages-divider';
+                    newMessagesDivider.innerHTML = '<div class="separator-line"></div><span class="separator-text">以下为新消息</span><div class="separator-line"></div>';
+                    this.messagesContainer.appendChild(newMessagesDivider);
+                }
+
                 // 格式化时间戳
                 const formattedMessage = {
                     ...messageData,
@@ -1144,8 +3428,17 @@ class ChatRoom {
             this.messagesContainer.appendChild(welcomeMessage);
         }
 
-        // 滚动到底部
-        this.scrollToBottom();
+        // 有新消息时定位到分隔线，否则滚动到底部
+        if (newMessagesDivider) {
+            newMessagesDivider.scrollIntoView({ block: 'start' });
+        } else {
+            this.scrollToBottom();
+        }
+
+        // 同步阅读位置到服务器
+        if (history && history.length > 0) {
+            this.markRoomRead(history[history.length - 1].id);
+        }
     }
 
     /**
@@ -1348,30 +3641,28 @@ class ChatRoom {
     }
 
     /**
-     * 生成默认头像
+     * 生成默认头像（用于没有设置头像的用户和群聊会话）
      * @param {string} nickname - 用户昵称
-     * @returns {string} 头像URL
+     * @returns {string} 头像URL（data URI）
      */
     generateDefaultAvatar(nickname) {
-        // 使用DiceBear API生成头像，基于昵称生成固定头像
+        // 在本地生成首字头像，不请求外部服务；颜色由昵称决定，确保一致性
         const colors = ['4f46e5', '7c3aed', 'dc2626', 'ea580c', '16a34a', '0891b2', 'be185d', '9333ea'];
-        const styles = ['avataaars', 'personas', 'micah', 'adventurer'];
-        
-        // 基于昵称的哈希值选择颜色和样式，确保一致性
+        const name = String(nickname || '').trim();
+
         let hash = 0;
-        for (let i = 0; i < nickname.length; i++) {
-            const char = nickname.charCodeAt(i);
+        for (let i = 0; i < name.length; i++) {
+            const char = name.charCodeAt(i);
             hash = ((hash << 5) - hash) + char;
             hash = hash & hash; // 转换为32位整数
         }
-        
-        const colorIndex = Math.abs(hash) % colors.length;
-        const styleIndex = Math.abs(hash >> 8) % styles.length;
-        
-        const color = colors[colorIndex];
-        const style = styles[styleIndex];
-        
-        return `https://api.dicebear.com/7.x/${style}/svg?seed=${encodeURIComponent(nickname)}&backgroundColor=${color}`;
+
+        const color = colors[Math.abs(hash) % colors.length];
+        const initial = this.escapeHtml((Array.from(name)[0] || '?').toUpperCase());
+        const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="128" height="128" viewBox="0 0 128 128">` +
+            `<rect width="128" height="128" fill="#${color}"/>` +
+            `<text x="50%" y="50%" dy=".35em" text-anchor="middle" fill="#ffffff" font-family="sans-serif" font-size="60" font-weight="600">${initial}</text></svg>`;
+        return `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
     }
 
     /**
@@ -1379,6 +3670,7 @@ class ChatRoom {
      */
     showAvatarModal() {
         this.avatarModal.style.display = 'flex';
+        this.resetAvatarCrop();
         
         // 显示当前头像
         if (this.currentUser.avatar) {
@@ -1396,6 +3688,417 @@ class ChatRoom {
      */
     hideAvatarModal() {
         this.avatarModal.style.display = 'none';
+        this.resetAvatarCrop();
+    }
+
+    /**
+     * 载入选择的图片并显示裁剪框（初始缩放为图片刚好铺满裁剪框并居中）
+     * @param {File} file - 选择的图片文件
+     */
+    startAvatarCrop(file) {
+        if (!file.type.startsWith('image/')) {
+            alert('请选择图片文件');
+            return;
+        }
+        if (file.size > 5 * 1024 * 1024) {
+            alert('图片大小不能超过5MB');
+            return;
+        }
+
+        this.resetAvatarCrop();
+        const objectUrl = URL.createObjectURL(file);
+        const image = new Image();
+        image.onload = () => {
+            const baseScale = AVATAR_CROP_SIZE / Math.min(image.naturalWidth, image.naturalHeight);
+            this.avatarCrop = {
+                image,
+                objectUrl,
+                baseScale,
+                zoom: 1,
+                x: (AVATAR_CROP_SIZE - image.naturalWidth * baseScale) / 2,
+                y: (AVATAR_CROP_SIZE - image.naturalHeight * baseScale) / 2
+            };
+            this.avatarCropImage.src = objectUrl;
+            this.avatarCropZoom.value = '1';
+            this.avatarCropper.style.display = 'flex';
+            this.renderAvatarCrop();
+        };
+        image.onerror = () => {
+            URL.revokeObjectURL(objectUrl);
+            alert('无法读取该图片');
+        };
+        image.src = objectUrl;
+    }
+
+    /**
+     * 以裁剪框中心为基准缩放图片
+     * @param {number} zoom - 缩放倍数（1 为刚好铺满裁剪框）
+     */
+    zoomAvatarCrop(zoom) {
+        const crop = this.avatarCrop;
+        if (!crop) return;
+        const oldScale = crop.baseScale * crop.zoom;
+        const newScale = crop.baseScale * zoom;
+        const center = AVATAR_CROP_SIZE / 2;
+        crop.x = center - (center - crop.x) * newScale / oldScale;
+        crop.y = center - (center - crop.y) * newScale / oldScale;
+        crop.zoom = zoom;
+        this.renderAvatarCrop();
+    }
+
+    /**
+     * 按当前位置和缩放显示裁剪图片，并限制图片始终铺满裁剪框
+     */
+    renderAvatarCrop() {
+        const crop = this.avatarCrop;
+        const scale = crop.baseScale * crop.zoom;
+        const width = crop.image.naturalWidth * scale;
+        const height = crop.image.naturalHeight * scale;
+        crop.x = Math.min(0, Math.max(AVATAR_CROP_SIZE - width, crop.x));
+        crop.y = Math.min(0, Math.max(AVATAR_CROP_SIZE - height, crop.y));
+        this.avatarCropImage.style.width = `${width}px`;
+        this.avatarCropImage.style.height = `${height}px`;
+        this.avatarCropImage.style.transform = `translate(${crop.x}px, ${crop.y}px)`;
+    }
+
+    /**
+     * 清除正在裁剪的头像
+     */
+    resetAvatarCrop() {
+        if (this.avatarCrop) {
+            URL.revokeObjectURL(this.avatarCrop.objectUrl);
+            this.avatarCrop = null;
+        }
+        this.avatarFileInput.value = '';
+        this.avatarCropImage.removeAttribute('src');
+        this.avatarCropper.style.display = 'none';
+    }
+
+    /**
+     * 把裁剪框内的部分绘制为正方形图片并上传
+     */
+    async uploadAvatar() {
+        const crop = this.avatarCrop;
+        if (!crop) return;
+
+        const scale = crop.baseScale * crop.zoom;
+        const canvas = document.createElement('canvas');
+        canvas.width = AVATAR_UPLOAD_SIZE;
+        canvas.height = AVATAR_UPLOAD_SIZE;
+        canvas.getContext('2d').drawImage(
+            crop.image,
+            -crop.x / scale, -crop.y / scale, AVATAR_CROP_SIZE / scale, AVATAR_CROP_SIZE / scale,
+            0, 0, AVATAR_UPLOAD_SIZE, AVATAR_UPLOAD_SIZE
+        );
+        const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+        if (!blob) {
+            alert('头像处理失败，请换一张图片');
+            return;
+        }
+
+        const formData = new FormData();
+        formData.append('avatar', blob, 'avatar.png');
+        this.uploadAvatarBtn.disabled = true;
+        try {
+            const response = await fetch('/api/user/avatar/upload', {
+                method: 'POST',
+                credentials: 'include',
+                body: formData
+            });
+            const data = await response.json();
+            if (!data.success) {
+                alert('头像上传失败: ' + (data.message || '未知错误'));
+                return;
+            }
+            this.currentUser.avatar = data.avatar;
+            this.userAvatar.src = data.avatar;
+            this.currentAvatarPreview.src = data.avatar;
+            this.hideAvatarModal();
+        } catch (error) {
+            console.error('头像上传错误:', error);
+            alert('头像上传失败，请重试');
+        } finally {
+            this.uploadAvatarBtn.disabled = false;
+        }
+    }
+
+    /**
+     * 显示个人资料弹窗
+     */
+    showProfileModal() {
+        document.getElementById('profileUsername').value = this.currentUser.username;
+        document.getElementById('profileNickname').value = this.currentUser.nickname;
+        document.getElementById('profileEmail').value = this.currentUser.email || '';
+        document.getElementById('profileStatus').value = this.currentUser.status_text || '';
+        document.getElementById('profileBio').value = this.currentUser.bio || '';
+        document.getElementById('profileCurrentPassword').value = '';
+        this.updateProfilePasswordField();
+        this.profileModal.style.display = 'flex';
+    }
+
+    /**
+     * 邮箱被修改时才显示当前密码输入框
+     */
+    updateProfilePasswordField() {
+        const email = document.getElementById('profileEmail').value.trim();
+        const changed = email !== (this.currentUser.email || '');
+        document.getElementById('profileCurrentPasswordLabel').style.display = changed ? '' : 'none';
+    }
+
+    /**
+     * 保存个人资料
+     */
+    async saveProfile() {
+        const nickname = document.getElementById('profileNickname').value.trim();
+        if (!nickname) {
+            alert('昵称不能为空');
+            return;
+        }
+
+        try {
+            const response = await fetch('/api/user/profile', {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                credentials: 'include',
+                body: JSON.stringify({
+                    nickname,
+                    email: document.getElementById('profileEmail').value.trim(),
+                    statusText: document.getElementById('profileStatus').value.trim(),
+                    bio: document.getElementById('profileBio').value.trim(),
+                    currentPassword: document.getElementById('profileCurrentPassword').value
+                })
+            });
+            const data = await response.json();
+            if (!data.success) {
+                alert(data.message || '保存失败');
+                return;
+            }
+            this.applyProfileUpdate(data.user);
+            this.profileModal.style.display = 'none';
+        } catch (error) {
+            console.error('保存个人资料失败:', error);
+            alert('保存失败，请重试');
+        }
+    }
+
+    /**
+     * 把用户资料的变化应用到当前界面（顶部用户信息、成员列表和会话列表）
+     * @param {Object} user - 更新后的用户资料
+     */
+    applyProfileUpdate(user) {
+        if (this.currentUser && user.id === this.currentUser.id) {
+            Object.assign(this.currentUser, user);
+            this.currentUserSpan.textContent = this.currentUser.nickname;
+            this.userAvatar.src = this.currentUser.avatar || this.generateDefaultAvatar(this.currentUser.nickname);
+        }
+
+        const member = this.roomMembers.find(item => item.id === user.id);
+        if (member) {
+            Object.assign(member, {
+                nickname: user.nickname,
+                bio: user.bio,
+                status_text: user.status_text
+            });
+            this.renderMemberList(this.roomMembers);
+        }
+
+        let conversationChanged = false;
+        this.conversations.forEach(conversation => {
+            const participant = (conversation.participants || []).find(item => item.id === user.id);
+            if (participant) {
+                Object.assign(participant, { nickname: user.nickname, avatar: user.avatar });
+                conversationChanged = true;
+            }
+        });
+        if (conversationChanged) {
+            this.renderConversations();
+        }
+    }
+
+    /**
+     * 把在线状态的变化应用到成员列表、会话列表和免打扰开关
+     * @param {Object} data - { userId, status, lastSeen }
+     */
+    applyPresenceUpdate(data) {
+        const changes = { presence: data.status };
+        if (data.lastSeen) {
+            changes.last_seen = data.lastSeen;
+        }
+
+        if (this.currentUser && data.userId === this.currentUser.id && data.status !== 'offline') {
+            this.currentUser.do_not_disturb = data.status === 'dnd';
+            this.updateDndButton();
+        }
+
+        const member = this.roomMembers.find(item => item.id === data.userId);
+        if (member) {
+            Object.assign(member, changes);
+            this.renderMemberList(this.roomMembers);
+        }
+
+        let conversationChanged = false;
+        this.conversations.forEach(conversation => {
+            const participant = (conversation.participants || []).find(item => item.id === data.userId);
+            if (participant) {
+                Object.assign(participant, changes);
+                conversationChanged = true;
+            }
+        });
+        if (conversationChanged) {
+            this.renderConversations();
+        }
+    }
+
+    /**
+     * 记录一次用户操作，之前处于离开状态时恢复在线
+     */
+    recordActivity() {
+        this.lastActivityTime = Date.now();
+        if (!document.hidden) {
+            this.reportPresenceActivity(true);
+        }
+    }
+
+    /**
+     * 向服务器上报当前页面是否活跃（状态未变化时不重复上报）
+     * @param {boolean} active - 是否活跃
+     */
+    reportPresenceActivity(active) {
+        if (this.presenceActive === active || !this.socket || !this.socket.connected) {
+            return;
+        }
+        this.presenceActive = active;
+        this.socket.emit('presenceActivity', { active });
+    }
+
+    /**
+     * 切换免打扰（结果通过 presenceUpdated 同步到所有设备）
+     */
+    toggleDoNotDisturb() {
+        if (!this.socket || !this.currentUser) {
+            return;
+        }
+        this.socket.emit('setDoNotDisturb', { enabled: !this.currentUser.do_not_disturb });
+    }
+
+    /**
+     * 根据当前用户的免打扰设置更新开关按钮
+     */
+    updateDndButton() {
+        const enabled = !!(this.currentUser && this.currentUser.do_not_disturb);
+        this.dndBtn.textContent = enabled ? '🔕' : '🔔';
+        this.dndBtn.title = enabled ? '关闭免打扰' : '开启免打扰';
+        this.dndBtn.classList.toggle('active', enabled);
+    }
+
+    /**
+     * 显示账号安全弹窗
+     */
+    showSecurityModal() {
+        this.securityModal.style.display = 'flex';
+        this.loadLoginAttempts();
+    }
+
+    /**
+     * 加载自己账号的登录记录和锁定状态
+     */
+    async loadLoginAttempts() {
+        const outcomeLabels = {
+            success: '登录成功',
+            wrong_password: '密码错误',
+            locked: '账号锁定中被拒绝'
+        };
+
+        try {
+            const response = await fetch('/api/user/login-attempts', { credentials: 'include' });
+            const data = await response.json();
+            if (!data.success) {
+                alert(data.message || '获取登录记录失败');
+                return;
+            }
+
+            if (data.lockedUntil) {
+                this.lockStatusText.textContent = `账号因连续 ${data.failedCount} 次登录失败被限制登录，将于 ${new Date(data.lockedUntil).toLocaleString('zh-CN')} 自动解除`;
+                this.lockStatus.style.display = 'flex';
+            } else {
+                this.lockStatus.style.display = 'none';
+            }
+
+            if (data.attempts.length === 0) {
+                this.loginAttemptList.innerHTML = '<li class="login-attempt-empty">暂无登录记录</li>';
+                return;
+            }
+            this.loginAttemptList.innerHTML = data.attempts.map(attempt => `
+                <li class="login-attempt ${attempt.outcome === 'success' ? '' : 'failed'}">
+                    <div class="login-attempt-main">
+                        <span class="login-attempt-outcome">${outcomeLabels[attempt.outcome] || this.escapeHtml(attempt.outcome)}</span>
+                        <span class="login-attempt-time">${new Date(attempt.created_at).toLocaleString('zh-CN')}</span>
+                    </div>
+                    <div class="login-attempt-detail">
+                        IP：${this.escapeHtml(attempt.ip)} · ${this.escapeHtml(attempt.user_agent || '未知设备')}
+                    </div>
+                </li>
+            `).join('');
+        } catch (error) {
+            console.error('获取登录记录失败:', error);
+            alert('获取登录记录失败，请重试');
+        }
+    }
+
+    /**
+     * 修改密码（其他设备上的登录会失效）
+     */
+    async handleChangePassword() {
+        const oldPassword = document.getElementById('oldPassword').value;
+        const newPassword = document.getElementById('newPassword').value;
+        const confirmPassword = document.getElementById('confirmNewPassword').value;
+
+        if (newPassword !== confirmPassword) {
+            alert('两次输入的新密码不一致');
+            return;
+        }
+
+        try {
+            const response = await fetch('/api/user/password', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                credentials: 'include',
+                body: JSON.stringify({ oldPassword, newPassword })
+            });
+            const data = await response.json();
+            alert(data.message || (data.success ? '密码已修改' : '修改密码失败'));
+            if (data.success) {
+                this.changePasswordForm.reset();
+            }
+        } catch (error) {
+            console.error('修改密码错误:', error);
+            alert('修改密码失败，请重试');
+        }
+    }
+
+    /**
+     * 解除账号的登录锁定
+     */
+    async unlockAccount() {
+        try {
+            const response = await fetch('/api/user/unlock', {
+                method: 'POST',
+                credentials: 'include'
+            });
+            const data = await response.json();
+            if (!data.success) {
+                alert(data.message || '解除锁定失败');
+                return;
+            }
+            this.loadLoginAttempts();
+        } catch (error) {
+            console.error('解除锁定失败:', error);
+            alert('解除锁定失败，请重试');
+        }
     }
 
     /**
@@ -1428,9 +4131,12 @@ class ChatRoom {
             });
         });
 
-        // 设置默认选择
-        document.querySelector('.style-btn').classList.add('active');
-        document.querySelector('.color-btn').classList.add('active');
+        // 默认选中当前使用的风格和颜色
+        const current = (this.currentUser.avatar || '').match(/^\/avatars\/\d+\.svg\?style=([a-z]+)&color=([0-9a-f]{6})$/);
+        const styleBtn = current && document.querySelector(`.style-btn[data-style="${current[1]}"]`);
+        const colorBtn = current && document.querySelector(`.color-btn[data-color="${current[2]}"]`);
+        (styleBtn || document.querySelector('.style-btn')).classList.add('active');
+        (colorBtn || document.querySelector('.color-btn')).classList.add('active');
         this.updateAvatarPreview();
     }
 
@@ -1441,8 +4147,7 @@ class ChatRoom {
         const selectedStyle = document.querySelector('.style-btn.active').dataset.style;
         const selectedColor = document.querySelector('.color-btn.active').dataset.color;
         
-        const newAvatarUrl = `https://api.dicebear.com/7.x/${selectedStyle}/svg?seed=${encodeURIComponent(this.currentUser.nickname)}&backgroundColor=${selectedColor}`;
-        this.newAvatarPreview.src = newAvatarUrl;
+        this.newAvatarPreview.src = `/avatars/${this.currentUser.id}.svg?style=${selectedStyle}&color=${selectedColor}`;
     }
 
     /**
@@ -1463,6 +4168,7 @@ class ChatRoom {
                 } else {
                     this.userAvatar.src = this.generateDefaultAvatar(this.currentUser.nickname);
                 }
+                this.updateDndButton();
                 console.log('用户信息已刷新:', this.currentUser);
             }
         } catch (error) {
@@ -1488,17 +4194,13 @@ class ChatRoom {
                 return;
             }
             
-            const newAvatarUrl = `https://api.dicebear.com/7.x/${selectedStyle.dataset.style}/svg?seed=${encodeURIComponent(this.currentUser.nickname)}&backgroundColor=${selectedColor.dataset.color}`;
-            
-            console.log('正在保存头像:', newAvatarUrl);
-            
             const response = await fetch('/api/user/avatar', {
                 method: 'PUT',
                 headers: {
                     'Content-Type': 'application/json'
                 },
                 credentials: 'include', // 确保发送cookies
-                body: JSON.stringify({ avatar: newAvatarUrl })
+                body: JSON.stringify({ style: selectedStyle.dataset.style, color: selectedColor.dataset.color })
             });
             
             const data = await response.json();
@@ -1506,11 +4208,11 @@ class ChatRoom {
             
             if (data.success) {
                 // 更新当前用户头像
-                this.currentUser.avatar = newAvatarUrl;
+                this.currentUser.avatar = data.avatar;
                 
                 // 更新界面显示
-                this.userAvatar.src = newAvatarUrl;
-                this.currentAvatarPreview.src = newAvatarUrl;
+                this.userAvatar.src = data.avatar;
+                this.currentAvatarPreview.src = data.avatar;
                 
                 // 关闭弹窗
                 this.hideAvatarModal();
@@ -1615,7 +4317,8 @@ class ChatRoom {
     escapeHtml(text) {
         const div = document.createElement('div');
         div.textContent = text;
-        return div.innerHTML;
+        // textContent 不会转义引号，而结果也会插入到HTML属性中
+        return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
     }
 }
 
@@ -0,0 +1,175 @@
+/**
+ * 频率限制
+ * 使用令牌桶按用户和IP限制Socket事件和REST请求，
+ * 短时间内多次超限的用户会被临时禁言
+ */
+
+const logger = require('./logger');
+
+/**
+ * 读取限制规则，环境变量格式为 "容量,每秒补充数"，例如 RATE_LIMIT_MESSAGE=10,1
+ * @param {string} name - 规则名
+ * @param {number} capacity - 默认容量（允许的突发数量）
+ * @param {number} refillPerSecond - 默认每秒补充的令牌数
+ * @returns {Object} { capacity, refillPerSecond }
+ */
+function readRule(name, capacity, refillPerSecond) {
+    const value = process.env[`RATE_LIMIT_${name.toUpperCase()}`];
+    if (value) {
+        const [envCapacity, envRefill] = value.split(',').map(Number);
+        if (envCapacity > 0 && envRefill > 0) {
+            return { capacity: envCapacity, refillPerSecond: envRefill };
+        }
+        logger.warn(`忽略无效的频率限制配置 RATE_LIMIT_${name.toUpperCase()}=${value}`);
+    }
+    return { capacity, refillPerSecond };
+}
+
+// 各类操作的单用户限制；同一IP的限制为单用户的 IP_MULTIPLIER 倍（同一出口IP可能有多个用户）
+const RATE_LIMIT_RULES = {
+    message: readRule('message', 10, 1),
+    typing: readRule('typing', 20, 2),
+    socket: readRule('socket', 30, 5),
+    api: readRule('api', 120, 10),
+    login: readRule('login', 10, 10 / 60),
+    upload: readRule('upload', 10, 0.5)
+};
+const IP_MULTIPLIER = parseInt(process.env.RATE_LIMIT_IP_MULTIPLIER) || 5;
+
+// 在 VIOLATION_WINDOW 内超限 MUTE_THRESHOLD 次后临时禁言 MUTE_MINUTES 分钟
+const VIOLATION_WINDOW = 60 * 1000;
+const MUTE_THRESHOLD = parseInt(process.env.RATE_LIMIT_MUTE_THRESHOLD) || 20;
+const MUTE_MINUTES = parseInt(process.env.RATE_LIMIT_MUTE_MINUTES) || 5;
+
+// 令牌桶：key 为 "规则:user:ID" 或 "规则:ip:地址"
+const buckets = new Map();
+// 用户超限记录：userId -> 超限时间戳列表
+const violations = new Map();
+// 临时禁言：userId -> 解除时间戳
+const autoMutes = new Map();
+
+/**
+ * 从多个令牌桶中各取一个令牌，任一桶不足时都不扣除
+ * @param {string} ruleName - 规则名
+ * @param {Object} identity - { userId, ip }
+ * @returns {Object} { allowed, retryAfter }（retryAfter 单位为秒）
+ */
+function consume(ruleName, { userId = null, ip = null }) {
+    const rule = RATE_LIMIT_RULES[ruleName];
+    const now = Date.now();
+    const targets = [];
+    if (userId) {
+        targets.push({ key: `${ruleName}:user:${userId}`, capacity: rule.capacity, refill: rule.refillPerSecond });
+    }
+    if (ip) {
+        targets.push({
+            key: `${ruleName}:ip:${ip}`,
+            capacity: rule.capacity * IP_MULTIPLIER,
+            refill: rule.refillPerSecond * IP_MULTIPLIER
+        });
+    }
+
+    let retryAfter = 0;
+    const states = targets.map(target => {
+        const bucket = buckets.get(target.key) || { tokens: target.capacity, updatedAt: now };
+        const tokens = Math.min(target.capacity, bucket.tokens + (now - bucket.updatedAt) / 1000 * target.refill);
+        if (tokens < 1) {
+            retryAfter = Math.max(retryAfter, Math.ceil((1 - tokens) / target.refill));
+        }
+        return { key: target.key, tokens };
+    });
+    if (retryAfter > 0) {
+        return { allowed: false, retryAfter };
+    }
+
+    states.forEach(state => buckets.set(state.key, { tokens: state.tokens - 1, updatedAt: now }));
+    return { allowed: true, retryAfter: 0 };
+}
+
+/**
+ * 记录一次超限，达到阈值时临时禁言
+ * @param {number} userId - 用户ID
+ * @param {string} username - 用户名（用于日志）
+ * @param {string} action - 超限的操作（事件名或路由）
+ */
+function recordViolation(userId, username, action) {
+    const now = Date.now();
+    const recent = (violations.get(userId) || []).filter(time => now - time < VIOLATION_WINDOW);
+    recent.push(now);
+    violations.set(userId, recent);
+
+    if (recent.length >= MUTE_THRESHOLD && !getAutoMuteUntil(userId)) {
+        autoMutes.set(userId, now + MUTE_MINUTES * 60 * 1000);
+        violations.delete(userId);
+        logger.warn(`用户 ${username}(${userId}) 频繁超出频率限制（${action}），临时禁言 ${MUTE_MINUTES} 分钟`);
+    }
+}
+
+/**
+ * 获取用户的临时禁言解除时间
+ * @param {number} userId - 用户ID
+ * @returns {number|null} 解除时间戳，未被禁言时返回null
+ */
+function getAutoMuteUntil(userId) {
+    const until = autoMutes.get(userId);
+    if (until && until > Date.now()) {
+        return until;
+    }
+    autoMutes.delete(userId);
+    return null;
+}
+
+/**
+ * Express中间件：超出限制时返回429和Retry-After
+ * @param {string} ruleName - 规则名
+ * @returns {Function} 中间件
+ */
+function rateLimit(ruleName) {
+    return (req, res, next) => {
+        const userId = req.session ? req.session.userId : null;
+        const result = consume(ruleName, { userId, ip: req.ip });
+        if (result.allowed) {
+            return next();
+        }
+        if (userId) {
+            recordViolation(userId, req.session.username, `${req.method} ${req.path}`);
+        } else {
+            logger.warn(`IP ${req.ip} 超出频率限制：${req.method} ${req.path}`);
+        }
+        res.set('Retry-After', String(result.retryAfter));
+        res.status(429).json({
+            success: false,
+            message: `请求过于频繁，请 ${result.retryAfter} 秒后再试`,
+            retryAfter: result.retryAfter
+        });
+    };
+}
+
+// 定期清理已经补满的令牌桶和过期记录，避免内存持续增长
+setInterval(() => {
+    const now = Date.now();
+    buckets.forEach((bucket, key) => {
+        const rule = RATE_LIMIT_RULES[key.split(':')[0]];
+        // IP桶的容量和补充速度按相同倍数放大，补满所需时间与用户桶相同
+        if ((now - bucket.updatedAt) / 1000 * rule.refillPerSecond >= rule.capacity) {
+            buckets.delete(key);
+        }
+    });
+    violations.forEach((times, userId) => {
+        if (times.every(time => now - time >= VIOLATION_WINDOW)) {
+            violations.delete(userId);
+        }
+    });
+    autoMutes.forEach((until, userId) => {
+        if (until <= now) {
+            autoMutes.delete(userId);
+        }
+    });
+}, 60 * 1000).unref();
+
+module.exports = {
+    consume,
+    recordViolation,
+    getAutoMuteUntil,
+    rateLimit
+};
@@ -0,0 +1,104 @@
+/**
+ * 消息搜索工具
+ * 处理搜索关键词解析和结果摘要高亮
+ */
+
+// MySQL ngram 全文索引的分词长度（ngram_token_size 默认值）
+const NGRAM_TOKEN_SIZE = 2;
+
+// 摘要中关键词前后保留的字符数
+const SNIPPET_CONTEXT = 30;
+
+/**
+ * 解析搜索关键词
+ * @param {string} query - 用户输入的搜索内容
+ * @returns {Array<string>} 去重后的关键词列表
+ */
+function parseSearchTerms(query) {
+    if (typeof query !== 'string') {
+        return [];
+    }
+    // 去掉布尔模式下有特殊含义的字符，按空白拆分
+    const terms = query
+        .replace(/[+\-<>()~*"@]/g, ' ')
+        .split(/\s+/)
+        .map(term => term.trim())
+        .filter(Boolean);
+    return Array.from(new Set(terms)).slice(0, 10);
+}
+
+/**
+ * 构建全文检索条件
+ * 关键词都不短于ngram分词长度时使用 MATCH ... AGAINST，否则（例如单个汉字）退化为 LIKE
+ * @param {Array<string>} terms - 关键词列表
+ * @returns {Object} { sql, params }
+ */
+function buildMatchCondition(terms) {
+    const useFullText = terms.every(term => term.length >= NGRAM_TOKEN_SIZE);
+    if (useFullText) {
+        return {
+            sql: 'MATCH(m.content) AGAINST (? IN BOOLEAN MODE)',
+            params: [terms.map(term => `+"${term}"`).join(' ')]
+        };
+    }
+    return {
+        sql: terms.map(() => "m.content LIKE ? ESCAPE '\\\\'").join(' AND '),
+        params: terms.map(term => `%${term.replace(/[\\%_]/g, '\\$&')}%`)
+    };
+}
+
+/**
+ * 截取包含关键词的摘要，并返回关键词在摘要中的位置
+ * 高亮位置由客户端转义后渲染，服务器不返回HTML
+ * @param {string} content - 消息内容
+ * @param {Array<string>} terms - 关键词列表
+ * @returns {Object} { snippet, highlights: [[start, end], ...] }
+ */
+function buildSnippet(content, terms) {
+    const text = content || '';
+    const lowerText = text.toLowerCase();
+    const lowerTerms = terms.map(term => term.toLowerCase());
+
+    // 以第一个命中的关键词为中心截取
+    const firstHit = lowerTerms
+        .map(term => lowerText.indexOf(term))
+        .filter(index => index !== -1)
+        .sort((a, b) => a - b)[0];
+    const center = firstHit === undefined ? 0 : firstHit;
+    const start = Math.max(0, center - SNIPPET_CONTEXT);
+    const end = Math.min(text.length, center + SNIPPET_CONTEXT * 2);
+
+    const prefix = start > 0 ? '…' : '';
+    const suffix = end < text.length ? '…' : '';
+    const snippet = prefix + text.slice(start, end) + suffix;
+
+    // 查找所有关键词出现位置，合并重叠区间
+    const lowerSnippet = snippet.toLowerCase();
+    const ranges = [];
+    lowerTerms.forEach(term => {
+        let index = lowerSnippet.indexOf(term);
+        while (index !== -1) {
+            ranges.push([index, index + term.length]);
+            index = lowerSnippet.indexOf(term, index + term.length);
+        }
+    });
+    ranges.sort((a, b) => a[0] - b[0]);
+
+    const highlights = [];
+    ranges.forEach(range => {
+        const last = highlights[highlights.length - 1];
+        if (last && range[0] <= last[1]) {
+            last[1] = Math.max(last[1], range[1]);
+        } else {
+            highlights.push([...range]);
+        }
+    });
+
+    return { snippet, highlights };
+}
+
+module.exports = {
+    parseSearchTerms,
+    buildMatchCondition,
+    buildSnippet
+};
@@ -15,9 +15,28 @@ const multer = require('multer');
 const fs = require('fs');
 
 // 导入数据库和认证模块
-const { initializeDatabase, User, Chatroom, Message } = require('./database');
-const { registerUser, loginUser, requireAuth, requireAuthSocket, verifySession } = require('./auth');
+const { initializeDatabase, User, LoginAttempt, Chatroom, Message, Attachment, AvatarFile } = require('./database');
+const { processImage, processAvatar } = require('./images');
+const { AVATAR_STYLES, AVATAR_COLORS, buildAvatarUrl, renderAvatarSvg } = require('./avatars');
+const { signUploadUrl, verifyUploadSignature } = require('./signedUrls');
+const { checkQuota, storeFile, startOrphanSweeper } = require('./storage');
+const { consume, recordViolation, getAutoMuteUntil, rateLimit } = require('./rateLimit');
+const {
+    registerUser,
+    loginUser,
+    updateProfile,
+    changePassword,
+    requestPasswordReset,
+    resetPassword,
+    requireAuth,
+    requireAuthSocket,
+    verifySession
+} = require('./auth');
 const logger = require('./logger');
+const { parseSearchTerms, buildMatchCondition, buildSnippet } = require('./search');
+const { extractMentions } = require('./mentions');
+const { validateContent, validateMessage } = require('./messageSchema');
+const presence = require('./presence');
 
 const app = express();
 const server = http.createServer(app);
@@ -50,8 +69,9 @@ function log(message) {
     console.log(`[${timestamp}] ${message}`);
 }
 
-// 配置会话中间件
-app.use(session(SESSION_CONFIG));
+// 配置会话中间件（Express与Socket.IO共用同一个实例）
+const sessionMiddleware = session(SESSION_CONFIG);
+app.use(sessionMiddleware);
 
 // 配置Socket.IO
 const io = socketIo(server, {
@@ -61,31 +81,23 @@ const io = socketIo(server, {
     }
 });
 
-// 配置Socket.IO使用会话中间件
-io.use((socket, next) => {
-    // 使用现有的会话中间件
-    session({
-        secret: process.env.SESSION_SECRET || 'chatroom-secret-key-2024',
-        resave: false,
-        saveUninitialized: false,
-        rolling: true, // 每次请求时重置过期时间，用户活动时自动续期
-        cookie: { 
-            secure: false,
-            maxAge: 2 * 60 * 60 * 1000, // 2小时（用户活动时自动续期，最长保持2小时）
-            httpOnly: true,
-            sameSite: 'lax'
-        }
-    })(socket.request, {}, next);
-});
+// 配置Socket.IO使用会话中间件，握手请求会携带同一个会话cookie
+io.engine.use(sessionMiddleware);
+
+// 部署在反向代理之后时，按 X-Forwarded-For 识别客户端IP（用于按IP限制频率）
+if (process.env.TRUST_PROXY) {
+    app.set('trust proxy', parseInt(process.env.TRUST_PROXY) || 1);
+}
 
 // 解析JSON请求体
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-// 静态文件服务
+// 静态文件服务（上传目录不公开，由 /uploads/:name 路由检查权限后提供）
 app.use(express.static(path.join(__dirname, 'public')));
-// 图片上传目录的静态文件服务
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
+
+// 所有API请求的频率限制，登录和上传等接口另有更严格的限制
+app.use('/api', rateLimit('api'));
 
 // 确保上传目录存在
 const uploadsDir = path.join(__dirname, 'uploads');
@@ -99,10 +111,9 @@ const storage = multer.diskStorage({
         cb(null, uploadsDir);
     },
     filename: (req, file, cb) => {
-        // 生成唯一文件名：时间戳 + 随机字符串 + 原始扩展名
+        // 生成唯一的临时文件名：时间戳 + 随机字符串，处理后按真实格式另存为 image- 开头的文件
         const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-        const ext = path.extname(file.originalname);
-        cb(null, `image-${uniqueSuffix}${ext}`);
+        cb(null, `upload-${uniqueSuffix}.tmp`);
     }
 });
 
@@ -125,17 +136,510 @@ const upload = multer({
     }
 });
 
+// 附件上传配置：允许的扩展名和大小上限可通过环境变量调整
+const ATTACHMENT_ALLOWED_EXTENSIONS = (process.env.ATTACHMENT_ALLOWED_EXTENSIONS ||
+    'pdf,txt,log,md,csv,json,xml,zip,rar,7z,gz,tar,doc,docx,xls,xlsx,ppt,pptx')
+    .split(',')
+    .map(ext => ext.trim().toLowerCase().replace(/^\./, ''))
+    .filter(Boolean);
+const ATTACHMENT_MAX_SIZE = (parseInt(process.env.ATTACHMENT_MAX_SIZE_MB) || 20) * 1024 * 1024;
+
+// 上传文件的浏览器缓存时间（秒）
+const UPLOAD_CACHE_MAX_AGE = 24 * 60 * 60;
+
+// 配置 multer 用于通用附件上传
+const attachmentStorage = multer.diskStorage({
+    destination: (req, file, cb) => {
+        cb(null, uploadsDir);
+    },
+    filename: (req, file, cb) => {
+        // 存储名不使用原始文件名，原始文件名保存在数据库中用于下载
+        const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+        const ext = path.extname(file.originalname).toLowerCase();
+        cb(null, `file-${uniqueSuffix}${ext}`);
+    }
+});
+
+const attachmentUpload = multer({
+    storage: attachmentStorage,
+    limits: {
+        fileSize: ATTACHMENT_MAX_SIZE
+    },
+    fileFilter: (req, file, cb) => {
+        const ext = path.extname(file.originalname).toLowerCase().replace(/^\./, '');
+        if (ATTACHMENT_ALLOWED_EXTENSIONS.includes(ext)) {
+            return cb(null, true);
+        }
+        cb(new Error(`不支持的文件类型，仅允许: ${ATTACHMENT_ALLOWED_EXTENSIONS.join(', ')}`));
+    }
+});
+
+/**
+ * 还原上传文件的原始文件名
+ * multer 按 latin1 解析 multipart 中的文件名，中文文件名需要按 UTF-8 重新解码
+ * @param {string} originalname - multer 提供的文件名
+ * @returns {string} 原始文件名
+ */
+function decodeOriginalName(originalname) {
+    const decoded = Buffer.from(originalname, 'latin1').toString('utf8');
+    return path.basename(decoded).slice(0, 255);
+}
+
+// 邀请链接默认有效期（7天）
+const INVITE_DEFAULT_TTL_HOURS = 7 * 24;
+
+// 历史消息每页数量
+const HISTORY_PAGE_SIZE = 50;
+
+// 站点地址，用于生成密码重置邮件中的链接（不能取自请求头，否则可以伪造Host把重置链接指向其他站点）
+const APP_BASE_URL = (process.env.APP_BASE_URL || '').replace(/\/+$/, '');
+
+// 上传头像后 users.avatar 使用的尺寸（界面中的头像最大显示为120px）
+const AVATAR_DEFAULT_SIZE = 128;
+
+// 允许使用的表情回应
+const REACTION_EMOJIS = ['👍', '❤️', '😂', '😮', '😢', '🎉', '👀', '🙏'];
+
+// 临时群聊最多成员数（含发起者）
+const MAX_GROUP_MEMBERS = 10;
+
+// 聊天室角色等级：只能管理等级低于自己的成员
+const ROLE_RANK = { owner: 3, admin: 2, member: 1 };
+
+// Socket事件使用的频率限制规则，未列出的事件共用 socket 规则
+const SOCKET_RATE_RULES = { message: 'message', editMessage: 'message', typing: 'typing' };
+
+// 因频繁超限被临时禁言期间不能执行的事件
+const AUTO_MUTE_EVENTS = ['message', 'editMessage', 'addReaction', 'removeReaction', 'typing'];
+
 // 存储在线用户和聊天室
 const onlineUsers = new Map(); // socketId -> userInfo
-const chatroomUsers = new Map(); // chatroomId -> Set of socketIds
 const typingUsers = new Map(); // chatroomId -> Map of socketId -> userInfo
 
+/**
+ * 检查用户能否访问聊天室（私密聊天室仅成员可访问）
+ * @param {number} chatroomId - 聊天室ID
+ * @param {number} userId - 用户ID
+ * @param {Object} options - 选项
+ * @param {boolean} options.write - 是否为写操作（已归档的聊天室只读）
+ * @returns {Promise<Object>} { chatroom, status, error }，无错误时仅包含chatroom
+ */
+async function checkChatroomAccess(chatroomId, userId, { write = false } = {}) {
+    const chatroom = await Chatroom.findById(chatroomId);
+    if (!chatroom) {
+        return { chatroom: null, status: 404, error: '聊天室不存在' };
+    }
+    if (!chatroom.is_public && !(await Chatroom.isMember(chatroomId, userId))) {
+        return { chatroom, status: 403, error: '这是私密聊天室，仅成员可访问' };
+    }
+    const ban = await Chatroom.getActiveBan(chatroomId, userId);
+    if (ban) {
+        return { chatroom, status: 403, error: formatBanMessage(ban) };
+    }
+    if (write && chatroom.archived_at) {
+        return { chatroom, status: 403, error: '聊天室已归档，只能查看历史消息' };
+    }
+    return { chatroom };
+}
+
+/**
+ * 检查用户能否访问上传的文件
+ * 尚未发送的文件只有上传者可以访问，已发送的文件按所在聊天室的访问权限判断，所属消息被删除后不再提供
+ * @param {Object} upload - 附件信息（Attachment.findById / findAllByFileName 的结果）
+ * @param {number} userId - 用户ID
+ * @returns {Promise<Object>} 可以访问时为空对象，否则为 { status, error }
+ */
+async function checkUploadAccess(upload, userId) {
+    if (!upload.message_id) {
+        return upload.uploader_id === userId ? {} : { status: 404, error: '文件不存在' };
+    }
+    if (upload.message_deleted_at) {
+        return { status: 404, error: '文件不存在' };
+    }
+    const access = await checkChatroomAccess(upload.chatroom_id, userId);
+    return access.error ? { status: access.status, error: access.error } : {};
+}
+
+/**
+ * 按文件名查找用户有权访问的附件
+ * 相同内容的文件只存储一份，只要有一处引用允许访问即可
+ * @param {string} fileName - 上传目录中的文件名
+ * @param {number} userId - 用户ID
+ * @returns {Promise<Object>} { upload } 或 { status, error }
+ */
+async function findAccessibleUpload(fileName, userId) {
+    if (fileName !== path.basename(fileName)) {
+        return { status: 404, error: '文件不存在' };
+    }
+    // 头像对所有登录用户可见
+    if (await AvatarFile.isAvatarFile(fileName)) {
+        return { upload: { kind: 'avatar' } };
+    }
+    let denied = { status: 404, error: '文件不存在' };
+    for (const upload of await Attachment.findAllByFileName(fileName)) {
+        const access = await checkUploadAccess(upload, userId);
+        if (!access.error) {
+            return { upload };
+        }
+        if (access.status !== 404) {
+            denied = access;
+        }
+    }
+    return denied;
+}
+
+/**
+ * 检查用户是否为聊天室群主
+ * @param {number} chatroomId - 聊天室ID
+ * @param {number} userId - 用户ID
+ * @returns {Promise<Object>} { chatroom } 或 { status, error }
+ */
+async function checkRoomOwner(chatroomId, userId) {
+    const chatroom = await Chatroom.findById(chatroomId);
+    if (!chatroom || chatroom.type !== 'room') {
+        return { status: 404, error: '聊天室不存在' };
+    }
+    if (await Chatroom.getMemberRole(chatroomId, userId) !== 'owner') {
+        return { status: 403, error: '只有群主可以执行此操作' };
+    }
+    return { chatroom };
+}
+
+/**
+ * 向能看到该聊天室的用户广播聊天室变更
+ * 公开聊天室出现在所有人的列表中，私密聊天室只通知成员
+ * @param {Object} chatroom - 聊天室信息（变更前读取，删除时成员关系随后会被清除）
+ * @param {string} event - 事件名
+ * @param {Object} payload - 事件数据
+ */
+async function emitChatroomChange(chatroom, event, payload) {
+    if (chatroom.is_public) {
+        io.emit(event, payload);
+        return;
+    }
+    const members = await Chatroom.getMembers(chatroom.id);
+    io.to([`room_${chatroom.id}`, ...members.map(member => `user_${member.id}`)]).emit(event, payload);
+}
+
+/**
+ * 生成封禁提示
+ * @param {Object} ban - 封禁信息
+ * @returns {string} 提示文本
+ */
+function formatBanMessage(ban) {
+    return ban.expires_at
+        ? `你已被该聊天室封禁，将于 ${new Date(ban.expires_at).toLocaleString('zh-CN')} 解除`
+        : '你已被该聊天室永久封禁';
+}
+
+/**
+ * 生成禁言提示
+ * @param {Object} mute - 禁言信息
+ * @returns {string} 提示文本
+ */
+function formatMuteMessage(mute) {
+    return mute.expires_at
+        ? `你已被禁言，将于 ${new Date(mute.expires_at).toLocaleString('zh-CN')} 解除`
+        : '你已被禁言';
+}
+
+/**
+ * 检查用户是否为聊天室管理者（群主或管理员）
+ * @param {Object} chatroom - 聊天室信息
+ * @param {number} userId - 用户ID
+ * @returns {Promise<boolean>} 是否为管理者
+ */
+async function isRoomModerator(chatroom, userId) {
+    if (chatroom.type !== 'room') {
+        return false;
+    }
+    const role = await Chatroom.getMemberRole(chatroom.id, userId);
+    return role === 'owner' || role === 'admin';
+}
+
+/**
+ * 检查用户能否删除他人的消息：管理者只能删除角色等级低于自己的成员（包括已退出的用户）的消息
+ * @param {Object} chatroom - 聊天室信息
+ * @param {number} userId - 操作者ID
+ * @param {number} authorId - 消息发送者ID
+ * @returns {Promise<boolean>} 是否可以删除
+ */
+async function canModerateMessage(chatroom, userId, authorId) {
+    if (chatroom.type !== 'room') {
+        return false;
+    }
+    const role = await Chatroom.getMemberRole(chatroom.id, userId);
+    if (role !== 'owner' && role !== 'admin') {
+        return false;
+    }
+    const authorRole = await Chatroom.getMemberRole(chatroom.id, authorId);
+    return (ROLE_RANK[authorRole] || 0) < ROLE_RANK[role];
+}
+
+/**
+ * 检查操作者能否对目标用户执行管理操作
+ * 只有群主和管理员可以管理，且只能管理角色等级低于自己的用户
+ * @param {number} chatroomId - 聊天室ID
+ * @param {number} actorId - 操作者ID
+ * @param {number} targetId - 目标用户ID
+ * @param {Object} options - 选项
+ * @param {boolean} options.ownerOnly - 是否仅群主可执行
+ * @returns {Promise<Object>} { chatroom, target, targetRole } 或 { status, error }
+ */
+async function checkModerationTarget(chatroomId, actorId, targetId, { ownerOnly = false } = {}) {
+    const chatroom = await Chatroom.findById(chatroomId);
+    if (!chatroom) {
+        return { status: 404, error: '聊天室不存在' };
+    }
+    if (chatroom.type !== 'room') {
+        return { status: 400, error: '私聊和群聊不支持管理操作' };
+    }
+
+    const actorRole = await Chatroom.getMemberRole(chatroomId, actorId);
+    if (ownerOnly ? actorRole !== 'owner' : !(actorRole === 'owner' || actorRole === 'admin')) {
+        return { status: 403, error: ownerOnly ? '只有群主可以执行此操作' : '只有群主和管理员可以执行此操作' };
+    }
+
+    const target = isNaN(targetId) ? null : await User.findById(targetId);
+    if (!target) {
+        return { status: 404, error: '用户不存在' };
+    }
+    if (target.id === actorId) {
+        return { status: 400, error: '不能对自己执行此操作' };
+    }
+
+    const targetRole = await Chatroom.getMemberRole(chatroomId, target.id);
+    if ((ROLE_RANK[targetRole] || 0) >= ROLE_RANK[actorRole]) {
+        return { status: 403, error: '不能管理角色不低于自己的成员' };
+    }
+
+    return { chatroom, target, targetRole };
+}
+
+/**
+ * 解析管理操作的持续时间
+ * @param {*} durationMinutes - 持续分钟数，为空表示永久
+ * @returns {Date|null} 到期时间
+ */
+function parseExpiry(durationMinutes) {
+    const minutes = parseInt(durationMinutes);
+    return minutes > 0 ? new Date(Date.now() + minutes * 60 * 1000) : null;
+}
+
+/**
+ * 解析分页参数：游标和数量可以省略（undefined 或 null），提供时必须是数字
+ * @param {Object} source - 请求参数（REST的查询字符串或Socket事件数据）
+ * @returns {Object} { before, after, limit } 或 { error }
+ */
+function parsePageQuery(source) {
+    const page = { before: null, after: null, limit: HISTORY_PAGE_SIZE };
+    for (const name of ['before', 'after', 'limit']) {
+        if (source[name] === undefined || source[name] === null) {
+            continue;
+        }
+        page[name] = parseInt(source[name]);
+        if (isNaN(page[name])) {
+            return { error: `无效的参数 ${name}` };
+        }
+    }
+    return page;
+}
+
+/**
+ * 将用户的所有连接移出聊天室房间（被踢出、封禁或主动退出后）
+ * @param {number} chatroomId - 聊天室ID
+ * @param {number} userId - 用户ID
+ */
+async function removeUserSockets(chatroomId, userId) {
+    presence.removeUserFromRoom(chatroomId, userId);
+    const sockets = await io.in(`user_${userId}`).fetchSockets();
+    sockets.forEach(userSocket => {
+        if (typingUsers.has(chatroomId)) {
+            typingUsers.get(chatroomId).delete(userSocket.id);
+        }
+    });
+    io.in(`user_${userId}`).socketsLeave(`room_${chatroomId}`);
+}
+
+/**
+ * 通知聊天室和目标用户发生了管理操作，并刷新成员列表
+ * @param {number} chatroomId - 聊天室ID
+ * @param {Object} action - { action, userId, message }
+ */
+async function notifyModeration(chatroomId, action) {
+    io.to([`room_${chatroomId}`, `user_${action.userId}`]).emit('moderationAction', { chatroomId, ...action });
+    const members = await Chatroom.getMembers(chatroomId);
+    io.to(`room_${chatroomId}`).emit('roomMembers', withPresence(members));
+}
+
+/**
+ * 获取聊天室正在输入的用户列表（同一用户在多个连接中输入只列出一次）
+ * @param {number} chatroomId - 聊天室ID
+ * @returns {Array} 正在输入的用户 [{ id, nickname }]
+ */
+function getTypingList(chatroomId) {
+    const users = new Map();
+    (typingUsers.get(chatroomId) || new Map()).forEach(user => users.set(user.id, user));
+    return Array.from(users.values());
+}
+
+/**
+ * 获取关心某个用户资料和在线状态的Socket房间：用户自己、其加入的聊天室，以及私聊和群聊的其他成员
+ * @param {number} userId - 用户ID
+ * @returns {Promise<Array<string>>} 房间列表
+ */
+async function getUserAudience(userId) {
+    const chatroomIds = await Chatroom.getMemberChatroomIds(userId);
+    const partnerIds = await Chatroom.getConversationPartnerIds(userId);
+    return [
+        `user_${userId}`,
+        ...chatroomIds.map(id => `room_${id}`),
+        ...partnerIds.map(id => `user_${id}`)
+    ];
+}
+
+/**
+ * 为用户列表附加当前在线状态
+ * @param {Array} users - 用户列表（需要包含 id）
+ * @returns {Array} 附加了 presence 字段的用户列表
+ */
+function withPresence(users) {
+    return users.map(user => ({ ...user, presence: presence.getPresence(user.id) }));
+}
+
+/**
+ * 通知相关用户某个用户的在线状态发生了变化
+ * @param {number} userId - 用户ID
+ * @param {string} status - 新的在线状态
+ * @param {Date} [lastSeen] - 变为离线时的最后在线时间
+ */
+async function broadcastPresence(userId, status, lastSeen = null) {
+    const targets = await getUserAudience(userId);
+    io.to(targets).emit('presenceUpdated', { userId, status, lastSeen });
+}
+
+/**
+ * 用户修改资料后同步到其在线连接，并通知相关聊天室和会话对象
+ * @param {Object} user - 更新后的用户信息
+ */
+async function broadcastProfileUpdate(user) {
+    const profile = {
+        id: user.id,
+        username: user.username,
+        nickname: user.nickname,
+        avatar: user.avatar,
+        bio: user.bio,
+        status_text: user.status_text
+    };
+
+    // 之后发送的消息和输入状态使用新的资料（onlineUsers 与 socket.user 是同一个对象）
+    const sockets = await io.in(`user_${user.id}`).fetchSockets();
+    sockets.forEach(userSocket => Object.assign(userSocket.user, user));
+
+    const targets = await getUserAudience(user.id);
+    io.to(targets).emit('userProfileUpdated', { user: profile });
+}
+
+/**
+ * 获取Socket连接的客户端IP（与 trust proxy 配置的代理层数保持一致）
+ * @param {Object} socket - Socket对象
+ * @returns {string} 客户端IP
+ */
+function getSocketIp(socket) {
+    const forwarded = socket.handshake.headers['x-forwarded-for'];
+    if (process.env.TRUST_PROXY && forwarded) {
+        const addresses = forwarded.split(',').map(address => address.trim());
+        const hops = parseInt(process.env.TRUST_PROXY) || 1;
+        return addresses[Math.max(0, addresses.length - hops)];
+    }
+    return socket.handshake.address;
+}
+
+/**
+ * 检查Socket事件的频率限制和临时禁言
+ * @param {Object} socket - Socket对象
+ * @param {string} event - 事件名
+ * @returns {Object|null} 被拒绝时返回 { message, retryAfter }，允许时返回null
+ */
+function checkSocketRate(socket, event) {
+    const user = socket.user;
+    const muteUntil = getAutoMuteUntil(user.id);
+    if (muteUntil && AUTO_MUTE_EVENTS.includes(event)) {
+        const retryAfter = Math.ceil((muteUntil - Date.now()) / 1000);
+        return { message: `发送过于频繁，已被临时禁言，${retryAfter} 秒后恢复`, retryAfter };
+    }
+
+    const result = consume(SOCKET_RATE_RULES[event] || 'socket', { userId: user.id, ip: getSocketIp(socket) });
+    if (!result.allowed) {
+        recordViolation(user.id, user.username, event);
+        return { message: `操作过于频繁，请 ${result.retryAfter} 秒后再试`, retryAfter: result.retryAfter };
+    }
+    return null;
+}
+
+/**
+ * 读取客户端为发送中的消息生成的ID（用于把拒绝原因对应到具体消息）
+ * @param {Object} data - message 事件的数据
+ * @returns {string|null} 客户端消息ID
+ */
+function getClientMessageId(data) {
+    return data && typeof data.clientMessageId === 'string' ? data.clientMessageId.slice(0, 64) : null;
+}
+
+/**
+ * 获取聊天室广播目标：私聊和群聊同时投递给全部成员，未打开会话的成员也能实时收到
+ * @param {Object} chatroom - 聊天室信息
+ * @returns {Promise<Array<string>>} Socket.IO房间名列表
+ */
+async function getBroadcastTargets(chatroom) {
+    const targets = [`room_${chatroom.id}`];
+    if (chatroom.type !== 'room') {
+        const members = await Chatroom.getMembers(chatroom.id);
+        members.forEach(member => targets.push(`user_${member.id}`));
+    }
+    return targets;
+}
+
+/**
+ * 解析并保存消息中的@提及，并通知新被提及的成员
+ * @param {Object} chatroom - 聊天室信息
+ * @param {number} messageId - 消息ID
+ * @param {string} content - 消息内容
+ * @param {Object} author - 发送者
+ * @returns {Promise<Array>} 被提及的用户 [{ userId, username, nickname }]
+ */
+async function saveMentions(chatroom, messageId, content, author) {
+    const members = await Chatroom.getMembers(chatroom.id);
+    const mentioned = extractMentions(content, members);
+    const added = await Message.setMentions(messageId, mentioned.map(member => member.id));
+
+    // 自己@自己不需要通知
+    const notifyTargets = added
+        .filter(userId => userId !== author.id)
+        .map(userId => `user_${userId}`);
+    if (notifyTargets.length > 0) {
+        io.to(notifyTargets).emit('mentioned', {
+            chatroomId: chatroom.id,
+            chatroomType: chatroom.type,
+            messageId,
+            nickname: author.nickname,
+            content
+        });
+    }
+
+    return mentioned.map(member => ({
+        userId: member.id,
+        username: member.username,
+        nickname: member.nickname
+    }));
+}
+
 /**
  * API路由 - 用户认证
  */
 
 // 用户注册
-app.post('/api/register', async (req, res) => {
+app.post('/api/register', rateLimit('login'), async (req, res) => {
     try {
         const result = await registerUser(req.body);
         res.json(result);
@@ -145,23 +649,35 @@ app.post('/api/register', async (req, res) => {
 });
 
 // 用户登录
-app.post('/api/login', async (req, res) => {
+app.post('/api/login', rateLimit('login'), async (req, res) => {
     try {
-        const result = await loginUser(req.body);
+        const { sessionVersion, ...result } = await loginUser(req.body, { ip: req.ip, userAgent: req.get('user-agent') });
         req.session.userId = result.user.id;
         req.session.username = result.user.username;
+        req.session.sessionVersion = sessionVersion;
         res.json(result);
     } catch (error) {
-        res.status(400).json({ success: false, message: error.message });
+        // 账号刚被锁定时通知该用户已登录的设备，可以在那里解除锁定
+        if (error.lockedUserId) {
+            logger.warn(`账号 ${req.body.username} 因多次登录失败被临时锁定，来源IP: ${req.ip}`);
+            io.to(`user_${error.lockedUserId}`).emit('accountLocked', { ip: req.ip });
+        }
+        if (error.retryAfter) {
+            res.set('Retry-After', String(error.retryAfter));
+        }
+        res.status(error.status || 400).json({ success: false, message: error.message, retryAfter: error.retryAfter });
     }
 });
 
 // 用户登出
 app.post('/api/logout', (req, res) => {
+    const sessionId = req.sessionID;
     req.session.destroy((err) => {
         if (err) {
             return res.status(500).json({ success: false, message: '登出失败' });
         }
+        // 断开该会话下的所有Socket连接
+        io.in(`session_${sessionId}`).disconnectSockets(true);
         res.json({ success: true, message: '登出成功' });
     });
 });
@@ -171,21 +687,111 @@ app.get('/api/user', requireAuth, (req, res) => {
     res.json({ success: true, user: req.user });
 });
 
+// 获取自己账号的登录记录和锁定状态
+app.get('/api/user/login-attempts', requireAuth, async (req, res) => {
+    try {
+        const attempts = await LoginAttempt.findByUser(req.user.id);
+        const state = await User.getLoginState(req.user.id);
+        const locked = !!(state && state.locked_until && new Date(state.locked_until) > new Date());
+        res.json({
+            success: true,
+            attempts,
+            failedCount: state ? state.failed_login_count : 0,
+            lockedUntil: locked ? state.locked_until : null
+        });
+    } catch (error) {
+        logger.error('获取登录记录失败:', error);
+        res.status(500).json({ success: false, message: '获取登录记录失败' });
+    }
+});
+
+// 解除自己账号的登录锁定（在已登录的设备上操作）
+app.post('/api/user/unlock', requireAuth, async (req, res) => {
+    try {
+        await User.resetLoginFailures(req.user.id);
+        logger.info(`用户 ${req.user.username} 解除了账号的登录锁定`);
+        res.json({ success: true, message: '已解除锁定' });
+    } catch (error) {
+        logger.error('解除登录锁定失败:', error);
+        res.status(500).json({ success: false, message: '解除锁定失败' });
+    }
+});
+
+// 修改密码：当前会话保持登录，其他设备上的会话失效
+app.post('/api/user/password', requireAuth, async (req, res) => {
+    try {
+        const { oldPassword, newPassword } = req.body;
+        req.session.sessionVersion = await changePassword(req.user.id, oldPassword, newPassword);
+
+        // 断开其他会话的Socket连接（它们的会话已经失效）
+        const sockets = await io.in(`user_${req.user.id}`).fetchSockets();
+        sockets
+            .filter(socket => socket.request.sessionID !== req.sessionID)
+            .forEach(socket => socket.disconnect(true));
+
+        logger.info(`用户 ${req.user.username} 修改了密码`);
+        res.json({ success: true, message: '密码已修改，其他设备需要重新登录' });
+    } catch (error) {
+        res.status(400).json({ success: false, message: error.message });
+    }
+});
+
+// 申请重置密码（通过邮件发送重置链接）
+app.post('/api/password/forgot', rateLimit('login'), async (req, res) => {
+    const { account } = req.body;
+    if (typeof account !== 'string' || !account.trim()) {
+        return res.status(400).json({ success: false, message: '请输入用户名或邮箱' });
+    }
+
+    if (!APP_BASE_URL) {
+        logger.error('未配置 APP_BASE_URL，无法发送密码重置邮件');
+        return res.status(503).json({ success: false, message: '暂不支持通过邮件重置密码，请联系管理员' });
+    }
+
+    try {
+        await requestPasswordReset(account, APP_BASE_URL);
+        // 不透露账号是否存在
+        res.json({ success: true, message: '如果该账号存在并绑定了邮箱，重置链接已发送到邮箱' });
+    } catch (error) {
+        logger.error('发送密码重置邮件失败:', error);
+        res.status(500).json({ success: false, message: '发送重置邮件失败，请稍后再试' });
+    }
+});
+
+// 使用重置链接设置新密码
+app.post('/api/password/reset', rateLimit('login'), async (req, res) => {
+    try {
+        const userId = await resetPassword(req.body.token, req.body.newPassword);
+        // 该账号的所有会话都已失效
+        io.in(`user_${userId}`).disconnectSockets(true);
+        logger.info(`用户(${userId}) 通过邮件重置了密码`);
+        res.json({ success: true, message: '密码已重置，请使用新密码登录' });
+    } catch (error) {
+        res.status(400).json({ success: false, message: error.message });
+    }
+});
+
 /**
  * API路由 - 聊天室管理
  */
 
-// 获取所有公开聊天室
+// 获取所有公开聊天室（以及当前用户已加入的私密聊天室）
 app.get('/api/chatrooms', async (req, res) => {
     try {
-        // 尝试从session获取用户ID
-        const userId = req.session?.userId || null;
-        const chatrooms = await Chatroom.getAllPublic(userId);
+        // 尝试从session获取用户ID（会话已失效时按未登录处理）
+        const sessionUser = await verifySession(req.session);
+        const userId = sessionUser ? sessionUser.id : null;
+        const includeArchived = req.query.includeArchived === '1';
+        const chatrooms = await Chatroom.getAllPublic(userId, { includePrivate: true, includeArchived });
+        const unreadCounts = userId ? await Chatroom.getUnreadCounts(userId) : new Map();
+        const mentionCounts = userId ? await Chatroom.getUnreadMentionCounts(userId) : new Map();
         
-        // 添加实时在线人数
+        // 添加实时在线人数、未读消息数和未读提及数
         const chatroomsWithOnlineCount = chatrooms.map(room => ({
             ...room,
-            online_count: chatroomUsers.has(room.id) ? chatroomUsers.get(room.id).size : 0
+            online_count: presence.getRoomOnlineCount(room.id),
+            unread_count: unreadCounts.get(room.id) || 0,
+            mention_count: mentionCounts.get(room.id) || 0
         }));
         
         res.json({ success: true, chatrooms: chatroomsWithOnlineCount });
@@ -251,7 +857,10 @@ app.get('/api/user/info', requireAuth, async (req, res) => {
                 username: user.username,
                 nickname: user.nickname,
                 email: user.email,
-                avatar: user.avatar
+                avatar: user.avatar,
+                bio: user.bio,
+                status_text: user.status_text,
+                do_not_disturb: !!user.do_not_disturb
             }
         });
     } catch (error) {
@@ -260,38 +869,165 @@ app.get('/api/user/info', requireAuth, async (req, res) => {
     }
 });
 
-// 更新用户头像
+// 更新个人资料（昵称、邮箱、个人简介和自定义状态）
+app.put('/api/user/profile', requireAuth, async (req, res) => {
+    let user;
+    try {
+        user = await updateProfile(req.user.id, req.body || {});
+    } catch (error) {
+        if (error.status === 400) {
+            return res.status(400).json({ success: false, message: error.message });
+        }
+        logger.error('更新个人资料失败:', error);
+        return res.status(500).json({ success: false, message: '更新个人资料失败' });
+    }
+
+    try {
+        await broadcastProfileUpdate(user);
+    } catch (error) {
+        // 资料已经保存，通知失败不影响本次请求的结果
+        logger.error('同步个人资料失败:', error);
+    }
+    logger.info(`用户 ${user.username} 更新了个人资料`);
+    res.json({ success: true, user });
+});
+
+// 更新用户头像（选择生成头像的风格和颜色，上传头像使用下面的接口）
 app.put('/api/user/avatar', requireAuth, async (req, res) => {
     try {
-        const { avatar } = req.body;
+        const { style, color } = req.body;
         const userId = req.user.id;
         
-        if (!avatar) {
-            return res.status(400).json({ success: false, message: '头像URL不能为空' });
+        if (!AVATAR_STYLES.includes(style) || !AVATAR_COLORS.includes(color)) {
+            return res.status(400).json({ success: false, message: '无效的头像风格或颜色' });
         }
         
-        // 更新用户头像
+        // 更新用户头像，之前上传的头像文件不再被引用，由清理任务删除
+        const avatar = buildAvatarUrl(userId, style, color);
         await User.updateAvatar(userId, avatar);
+        await AvatarFile.clear(userId);
+        await broadcastProfileUpdate({ ...req.user, avatar });
         
-        res.json({ success: true, message: '头像更新成功' });
+        res.json({ success: true, message: '头像更新成功', avatar });
     } catch (error) {
         console.error('更新头像失败:', error);
         res.status(500).json({ success: false, message: '更新头像失败' });
     }
 });
 
+// 上传自定义头像（客户端裁剪为正方形后上传，服务器生成多个尺寸）
+app.post('/api/user/avatar/upload', requireAuth, rateLimit('upload'), (req, res, next) => {
+    // 文件类型或大小不符合时返回JSON错误，头像裁剪界面据此提示
+    upload.single('avatar')(req, res, (err) => {
+        if (err) {
+            const message = err.code === 'LIMIT_FILE_SIZE' ? '图片大小不能超过 5MB' : err.message;
+            return res.status(400).json({ success: false, message });
+        }
+        next();
+    });
+}, async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ success: false, message: '请选择要上传的图片' });
+        }
+
+        let files;
+        try {
+            const baseName = path.basename(req.file.filename, '.tmp').replace(/^upload-/, 'avatar-');
+            files = await processAvatar(req.file.path, uploadsDir, baseName);
+        } catch (error) {
+            return res.status(400).json({ success: false, message: error.message });
+        }
+
+        // 生成的各尺寸文件计入个人存储配额
+        const filePaths = Object.values(files).map(fileName => path.join(uploadsDir, fileName));
+        const stats = await Promise.all(filePaths.map(filePath => fs.promises.stat(filePath)));
+        const quotaError = await checkQuota(req.user.id, null, stats.reduce((total, stat) => total + stat.size, 0));
+        if (quotaError) {
+            filePaths.forEach(filePath => fs.unlink(filePath, () => {}));
+            return res.status(413).json({ success: false, message: quotaError });
+        }
+
+        // 登记文件，内容相同的头像复用已有文件
+        for (const size of Object.keys(files)) {
+            files[size] = await storeFile(path.join(uploadsDir, files[size]), req.user.id);
+        }
+        const avatar = `/uploads/${files[AVATAR_DEFAULT_SIZE]}`;
+        await AvatarFile.replace(req.user.id, files, avatar);
+        await broadcastProfileUpdate({ ...req.user, avatar });
+
+        logger.info(`用户 ${req.user.username} 上传了新头像`);
+        res.json({
+            success: true,
+            avatar,
+            sizes: Object.fromEntries(Object.entries(files).map(([size, fileName]) => [size, `/uploads/${fileName}`]))
+        });
+    } catch (error) {
+        logger.error('上传头像失败:', error);
+        res.status(500).json({ success: false, message: '上传头像失败' });
+    }
+});
+
 // 上传图片接口
-app.post('/api/upload/image', requireAuth, upload.single('image'), (req, res) => {
+app.post('/api/upload/image', requireAuth, rateLimit('upload'), upload.single('image'), async (req, res) => {
     try {
         if (!req.file) {
             return res.status(400).json({ success: false, message: '请选择要上传的图片' });
         }
 
-        // 返回图片URL
-        const imageUrl = `/uploads/${req.file.filename}`;
+        // 只能向有权访问的聊天室上传
+        const chatroomId = parseInt(req.body.chatroomId);
+        const access = isNaN(chatroomId)
+            ? { status: 400, error: '无效的聊天室ID' }
+            : await checkChatroomAccess(chatroomId, req.user.id, { write: true });
+        if (access.error) {
+            fs.unlink(req.file.path, () => {});
+            return res.status(access.status).json({ success: false, message: access.error });
+        }
+
+        // 按文件头校验真实格式，去除EXIF等元数据后重新编码并生成缩略图
+        let processed;
+        try {
+            const baseName = path.basename(req.file.filename, '.tmp').replace(/^upload-/, 'image-');
+            processed = await processImage(req.file.path, uploadsDir, baseName);
+        } catch (error) {
+            return res.status(400).json({ success: false, message: error.message });
+        }
+
+        const imagePath = path.join(uploadsDir, processed.fileName);
+        const thumbnailPath = path.join(uploadsDir, processed.thumbnailName);
+        const quotaError = await checkQuota(req.user.id, chatroomId, processed.size);
+        if (quotaError) {
+            fs.unlink(imagePath, () => {});
+            fs.unlink(thumbnailPath, () => {});
+            return res.status(413).json({ success: false, message: quotaError });
+        }
+
+        // 登记文件，内容相同的图片复用已有文件
+        const storedName = await storeFile(imagePath, req.user.id);
+        const thumbnailName = await storeFile(thumbnailPath, req.user.id);
+
+        const image = await Attachment.create({
+            uploader_id: req.user.id,
+            chatroom_id: chatroomId,
+            stored_name: storedName,
+            original_name: decodeOriginalName(req.file.originalname),
+            mime_type: processed.mimeType,
+            size: processed.size,
+            kind: 'image',
+            width: processed.width,
+            height: processed.height,
+            thumbnail_name: thumbnailName
+        });
+
+        // 返回图片URL、缩略图URL和尺寸
         res.json({ 
             success: true, 
-            imageUrl: imageUrl,
+            id: image.id,
+            imageUrl: `/uploads/${image.stored_name}`,
+            thumbnailUrl: `/uploads/${image.thumbnail_name}`,
+            width: image.width,
+            height: image.height,
             message: '图片上传成功' 
         });
     } catch (error) {
@@ -303,56 +1039,974 @@ app.post('/api/upload/image', requireAuth, upload.single('image'), (req, res) =>
     }
 });
 
-// 创建新聊天室
+// 获取附件上传限制（客户端据此做预校验）
+app.get('/api/upload/config', requireAuth, (req, res) => {
+    res.json({
+        success: true,
+        allowedExtensions: ATTACHMENT_ALLOWED_EXTENSIONS,
+        maxSize: ATTACHMENT_MAX_SIZE
+    });
+});
+
+// 上传附件接口
+app.post('/api/upload/file', requireAuth, rateLimit('upload'), (req, res, next) => {
+    // 文件类型或大小不符合时返回JSON错误，而不是默认的错误页面
+    attachmentUpload.single('file')(req, res, (err) => {
+        if (err) {
+            const message = err.code === 'LIMIT_FILE_SIZE'
+                ? `文件大小不能超过 ${Math.round(ATTACHMENT_MAX_SIZE / 1024 / 1024)}MB`
+                : err.message;
+            return res.status(400).json({ success: false, message });
+        }
+        next();
+    });
+}, async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ success: false, message: '请选择要上传的文件' });
+        }
+
+        // 只能向有权访问的聊天室上传
+        const chatroomId = parseInt(req.body.chatroomId);
+        const access = isNaN(chatroomId)
+            ? { status: 400, error: '无效的聊天室ID' }
+            : await checkChatroomAccess(chatroomId, req.user.id, { write: true });
+        if (access.error) {
+            fs.unlink(req.file.path, () => {});
+            return res.status(access.status).json({ success: false, message: access.error });
+        }
+
+        const quotaError = await checkQuota(req.user.id, chatroomId, req.file.size);
+        if (quotaError) {
+            fs.unlink(req.file.path, () => {});
+            return res.status(413).json({ success: false, message: quotaError });
+        }
+
+        // 登记文件，内容相同的文件复用已有文件
+        const storedName = await storeFile(req.file.path, req.user.id);
+
+        const attachment = await Attachment.create({
+            uploader_id: req.user.id,
+            chatroom_id: chatroomId,
+            stored_name: storedName,
+            original_name: decodeOriginalName(req.file.originalname),
+            mime_type: req.file.mimetype || 'application/octet-stream',
+            size: req.file.size
+        });
+
+        res.json({
+            success: true,
+            attachment: {
+                id: attachment.id,
+                name: attachment.original_name,
+                size: attachment.size,
+                mimeType: attachment.mime_type
+            },
+            message: '文件上传成功'
+        });
+    } catch (error) {
+        logger.error('文件上传失败:', error);
+        if (req.file) {
+            fs.unlink(req.file.path, () => {});
+        }
+        res.status(500).json({ success: false, message: '文件上传失败' });
+    }
+});
+
+// 放弃尚未发送的图片或附件，立即释放占用的存储配额（文件由清理任务回收）
+app.delete('/api/attachments/:id', requireAuth, async (req, res) => {
+    try {
+        const attachmentId = parseInt(req.params.id);
+        if (isNaN(attachmentId) || !(await Attachment.deleteUnsent(attachmentId, req.user.id))) {
+            return res.status(404).json({ success: false, message: '文件不存在或已发送' });
+        }
+        res.json({ success: true, message: '已删除' });
+    } catch (error) {
+        logger.error('删除附件失败:', error);
+        res.status(500).json({ success: false, message: '删除附件失败' });
+    }
+});
+
+// 下载附件（保留原始文件名）
+app.get('/api/attachments/:id/download', requireAuth, async (req, res) => {
+    try {
+        const attachmentId = parseInt(req.params.id);
+        const attachment = isNaN(attachmentId) ? null : await Attachment.findById(attachmentId);
+        if (!attachment) {
+            return res.status(404).json({ success: false, message: '文件不存在' });
+        }
+
+        const access = await checkUploadAccess(attachment, req.user.id);
+        if (access.error) {
+            return res.status(access.status).json({ success: false, message: access.error });
+        }
+
+        res.set('Cache-Control', `private, max-age=${UPLOAD_CACHE_MAX_AGE}`);
+        res.type(attachment.mime_type);
+        res.download(path.join(uploadsDir, attachment.stored_name), attachment.original_name, (err) => {
+            if (err && !res.headersSent) {
+                res.status(404).json({ success: false, message: '文件不存在' });
+            }
+        });
+    } catch (error) {
+        logger.error('下载附件失败:', error);
+        res.status(500).json({ success: false, message: '下载附件失败' });
+    }
+});
+
+// 提供上传的文件（图片、缩略图和附件），需要登录或有效的签名链接
+// 支持Range请求和ETag/Last-Modified条件请求（由 sendFile 处理）
+app.get('/uploads/:name', async (req, res) => {
+    try {
+        const fileName = req.params.name;
+        const { expires, signature } = req.query;
+        let cacheMaxAge = UPLOAD_CACHE_MAX_AGE;
+        let upload;
+        if (signature) {
+            // 签名链接不需要登录，缓存时间不超过链接的剩余有效期
+            if (!verifyUploadSignature(fileName, expires, signature)) {
+                return res.status(403).json({ success: false, message: '链接无效或已过期' });
+            }
+            // 所有引用所在的消息都已删除时链接随之失效
+            upload = await AvatarFile.isAvatarFile(fileName)
+                ? { kind: 'avatar' }
+                : (await Attachment.findAllByFileName(fileName)).find(item => !item.message_deleted_at);
+            if (!upload) {
+                return res.status(404).json({ success: false, message: '文件不存在' });
+            }
+            cacheMaxAge = Math.max(0, Math.min(cacheMaxAge, Math.floor(parseInt(expires) - Date.now() / 1000)));
+        } else {
+            const user = await verifySession(req.session);
+            if (!user) {
+                return res.status(401).json({ success: false, message: '请先登录' });
+            }
+            const result = await findAccessibleUpload(fileName, user.id);
+            if (result.error) {
+                return res.status(result.status).json({ success: false, message: result.error });
+            }
+            upload = result.upload;
+        }
+
+        // 普通附件不在浏览器中直接打开，避免上传的HTML等内容在本站域名下执行
+        if (upload.kind === 'file') {
+            res.attachment(upload.original_name);
+        }
+
+        // 文件名唯一且内容不变，但权限可能被收回，只允许浏览器私有缓存
+        res.set('Cache-Control', `private, max-age=${cacheMaxAge}`);
+        res.set('X-Content-Type-Options', 'nosniff');
+        res.sendFile(path.join(uploadsDir, fileName), (err) => {
+            if (err && !res.headersSent) {
+                res.status(404).json({ success: false, message: '文件不存在' });
+            }
+        });
+    } catch (error) {
+        logger.error('获取上传文件失败:', error);
+        res.status(500).json({ success: false, message: '获取文件失败' });
+    }
+});
+
+// 本地生成的默认头像（按用户ID、风格和颜色生成SVG）
+// 不放在 /api 下：成员列表等一次会加载很多头像，不计入接口的频率限制
+app.get('/avatars/:file', async (req, res) => {
+    try {
+        const match = req.params.file.match(/^(\d+)\.svg$/);
+        if (!match) {
+            return res.status(404).json({ success: false, message: '头像不存在' });
+        }
+        if (!(await verifySession(req.session))) {
+            return res.status(401).json({ success: false, message: '请先登录' });
+        }
+        const user = await User.findById(parseInt(match[1]));
+        if (!user) {
+            return res.status(404).json({ success: false, message: '头像不存在' });
+        }
+
+        // 首字头像随昵称变化，每次使用前向服务器确认（内容未变时返回304）
+        res.set('Cache-Control', 'private, no-cache');
+        res.type('image/svg+xml');
+        res.send(renderAvatarSvg({
+            userId: user.id,
+            nickname: user.nickname,
+            style: req.query.style,
+            color: req.query.color
+        }));
+    } catch (error) {
+        logger.error('生成头像失败:', error);
+        res.status(500).json({ success: false, message: '生成头像失败' });
+    }
+});
+
+// 生成上传文件的签名链接，用于在无法携带登录状态的地方嵌入（默认1小时后失效）
+app.get('/api/uploads/:name/signed-url', requireAuth, async (req, res) => {
+    try {
+        const fileName = req.params.name;
+        const result = await findAccessibleUpload(fileName, req.user.id);
+        if (result.error) {
+            return res.status(result.status).json({ success: false, message: result.error });
+        }
+
+        const { url, expiresAt } = signUploadUrl(fileName, req.query.expiresIn);
+        res.json({ success: true, url, expiresAt });
+    } catch (error) {
+        logger.error('生成签名链接失败:', error);
+        res.status(500).json({ success: false, message: '生成签名链接失败' });
+    }
+});
+
+// 创建新聊天室
 app.post('/api/chatrooms', requireAuth, async (req, res) => {
     try {
-        const { name, description } = req.body;
-        
-        if (!name || name.trim().length === 0) {
-            return res.status(400).json({ success: false, message: '聊天室名称不能为空' });
+        const { name, description, isPublic } = req.body;
+        
+        if (!name || name.trim().length === 0) {
+            return res.status(400).json({ success: false, message: '聊天室名称不能为空' });
+        }
+
+        const chatroom = await Chatroom.create({
+            name: name.trim(),
+            description: description ? description.trim() : '',
+            created_by: req.user.id,
+            is_public: isPublic !== false
+        });
+
+        // 将创建者添加到聊天室并设为群主
+        await Chatroom.addMember(chatroom.id, req.user.id, 'owner');
+
+        res.json({ success: true, chatroom });
+    } catch (error) {
+        res.status(500).json({ success: false, message: '创建聊天室失败' });
+    }
+});
+
+// 修改聊天室名称和描述（仅群主）
+app.put('/api/chatrooms/:id', requireAuth, async (req, res) => {
+    try {
+        const chatroomId = parseInt(req.params.id);
+        const { name, description } = req.body;
+
+        if (!name || name.trim().length === 0) {
+            return res.status(400).json({ success: false, message: '聊天室名称不能为空' });
+        }
+        if (name.trim().length > 100) {
+            return res.status(400).json({ success: false, message: '聊天室名称不能超过100个字符' });
+        }
+
+        const check = await checkRoomOwner(chatroomId, req.user.id);
+        if (check.error) {
+            return res.status(check.status).json({ success: false, message: check.error });
+        }
+
+        const updates = {
+            name: name.trim(),
+            description: description ? description.trim() : ''
+        };
+        await Chatroom.update(chatroomId, updates);
+
+        const chatroom = { ...check.chatroom, ...updates };
+        await emitChatroomChange(chatroom, 'chatroomUpdated', { chatroom });
+
+        logger.info(`用户 ${req.user.nickname} 修改了聊天室 ${chatroomId} 的信息`);
+        res.json({ success: true, chatroom });
+    } catch (error) {
+        logger.error('修改聊天室失败:', error);
+        res.status(500).json({ success: false, message: '修改聊天室失败' });
+    }
+});
+
+// 归档聊天室（仅群主）：归档后只读，默认不在列表中显示
+app.post('/api/chatrooms/:id/archive', requireAuth, async (req, res) => {
+    try {
+        const chatroomId = parseInt(req.params.id);
+        const check = await checkRoomOwner(chatroomId, req.user.id);
+        if (check.error) {
+            return res.status(check.status).json({ success: false, message: check.error });
+        }
+
+        await Chatroom.setArchived(chatroomId, true);
+        const chatroom = await Chatroom.findById(chatroomId);
+        await emitChatroomChange(chatroom, 'chatroomUpdated', { chatroom });
+
+        logger.info(`用户 ${req.user.nickname} 归档了聊天室 ${chatroomId}`);
+        res.json({ success: true, chatroom });
+    } catch (error) {
+        logger.error('归档聊天室失败:', error);
+        res.status(500).json({ success: false, message: '归档聊天室失败' });
+    }
+});
+
+// 取消归档聊天室（仅群主）
+app.delete('/api/chatrooms/:id/archive', requireAuth, async (req, res) => {
+    try {
+        const chatroomId = parseInt(req.params.id);
+        const check = await checkRoomOwner(chatroomId, req.user.id);
+        if (check.error) {
+            return res.status(check.status).json({ success: false, message: check.error });
+        }
+
+        await Chatroom.setArchived(chatroomId, false);
+        const chatroom = await Chatroom.findById(chatroomId);
+        await emitChatroomChange(chatroom, 'chatroomUpdated', { chatroom });
+
+        logger.info(`用户 ${req.user.nickname} 取消归档了聊天室 ${chatroomId}`);
+        res.json({ success: true, chatroom });
+    } catch (error) {
+        logger.error('取消归档聊天室失败:', error);
+        res.status(500).json({ success: false, message: '取消归档聊天室失败' });
+    }
+});
+
+// 删除聊天室（仅群主），成员、消息和邀请一并删除
+app.delete('/api/chatrooms/:id', requireAuth, async (req, res) => {
+    try {
+        const chatroomId = parseInt(req.params.id);
+        const check = await checkRoomOwner(chatroomId, req.user.id);
+        if (check.error) {
+            return res.status(check.status).json({ success: false, message: check.error });
+        }
+
+        // 先通知再删除，删除后无法再查到私密聊天室的成员
+        await emitChatroomChange(check.chatroom, 'chatroomDeleted', { chatroomId });
+        await Chatroom.delete(chatroomId);
+
+        io.in(`room_${chatroomId}`).socketsLeave(`room_${chatroomId}`);
+        presence.clearRoom(chatroomId);
+        typingUsers.delete(chatroomId);
+
+        logger.info(`用户 ${req.user.nickname} 删除了聊天室 ${chatroomId}`);
+        res.json({ success: true, message: '聊天室已删除' });
+    } catch (error) {
+        logger.error('删除聊天室失败:', error);
+        res.status(500).json({ success: false, message: '删除聊天室失败' });
+    }
+});
+
+// 加入聊天室
+app.post('/api/chatrooms/:id/join', requireAuth, async (req, res) => {
+    try {
+        const chatroomId = parseInt(req.params.id);
+        const chatroom = await Chatroom.findById(chatroomId);
+        
+        if (!chatroom) {
+            return res.status(404).json({ success: false, message: '聊天室不存在' });
+        }
+
+        // 被封禁的用户不能加入
+        const ban = await Chatroom.getActiveBan(chatroomId, req.user.id);
+        if (ban) {
+            return res.status(403).json({ success: false, message: formatBanMessage(ban) });
+        }
+
+        // 私密聊天室只能通过邀请加入
+        if (!chatroom.is_public) {
+            const isMember = await Chatroom.isMember(chatroomId, req.user.id);
+            if (!isMember) {
+                return res.status(403).json({ success: false, message: '这是私密聊天室，需要邀请才能加入' });
+            }
+            return res.json({ success: true, message: '加入聊天室成功' });
+        }
+
+        // 已归档的聊天室不再接受新成员，与其他只读操作一样仍可查看历史消息
+        if (chatroom.archived_at) {
+            return res.json({ success: true, message: '聊天室已归档，只能查看历史消息' });
+        }
+
+        await Chatroom.addMember(chatroomId, req.user.id);
+        res.json({ success: true, message: '加入聊天室成功' });
+    } catch (error) {
+        res.status(500).json({ success: false, message: '加入聊天室失败' });
+    }
+});
+
+// 获取聊天室成员
+app.get('/api/chatrooms/:id/members', requireAuth, async (req, res) => {
+    try {
+        const chatroomId = parseInt(req.params.id);
+        const access = await checkChatroomAccess(chatroomId, req.user.id);
+        if (access.error) {
+            return res.status(access.status).json({ success: false, message: access.error });
+        }
+
+        const members = await Chatroom.getMembers(chatroomId);
+        res.json({ success: true, members: withPresence(members) });
+    } catch (error) {
+        res.status(500).json({ success: false, message: '获取成员列表失败' });
+    }
+});
+
+// 分页获取聊天室消息：?before=消息ID 获取更早的消息，?after=消息ID 获取更新的消息
+app.get('/api/chatrooms/:id/messages', requireAuth, async (req, res) => {
+    try {
+        const chatroomId = parseInt(req.params.id);
+        if (isNaN(chatroomId)) {
+            return res.status(400).json({ success: false, message: '无效的聊天室ID' });
+        }
+
+        const page = parsePageQuery(req.query);
+        if (page.error) {
+            return res.status(400).json({ success: false, message: page.error });
+        }
+
+        const access = await checkChatroomAccess(chatroomId, req.user.id);
+        if (access.error) {
+            return res.status(access.status).json({ success: false, message: access.error });
+        }
+
+        const { messages, hasMore } = await Message.getPage(chatroomId, page);
+        res.json({ success: true, messages, hasMore });
+    } catch (error) {
+        logger.error('获取消息失败:', error);
+        res.status(500).json({ success: false, message: '获取消息失败' });
+    }
+});
+
+// 创建聊天室邀请（仅成员可邀请）
+app.post('/api/chatrooms/:id/invites', requireAuth, async (req, res) => {
+    try {
+        const chatroomId = parseInt(req.params.id);
+        const chatroom = await Chatroom.findById(chatroomId);
+        if (!chatroom) {
+            return res.status(404).json({ success: false, message: '聊天室不存在' });
+        }
+
+        // 私聊和群聊按成员组合（direct_key）查找，成员变化后就不再对应，只能发起新的会话
+        if (chatroom.type !== 'room') {
+            return res.status(400).json({ success: false, message: '私聊和群聊会话不能邀请其他人' });
+        }
+
+        const isMember = await Chatroom.isMember(chatroomId, req.user.id);
+        if (!isMember) {
+            return res.status(403).json({ success: false, message: '只有聊天室成员可以发出邀请' });
+        }
+
+        const maxUses = parseInt(req.body.maxUses) || null;
+        const ttlHours = parseInt(req.body.expiresInHours) || INVITE_DEFAULT_TTL_HOURS;
+        const invite = await Chatroom.createInvite({
+            chatroom_id: chatroomId,
+            code: uuidv4().replace(/-/g, ''),
+            created_by: req.user.id,
+            max_uses: maxUses,
+            expires_at: new Date(Date.now() + ttlHours * 60 * 60 * 1000)
+        });
+
+        logger.info(`用户 ${req.user.nickname} 创建了聊天室 ${chatroomId} 的邀请`);
+        res.json({ success: true, invite: { code: invite.code, expires_at: invite.expires_at, max_uses: invite.max_uses } });
+    } catch (error) {
+        logger.error('创建邀请失败:', error);
+        res.status(500).json({ success: false, message: '创建邀请失败' });
+    }
+});
+
+// 通过邀请码加入聊天室
+app.post('/api/invites/:code/accept', requireAuth, async (req, res) => {
+    try {
+        const invite = await Chatroom.findValidInvite(req.params.code);
+        if (!invite) {
+            return res.status(404).json({ success: false, message: '邀请不存在或已失效' });
+        }
+
+        const chatroom = await Chatroom.findById(invite.chatroom_id);
+        if (!chatroom) {
+            return res.status(404).json({ success: false, message: '聊天室不存在' });
+        }
+        // 之前为群聊创建的邀请不再有效
+        if (chatroom.type !== 'room') {
+            return res.status(404).json({ success: false, message: '邀请不存在或已失效' });
+        }
+
+        // 被封禁的用户不能通过邀请重新加入
+        const ban = await Chatroom.getActiveBan(chatroom.id, req.user.id);
+        if (ban) {
+            return res.status(403).json({ success: false, message: formatBanMessage(ban) });
+        }
+
+        // 已是成员时不消耗邀请次数
+        const isMember = await Chatroom.isMember(chatroom.id, req.user.id);
+        if (!isMember && chatroom.archived_at) {
+            return res.status(403).json({ success: false, message: '聊天室已归档，不能加入新成员' });
+        }
+        if (!isMember) {
+            const consumed = await Chatroom.consumeInvite(invite.id);
+            if (!consumed) {
+                return res.status(404).json({ success: false, message: '邀请不存在或已失效' });
+            }
+            await Chatroom.addMember(chatroom.id, req.user.id);
+            logger.info(`用户 ${req.user.nickname} 通过邀请加入了聊天室 ${chatroom.id}`);
+        }
+
+        res.json({ success: true, chatroom });
+    } catch (error) {
+        logger.error('接受邀请失败:', error);
+        res.status(500).json({ success: false, message: '加入聊天室失败' });
+    }
+});
+
+/**
+ * API路由 - 聊天室成员管理（角色、踢出、封禁、禁言）
+ */
+
+// 设置成员角色（仅群主，可设为管理员或普通成员）
+app.put('/api/chatrooms/:id/members/:userId/role', requireAuth, async (req, res) => {
+    try {
+        const chatroomId = parseInt(req.params.id);
+        const { role } = req.body;
+        if (role !== 'admin' && role !== 'member') {
+            return res.status(400).json({ success: false, message: '无效的角色' });
+        }
+
+        const check = await checkModerationTarget(chatroomId, req.user.id, parseInt(req.params.userId), { ownerOnly: true });
+        if (check.error) {
+            return res.status(check.status).json({ success: false, message: check.error });
+        }
+        if (!check.targetRole) {
+            return res.status(400).json({ success: false, message: '该用户不是聊天室成员' });
+        }
+
+        await Chatroom.setMemberRole(chatroomId, check.target.id, role);
+        await notifyModeration(chatroomId, {
+            action: 'role',
+            userId: check.target.id,
+            message: role === 'admin'
+                ? `${check.target.nickname} 被设为管理员`
+                : `${check.target.nickname} 不再是管理员`
+        });
+
+        logger.info(`用户 ${req.user.nickname} 将聊天室 ${chatroomId} 成员 ${check.target.id} 的角色设为 ${role}`);
+        res.json({ success: true, message: '角色已更新' });
+    } catch (error) {
+        logger.error('设置成员角色失败:', error);
+        res.status(500).json({ success: false, message: '设置成员角色失败' });
+    }
+});
+
+// 转让群主（仅群主，新群主必须是成员，原群主降为管理员）
+app.post('/api/chatrooms/:id/transfer', requireAuth, async (req, res) => {
+    try {
+        const chatroomId = parseInt(req.params.id);
+        const check = await checkModerationTarget(chatroomId, req.user.id, parseInt(req.body.userId), { ownerOnly: true });
+        if (check.error) {
+            return res.status(check.status).json({ success: false, message: check.error });
+        }
+
+        const transferred = check.targetRole && await Chatroom.transferOwnership(chatroomId, req.user.id, check.target.id);
+        if (!transferred) {
+            return res.status(400).json({ success: false, message: '该用户不是聊天室成员' });
+        }
+
+        await notifyModeration(chatroomId, {
+            action: 'transfer',
+            userId: check.target.id,
+            message: `${req.user.nickname} 将群主转让给了 ${check.target.nickname}`
+        });
+
+        logger.info(`用户 ${req.user.nickname} 将聊天室 ${chatroomId} 转让给了用户 ${check.target.id}`);
+        res.json({ success: true, message: '群主已转让' });
+    } catch (error) {
+        logger.error('转让群主失败:', error);
+        res.status(500).json({ success: false, message: '转让群主失败' });
+    }
+});
+
+// 退出聊天室（群主退出时自动转让给最早加入的管理员或成员）
+app.post('/api/chatrooms/:id/leave', requireAuth, async (req, res) => {
+    try {
+        const chatroomId = parseInt(req.params.id);
+        const chatroom = await Chatroom.findById(chatroomId);
+        if (!chatroom) {
+            return res.status(404).json({ success: false, message: '聊天室不存在' });
+        }
+        if (chatroom.type === 'direct') {
+            return res.status(400).json({ success: false, message: '不能退出私聊会话' });
+        }
+
+        const role = await Chatroom.getMemberRole(chatroomId, req.user.id);
+        if (!role) {
+            return res.status(400).json({ success: false, message: '你不是该聊天室的成员' });
+        }
+
+        let successor = null;
+        if (role === 'owner') {
+            const successorId = await Chatroom.findSuccessor(chatroomId);
+            if (successorId && await Chatroom.transferOwnership(chatroomId, req.user.id, successorId)) {
+                successor = await User.findById(successorId);
+            }
+        }
+
+        await Chatroom.removeMember(chatroomId, req.user.id);
+        await removeUserSockets(chatroomId, req.user.id);
+        await notifyModeration(chatroomId, {
+            action: 'leave',
+            userId: req.user.id,
+            message: successor
+                ? `${req.user.nickname} 退出了聊天室，群主已转让给 ${successor.nickname}`
+                : `${req.user.nickname} 退出了聊天室`
+        });
+
+        logger.info(`用户 ${req.user.nickname} 退出了聊天室 ${chatroomId}`);
+        res.json({ success: true, message: '已退出聊天室' });
+    } catch (error) {
+        logger.error('退出聊天室失败:', error);
+        res.status(500).json({ success: false, message: '退出聊天室失败' });
+    }
+});
+
+// 踢出成员（群主和管理员）
+app.delete('/api/chatrooms/:id/members/:userId', requireAuth, async (req, res) => {
+    try {
+        const chatroomId = parseInt(req.params.id);
+        const check = await checkModerationTarget(chatroomId, req.user.id, parseInt(req.params.userId));
+        if (check.error) {
+            return res.status(check.status).json({ success: false, message: check.error });
+        }
+        if (!check.targetRole) {
+            return res.status(400).json({ success: false, message: '该用户不是聊天室成员' });
+        }
+
+        await Chatroom.removeMember(chatroomId, check.target.id);
+        await removeUserSockets(chatroomId, check.target.id);
+        await notifyModeration(chatroomId, {
+            action: 'kick',
+            userId: check.target.id,
+            message: `${check.target.nickname} 被 ${req.user.nickname} 移出了聊天室`
+        });
+
+        logger.info(`用户 ${req.user.nickname} 将用户 ${check.target.id} 移出了聊天室 ${chatroomId}`);
+        res.json({ success: true, message: '已移出聊天室' });
+    } catch (error) {
+        logger.error('移出成员失败:', error);
+        res.status(500).json({ success: false, message: '移出成员失败' });
+    }
+});
+
+// 获取封禁列表（群主和管理员）
+app.get('/api/chatrooms/:id/bans', requireAuth, async (req, res) => {
+    try {
+        const chatroomId = parseInt(req.params.id);
+        const chatroom = await Chatroom.findById(chatroomId);
+        if (!chatroom) {
+            return res.status(404).json({ success: false, message: '聊天室不存在' });
+        }
+        if (!(await isRoomModerator(chatroom, req.user.id))) {
+            return res.status(403).json({ success: false, message: '只有群主和管理员可以查看封禁列表' });
+        }
+
+        const bans = await Chatroom.getBans(chatroomId);
+        res.json({ success: true, bans });
+    } catch (error) {
+        logger.error('获取封禁列表失败:', error);
+        res.status(500).json({ success: false, message: '获取封禁列表失败' });
+    }
+});
+
+// 封禁用户（群主和管理员）：{ userId, durationMinutes, reason }，不传时长为永久封禁
+app.post('/api/chatrooms/:id/bans', requireAuth, async (req, res) => {
+    try {
+        const chatroomId = parseInt(req.params.id);
+        const check = await checkModerationTarget(chatroomId, req.user.id, parseInt(req.body.userId));
+        if (check.error) {
+            return res.status(check.status).json({ success: false, message: check.error });
+        }
+
+        const expiresAt = parseExpiry(req.body.durationMinutes);
+        const reason = typeof req.body.reason === 'string' ? req.body.reason.trim().slice(0, 255) : null;
+        await Chatroom.banMember({
+            chatroom_id: chatroomId,
+            user_id: check.target.id,
+            banned_by: req.user.id,
+            reason: reason || null,
+            expires_at: expiresAt
+        });
+        await removeUserSockets(chatroomId, check.target.id);
+        await notifyModeration(chatroomId, {
+            action: 'ban',
+            userId: check.target.id,
+            message: `${check.target.nickname} 被 ${req.user.nickname} 封禁${expiresAt ? `至 ${expiresAt.toLocaleString('zh-CN')}` : ''}`
+        });
+
+        logger.info(`用户 ${req.user.nickname} 在聊天室 ${chatroomId} 封禁了用户 ${check.target.id}`);
+        res.json({ success: true, message: '已封禁该用户' });
+    } catch (error) {
+        logger.error('封禁用户失败:', error);
+        res.status(500).json({ success: false, message: '封禁用户失败' });
+    }
+});
+
+// 解除封禁（群主和管理员）
+app.delete('/api/chatrooms/:id/bans/:userId', requireAuth, async (req, res) => {
+    try {
+        const chatroomId = parseInt(req.params.id);
+        const check = await checkModerationTarget(chatroomId, req.user.id, parseInt(req.params.userId));
+        if (check.error) {
+            return res.status(check.status).json({ success: false, message: check.error });
+        }
+
+        const removed = await Chatroom.unbanMember(chatroomId, check.target.id);
+        if (!removed) {
+            return res.status(404).json({ success: false, message: '该用户未被封禁' });
+        }
+
+        logger.info(`用户 ${req.user.nickname} 在聊天室 ${chatroomId} 解除了用户 ${check.target.id} 的封禁`);
+        res.json({ success: true, message: '已解除封禁' });
+    } catch (error) {
+        logger.error('解除封禁失败:', error);
+        res.status(500).json({ success: false, message: '解除封禁失败' });
+    }
+});
+
+// 禁言成员（群主和管理员）：{ userId, durationMinutes }，不传时长为永久禁言
+app.post('/api/chatrooms/:id/mutes', requireAuth, async (req, res) => {
+    try {
+        const chatroomId = parseInt(req.params.id);
+        const check = await checkModerationTarget(chatroomId, req.user.id, parseInt(req.body.userId));
+        if (check.error) {
+            return res.status(check.status).json({ success: false, message: check.error });
+        }
+        if (!check.targetRole) {
+            return res.status(400).json({ success: false, message: '该用户不是聊天室成员' });
+        }
+
+        const expiresAt = parseExpiry(req.body.durationMinutes);
+        await Chatroom.muteMember({
+            chatroom_id: chatroomId,
+            user_id: check.target.id,
+            muted_by: req.user.id,
+            expires_at: expiresAt
+        });
+        await notifyModeration(chatroomId, {
+            action: 'mute',
+            userId: check.target.id,
+            message: `${check.target.nickname} 被 ${req.user.nickname} 禁言${expiresAt ? `至 ${expiresAt.toLocaleString('zh-CN')}` : ''}`
+        });
+
+        logger.info(`用户 ${req.user.nickname} 在聊天室 ${chatroomId} 禁言了用户 ${check.target.id}`);
+        res.json({ success: true, message: '已禁言该用户' });
+    } catch (error) {
+        logger.error('禁言用户失败:', error);
+        res.status(500).json({ success: false, message: '禁言用户失败' });
+    }
+});
+
+// 解除禁言（群主和管理员）
+app.delete('/api/chatrooms/:id/mutes/:userId', requireAuth, async (req, res) => {
+    try {
+        const chatroomId = parseInt(req.params.id);
+        const check = await checkModerationTarget(chatroomId, req.user.id, parseInt(req.params.userId));
+        if (check.error) {
+            return res.status(check.status).json({ success: false, message: check.error });
+        }
+
+        const removed = await Chatroom.unmuteMember(chatroomId, check.target.id);
+        if (!removed) {
+            return res.status(404).json({ success: false, message: '该用户未被禁言' });
+        }
+        await notifyModeration(chatroomId, {
+            action: 'unmute',
+            userId: check.target.id,
+            message: `${check.target.nickname} 被解除禁言`
+        });
+
+        logger.info(`用户 ${req.user.nickname} 在聊天室 ${chatroomId} 解除了用户 ${check.target.id} 的禁言`);
+        res.json({ success: true, message: '已解除禁言' });
+    } catch (error) {
+        logger.error('解除禁言失败:', error);
+        res.status(500).json({ success: false, message: '解除禁言失败' });
+    }
+});
+
+/**
+ * API路由 - 消息
+ */
+
+// 获取消息的编辑历史
+app.get('/api/messages/:id/edits', requireAuth, async (req, res) => {
+    try {
+        const message = await Message.findById(parseInt(req.params.id));
+        if (!message || message.deleted_at) {
+            return res.status(404).json({ success: false, message: '消息不存在或已被删除' });
+        }
+
+        const access = await checkChatroomAccess(message.chatroom_id, req.user.id);
+        if (access.error) {
+            return res.status(access.status).json({ success: false, message: access.error });
+        }
+
+        const edits = await Message.getEditHistory(message.id);
+        res.json({ success: true, edits });
+    } catch (error) {
+        logger.error('获取编辑历史失败:', error);
+        res.status(500).json({ success: false, message: '获取编辑历史失败' });
+    }
+});
+
+// 获取话题（根消息及其全部回复）
+app.get('/api/messages/:id/thread', requireAuth, async (req, res) => {
+    try {
+        const message = await Message.findById(parseInt(req.params.id));
+        if (!message) {
+            return res.status(404).json({ success: false, message: '消息不存在' });
+        }
+
+        const access = await checkChatroomAccess(message.chatroom_id, req.user.id);
+        if (access.error) {
+            return res.status(access.status).json({ success: false, message: access.error });
+        }
+
+        // 传入的是回复时，定位到所属话题的根消息
+        const rootId = message.thread_root_id || message.id;
+        const [root, ...replies] = await Message.getThread(rootId);
+        res.json({ success: true, root, replies });
+    } catch (error) {
+        logger.error('获取话题失败:', error);
+        res.status(500).json({ success: false, message: '获取话题失败' });
+    }
+});
+
+/**
+ * API路由 - 消息搜索
+ */
+
+// 搜索消息：?q=关键词&chatroomId=&author=用户名&from=YYYY-MM-DD&to=YYYY-MM-DD&hasImage=1&before=消息ID
+app.get('/api/search', requireAuth, async (req, res) => {
+    try {
+        const { q, chatroomId, author, from, to, hasImage, before } = req.query;
+        const terms = parseSearchTerms(q);
+        const imagesOnly = hasImage === '1' || hasImage === 'true';
+
+        if (terms.length === 0 && !imagesOnly) {
+            return res.status(400).json({ success: false, message: '请输入搜索关键词' });
         }
 
-        const chatroom = await Chatroom.create({
-            name: name.trim(),
-            description: description ? description.trim() : '',
-            created_by: req.user.id,
-            is_public: true
-        });
+        const filters = {
+            hasImage: imagesOnly,
+            before: parseInt(before) || null
+        };
 
-        // 将创建者添加到聊天室
-        await Chatroom.addMember(chatroom.id, req.user.id);
+        if (chatroomId) {
+            filters.chatroomId = parseInt(chatroomId);
+            if (isNaN(filters.chatroomId)) {
+                return res.status(400).json({ success: false, message: '无效的聊天室ID' });
+            }
+        }
 
-        res.json({ success: true, chatroom });
+        if (author) {
+            const authorUser = await User.findByUsername(String(author).trim());
+            if (!authorUser) {
+                return res.json({ success: true, results: [], hasMore: false });
+            }
+            filters.authorId = authorUser.id;
+        }
+
+        // 日期按天过滤，结束日期包含当天
+        if (from) {
+            filters.from = new Date(`${from}T00:00:00`);
+        }
+        if (to) {
+            filters.to = new Date(`${to}T00:00:00`);
+            filters.to.setDate(filters.to.getDate() + 1);
+        }
+        if ((filters.from && isNaN(filters.from)) || (filters.to && isNaN(filters.to))) {
+            return res.status(400).json({ success: false, message: '日期格式错误' });
+        }
+
+        const match = terms.length > 0 ? buildMatchCondition(terms) : null;
+        const { messages, hasMore } = await Message.search(req.user.id, match, filters);
+
+        const results = messages.map(message => ({
+            ...message,
+            ...buildSnippet(message.content, terms)
+        }));
+        res.json({ success: true, results, hasMore });
     } catch (error) {
-        res.status(500).json({ success: false, message: '创建聊天室失败' });
+        logger.error('搜索消息失败:', error);
+        res.status(500).json({ success: false, message: '搜索失败' });
     }
 });
 
-// 加入聊天室
-app.post('/api/chatrooms/:id/join', requireAuth, async (req, res) => {
-    try {
-        const chatroomId = parseInt(req.params.id);
-        const chatroom = await Chatroom.findById(chatroomId);
-        
-        if (!chatroom) {
-            return res.status(404).json({ success: false, message: '聊天室不存在' });
-        }
+/**
+ * API路由 - 私聊和群聊
+ */
 
-        await Chatroom.addMember(chatroomId, req.user.id);
-        res.json({ success: true, message: '加入聊天室成功' });
+// 获取当前用户的私聊和群聊会话
+app.get('/api/conversations', requireAuth, async (req, res) => {
+    try {
+        const conversations = await Chatroom.getConversations(req.user.id);
+        const unreadCounts = await Chatroom.getUnreadCounts(req.user.id);
+        const mentionCounts = await Chatroom.getUnreadMentionCounts(req.user.id);
+        res.json({
+            success: true,
+            conversations: conversations.map(conversation => ({
+                ...conversation,
+                participants: withPresence(conversation.participants),
+                unread_count: unreadCounts.get(conversation.id) || 0,
+                mention_count: mentionCounts.get(conversation.id) || 0
+            }))
+        });
     } catch (error) {
-        res.status(500).json({ success: false, message: '加入聊天室失败' });
+        logger.error('获取会话列表失败:', error);
+        res.status(500).json({ success: false, message: '获取会话列表失败' });
     }
 });
 
-// 获取聊天室成员
-app.get('/api/chatrooms/:id/members', requireAuth, async (req, res) => {
+// 发起私聊或群聊（成员组合相同的会话已存在时直接返回）
+app.post('/api/conversations', requireAuth, async (req, res) => {
     try {
-        const chatroomId = parseInt(req.params.id);
-        const members = await Chatroom.getMembers(chatroomId);
-        res.json({ success: true, members });
+        const { userIds = [], usernames = [] } = req.body;
+        if (!Array.isArray(userIds) || !Array.isArray(usernames)) {
+            return res.status(400).json({ success: false, message: '参数格式错误' });
+        }
+
+        // 收集参与者（包含发起者本人）
+        const participants = new Map([[req.user.id, req.user]]);
+        const lookups = [
+            ...userIds.map(id => User.findById(parseInt(id))),
+            ...usernames.map(username => User.findByUsername(String(username).trim()))
+        ];
+        for (const user of await Promise.all(lookups)) {
+            if (!user) {
+                return res.status(404).json({ success: false, message: '用户不存在' });
+            }
+            participants.set(user.id, { id: user.id, nickname: user.nickname });
+        }
+
+        if (participants.size < 2) {
+            return res.status(400).json({ success: false, message: '请至少选择一位聊天对象' });
+        }
+        if (participants.size > MAX_GROUP_MEMBERS) {
+            return res.status(400).json({ success: false, message: `群聊最多${MAX_GROUP_MEMBERS}人` });
+        }
+
+        const ids = Array.from(participants.keys()).sort((a, b) => a - b);
+        const directKey = ids.join(':');
+
+        let conversation = await Chatroom.findByDirectKey(directKey);
+        if (!conversation) {
+            try {
+                const name = ids.map(id => participants.get(id).nickname).join('、').slice(0, 100);
+                conversation = await Chatroom.create({
+                    name,
+                    description: '',
+                    created_by: req.user.id,
+                    is_public: false,
+                    type: ids.length === 2 ? 'direct' : 'group',
+                    direct_key: directKey
+                });
+                for (const id of ids) {
+                    await Chatroom.addMember(conversation.id, id);
+                }
+                logger.info(`用户 ${req.user.nickname} 发起了会话 ${conversation.id} (${directKey})`);
+            } catch (error) {
+                // 并发创建同一会话时，使用先创建的那一个
+                if (error.code !== 'ER_DUP_ENTRY') {
+                    throw error;
+                }
+                conversation = await Chatroom.findByDirectKey(directKey);
+            }
+        }
+
+        res.json({ success: true, conversation });
     } catch (error) {
-        res.status(500).json({ success: false, message: '获取成员列表失败' });
+        logger.error('发起会话失败:', error);
+        res.status(500).json({ success: false, message: '发起会话失败' });
     }
 });
 
@@ -360,40 +2014,36 @@ app.get('/api/chatrooms/:id/members', requireAuth, async (req, res) => {
  * Socket.IO 连接处理
  */
 
-// 暂时禁用Socket认证中间件，改为在连接时验证
-// io.use(requireAuthSocket);
+// Socket认证中间件：握手时根据会话识别用户，会话缺失或过期则拒绝连接
+io.use(requireAuthSocket);
 
 io.on('connection', async (socket) => {
-    logger.info(`新连接: ${socket.id}`);
-    
-    // 暂时允许所有连接，但需要在前端传递用户信息
-    // 在实际应用中，这里应该验证用户身份
-    socket.user = null;
-    
-    // 等待前端发送用户信息
-    socket.on('authenticate', async (userData) => {
-        try {
-            // 验证用户信息
-            const user = await User.findById(userData.id);
-            if (!user) {
-                socket.emit('error', { message: '用户不存在' });
-                return;
-            }
-            
-            socket.user = {
-                id: user.id,
-                nickname: user.nickname,
-                username: user.username,
-                email: user.email,
-                avatar: user.avatar
-            };
-            
-            logger.info(`用户 ${socket.user.nickname} 认证成功: ${socket.id}`);
-            onlineUsers.set(socket.id, socket.user);
-            socket.emit('authenticated', { success: true });
-        } catch (error) {
-            logger.error('用户认证错误:', error);
-            socket.emit('error', { message: '认证失败' });
+    logger.info(`用户 ${socket.user.nickname} 连接成功: ${socket.id}`);
+
+    // 按会话分组，登出时可断开该会话的全部连接
+    socket.join(`session_${socket.request.sessionID}`);
+    // 按用户分组，用于投递私聊等不依赖当前所在房间的消息
+    socket.join(`user_${socket.user.id}`);
+    onlineUsers.set(socket.id, socket.user);
+    socket.emit('authenticated', { success: true });
+
+    // 在线状态：第一个连接建立时通知其他用户
+    const presenceStatus = presence.addSocket(socket.user.id, socket.id, socket.user.do_not_disturb);
+    if (presenceStatus) {
+        broadcastPresence(socket.user.id, presenceStatus)
+            .catch(error => logger.error('广播在线状态失败:', error));
+    }
+
+    // 频率限制：超限的事件直接丢弃并告知原因，输入状态事件静默丢弃
+    socket.use(([event, data], next) => {
+        const limited = checkSocketRate(socket, event);
+        if (!limited) {
+            return next();
+        }
+        if (event === 'message') {
+            socket.emit('messageRejected', { clientMessageId: getClientMessageId(data), reason: limited.message });
+        } else if (event !== 'typing') {
+            socket.emit('rateLimited', { event, message: limited.message, retryAfter: limited.retryAfter });
         }
     });
 
@@ -414,43 +2064,45 @@ io.on('connection', async (socket) => {
             }
             const user = socket.user; // 从socket对象获取用户信息
             
-            // 验证聊天室是否存在
-            const chatroom = await Chatroom.findById(chatroomId);
-            if (!chatroom) {
-                socket.emit('error', { message: '聊天室不存在' });
+            // 验证聊天室是否存在以及访问权限
+            const access = await checkChatroomAccess(chatroomId, user.id);
+            if (access.error) {
+                socket.emit('error', { message: access.error });
                 return;
             }
 
-            // 确保用户是聊天室成员
-            await Chatroom.addMember(chatroomId, user.id);
+            // 确保用户是聊天室成员（私密聊天室在上面已校验过成员身份，已归档的聊天室不再接受新成员）
+            if (access.chatroom.is_public && !access.chatroom.archived_at) {
+                await Chatroom.addMember(chatroomId, user.id);
+            }
 
             // 加入Socket.IO房间
             socket.join(`room_${chatroomId}`);
 
-            // 存储用户在聊天室中的信息
-            if (!chatroomUsers.has(chatroomId)) {
-                chatroomUsers.set(chatroomId, new Set());
-            }
-            chatroomUsers.get(chatroomId).add(socket.id);
-
-            // 获取聊天室历史消息
-            const messages = await Message.getByChatroom(chatroomId, 50);
-            logger.info(`发送历史消息给用户 ${user.nickname}，聊天室 ${chatroomId}，消息数量: ${messages.length}`);
-            socket.emit('messageHistory', messages);
+            // 记录连接所在的聊天室，同一用户已在其他标签页或设备中打开时不重复通知
+            const firstConnection = presence.joinRoom(chatroomId, user.id, socket.id);
 
-            // 获取聊天室成员列表
+            // 获取聊天室成员列表（先于历史消息发送，客户端渲染消息操作时需要知道自己的角色）
             const members = await Chatroom.getMembers(chatroomId);
-            socket.emit('roomMembers', members);
+            socket.emit('roomMembers', withPresence(members));
+
+            // 获取聊天室历史消息和阅读位置（客户端据此插入"新消息"分隔线）
+            const { messages, hasMore } = await Message.getPage(chatroomId, { limit: HISTORY_PAGE_SIZE });
+            const lastReadMessageId = await Chatroom.getLastReadMessageId(chatroomId, user.id);
+            logger.info(`发送历史消息给用户 ${user.nickname}，聊天室 ${chatroomId}，消息数量: ${messages.length}`);
+            socket.emit('messageHistory', { chatroomId, messages, lastReadMessageId, hasMore });
 
             // 通知聊天室其他用户
-            socket.to(`room_${chatroomId}`).emit('userJoined', {
-                user: {
-                    id: user.id,
-                    nickname: user.nickname,
-                    username: user.username
-                },
-                message: `${user.nickname} 加入了聊天室`
-            });
+            if (firstConnection) {
+                socket.to(`room_${chatroomId}`).emit('userJoined', {
+                    user: {
+                        id: user.id,
+                        nickname: user.nickname,
+                        username: user.username
+                    },
+                    message: `${user.nickname} 加入了聊天室`
+                });
+            }
 
             logger.info(`${user.nickname} 加入了聊天室 ${chatroomId}`);
         } catch (error) {
@@ -469,42 +2121,135 @@ io.on('connection', async (socket) => {
                 return;
             }
             
-            const chatroomId = parseInt(data.chatroomId);
-            const { content, imageUrl } = data;
+            // 校验消息格式，拒绝原因只发给发送者，客户端据此恢复未发送的内容
+            const { value, error } = validateMessage(data);
+            const rejectMessage = (reason) => {
+                socket.emit('messageRejected', { clientMessageId: getClientMessageId(data), reason });
+            };
+            if (error) {
+                rejectMessage(error);
+                return;
+            }
+            const { chatroomId, content, imageName, replyTo, attachmentId, clientMessageId } = value;
             const user = socket.user; // 从socket对象获取用户信息
-            
-            if (isNaN(chatroomId)) {
-                socket.emit('error', { message: '无效的聊天室ID' });
+
+            // 私密聊天室只有成员可以发言
+            const access = await checkChatroomAccess(chatroomId, user.id, { write: true });
+            if (access.error) {
+                rejectMessage(access.error);
                 return;
             }
-            
-            // 消息必须包含内容或图片
-            if ((!content || content.trim().length === 0) && !imageUrl) {
+
+            // 被禁言的用户不能发言
+            const mute = await Chatroom.getActiveMute(chatroomId, user.id);
+            if (mute) {
+                rejectMessage(formatMuteMessage(mute));
                 return;
             }
 
+            // 被回复的消息必须属于同一个聊天室且未被删除
+            let replyTarget = null;
+            if (replyTo) {
+                replyTarget = await Message.findById(replyTo);
+                if (!replyTarget || replyTarget.chatroom_id !== chatroomId || replyTarget.deleted_at) {
+                    rejectMessage('回复的消息不存在或已被删除');
+                    return;
+                }
+            }
+            const threadRootId = replyTarget ? (replyTarget.thread_root_id || replyTarget.id) : null;
+
+            // 图片和附件必须是本人在该聊天室上传且尚未发送过的
+            let image = null;
+            if (imageName) {
+                image = await Attachment.findUnsentImage(imageName, user.id, chatroomId);
+                if (!image) {
+                    rejectMessage('图片不存在或已被使用');
+                    return;
+                }
+            }
+            let attachment = null;
+            if (attachmentId) {
+                attachment = await Attachment.findById(attachmentId);
+                if (!attachment || attachment.kind !== 'file' || attachment.uploader_id !== user.id ||
+                    attachment.chatroom_id !== chatroomId || attachment.message_id) {
+                    rejectMessage('附件不存在或已被使用');
+                    return;
+                }
+            }
+            const imageUrl = image ? `/uploads/${image.stored_name}` : null;
+
             // 保存消息到数据库
             const message = await Message.create({
                 chatroom_id: chatroomId,
                 user_id: user.id,
-                content: content ? content.trim() : '',
-                image_url: imageUrl || null
+                content,
+                image_url: imageUrl,
+                reply_to: replyTarget ? replyTarget.id : null,
+                thread_root_id: threadRootId
             });
 
+            if (attachment && !(await Attachment.attachToMessage(attachment.id, message.id, user.id))) {
+                logger.error(`附件 ${attachment.id} 关联到消息 ${message.id} 失败`);
+                attachment = null;
+            }
+            if (image && !(await Attachment.attachToMessage(image.id, message.id, user.id))) {
+                logger.error(`图片 ${image.id} 关联到消息 ${message.id} 失败`);
+                image = null;
+            }
+
+            // 先保存提及再广播，客户端收到消息后刷新列表时能拿到最新的提及数
+            const mentions = await saveMentions(access.chatroom, message.id, message.content, user);
+
+            let replyData = null;
+            if (replyTarget) {
+                const replyAuthor = await User.findById(replyTarget.user_id);
+                replyData = {
+                    id: replyTarget.id,
+                    nickname: replyAuthor ? replyAuthor.nickname : '',
+                    content: replyTarget.content,
+                    imageUrl: replyTarget.image_url
+                };
+            }
+
             const messageData = {
                 id: message.id,
                 userId: user.id,
                 nickname: user.nickname,
                 username: user.username,
                 avatar: user.avatar,
-                content: content ? content.trim() : '',
-                imageUrl: imageUrl || null,
+                content,
+                imageUrl,
+                thumbnailUrl: image ? `/uploads/${image.thumbnail_name}` : null,
+                imageWidth: image ? image.width : null,
+                imageHeight: image ? image.height : null,
+                attachment: attachment ? {
+                    id: attachment.id,
+                    name: attachment.original_name,
+                    size: attachment.size,
+                    mimeType: attachment.mime_type
+                } : null,
                 timestamp: new Date().toLocaleTimeString('zh-CN'),
-                chatroomId: chatroomId
+                chatroomId: chatroomId,
+                editedAt: null,
+                replyTo: replyData,
+                threadRootId: threadRootId,
+                replyCount: 0,
+                reactions: [],
+                mentions,
+                // 发送者据此确认自己发送中的消息已送达
+                clientMessageId
             };
 
-            // 广播消息给聊天室所有用户
-            io.to(`room_${chatroomId}`).emit('message', messageData);
+            // 广播消息给聊天室所有用户，同时发给发送者的其他设备（可能未打开该聊天室）
+            const targets = await getBroadcastTargets(access.chatroom);
+            targets.push(`user_${user.id}`);
+            io.to(targets).emit('message', messageData);
+
+            // 更新话题根消息的回复数
+            if (threadRootId) {
+                const replyCount = await Message.countThreadReplies(threadRootId);
+                io.to(targets).emit('threadUpdated', { chatroomId, rootId: threadRootId, replyCount });
+            }
             
             logger.info(`[房间${chatroomId}] ${user.nickname}: ${content}`);
         } catch (error) {
@@ -513,6 +2258,237 @@ io.on('connection', async (socket) => {
         }
     });
 
+    /**
+     * 分页加载历史消息（before 加载更早的消息，after 加载更新的消息）
+     */
+    socket.on('loadMessages', async (data) => {
+        const chatroomId = parseInt(data.chatroomId);
+        // 加载失败时也回复 messagesPage，客户端据此结束加载状态
+        const reject = (message) => {
+            socket.emit('error', { message });
+            socket.emit('messagesPage', { chatroomId, error: message });
+        };
+
+        try {
+            if (isNaN(chatroomId)) {
+                reject('无效的聊天室ID');
+                return;
+            }
+            const page = parsePageQuery(data);
+            if (page.error) {
+                reject(page.error);
+                return;
+            }
+
+            const access = await checkChatroomAccess(chatroomId, socket.user.id);
+            if (access.error) {
+                reject(access.error);
+                return;
+            }
+
+            const { messages, hasMore } = await Message.getPage(chatroomId, page);
+            socket.emit('messagesPage', { chatroomId, before: page.before, after: page.after, messages, hasMore });
+        } catch (error) {
+            logger.error('加载历史消息错误:', error);
+            reject('加载历史消息失败');
+        }
+    });
+
+    /**
+     * 标记已读到指定消息
+     */
+    socket.on('markRead', async (data) => {
+        try {
+            const chatroomId = parseInt(data.chatroomId);
+            const messageId = parseInt(data.messageId);
+            if (isNaN(chatroomId) || isNaN(messageId)) return;
+
+            // 消息必须属于该聊天室，防止把阅读位置推进到其他聊天室的消息ID
+            const message = await Message.findById(messageId);
+            if (!message || message.chatroom_id !== chatroomId) return;
+
+            const updated = await Chatroom.markRead(chatroomId, socket.user.id, messageId);
+            if (updated) {
+                // 同步到同一用户的其他标签页和设备
+                socket.to(`user_${socket.user.id}`).emit('roomRead', { chatroomId, messageId });
+            }
+        } catch (error) {
+            logger.error('标记已读错误:', error);
+        }
+    });
+
+    /**
+     * 编辑消息（只能编辑自己的消息）
+     */
+    socket.on('editMessage', async (data) => {
+        try {
+            const messageId = parseInt(data.messageId);
+            const { content, error } = validateContent(data.content);
+            const user = socket.user;
+            if (error) {
+                socket.emit('error', { message: error });
+                return;
+            }
+
+            const message = isNaN(messageId) ? null : await Message.findById(messageId);
+            if (!message || message.deleted_at) {
+                socket.emit('error', { message: '消息不存在或已被删除' });
+                return;
+            }
+            if (message.user_id !== user.id) {
+                socket.emit('error', { message: '只能编辑自己的消息' });
+                return;
+            }
+            if (content.length === 0 && !message.image_url && !(await Attachment.findByMessageId(messageId))) {
+                socket.emit('error', { message: '消息内容不能为空' });
+                return;
+            }
+            const access = await checkChatroomAccess(message.chatroom_id, user.id, { write: true });
+            if (access.error) {
+                socket.emit('error', { message: access.error });
+                return;
+            }
+
+            // 禁言期间也不能通过编辑发布新内容
+            const mute = await Chatroom.getActiveMute(message.chatroom_id, user.id);
+            if (mute) {
+                socket.emit('error', { message: formatMuteMessage(mute) });
+                return;
+            }
+
+            const updated = await Message.updateContent(messageId, content, user.id);
+            if (!updated) {
+                socket.emit('error', { message: '消息不存在或已被删除' });
+                return;
+            }
+
+            const mentions = await saveMentions(access.chatroom, messageId, content, user);
+
+            io.to(await getBroadcastTargets(access.chatroom)).emit('messageEdited', {
+                id: messageId,
+                chatroomId: message.chatroom_id,
+                content,
+                editedAt: new Date(),
+                mentions
+            });
+
+            logger.info(`[房间${message.chatroom_id}] ${user.nickname} 编辑了消息 ${messageId}`);
+        } catch (error) {
+            logger.error('编辑消息错误:', error);
+            socket.emit('error', { message: '编辑消息失败' });
+        }
+    });
+
+    /**
+     * 删除消息（作者本人或聊天室管理者）
+     */
+    socket.on('deleteMessage', async (data) => {
+        try {
+            const messageId = parseInt(data.messageId);
+            const user = socket.user;
+
+            const message = isNaN(messageId) ? null : await Message.findById(messageId);
+            if (!message || message.deleted_at) {
+                socket.emit('error', { message: '消息不存在或已被删除' });
+                return;
+            }
+
+            const access = await checkChatroomAccess(message.chatroom_id, user.id, { write: true });
+            if (access.error) {
+                socket.emit('error', { message: access.error });
+                return;
+            }
+            if (message.user_id !== user.id && !(await canModerateMessage(access.chatroom, user.id, message.user_id))) {
+                socket.emit('error', { message: '没有权限删除这条消息' });
+                return;
+            }
+
+            const deleted = await Message.softDelete(messageId, user.id);
+            if (!deleted) {
+                socket.emit('error', { message: '消息不存在或已被删除' });
+                return;
+            }
+
+            const targets = await getBroadcastTargets(access.chatroom);
+            io.to(targets).emit('messageDeleted', {
+                id: messageId,
+                chatroomId: message.chatroom_id,
+                deletedBy: user.id
+            });
+
+            // 删除的是话题回复时，同步更新根消息的回复数
+            if (message.thread_root_id) {
+                const replyCount = await Message.countThreadReplies(message.thread_root_id);
+                io.to(targets).emit('threadUpdated', {
+                    chatroomId: message.chatroom_id,
+                    rootId: message.thread_root_id,
+                    replyCount
+                });
+            }
+
+            logger.info(`[房间${message.chatroom_id}] ${user.nickname} 删除了消息 ${messageId}`);
+        } catch (error) {
+            logger.error('删除消息错误:', error);
+            socket.emit('error', { message: '删除消息失败' });
+        }
+    });
+
+    /**
+     * 添加或取消表情回应，并向聊天室广播该消息最新的回应汇总
+     * @param {Object} data - { messageId, emoji }
+     * @param {boolean} shouldAdd - true 为添加，false 为取消
+     */
+    async function updateReaction(data, shouldAdd) {
+        try {
+            const messageId = parseInt(data.messageId);
+            const { emoji } = data;
+            const user = socket.user;
+
+            if (!REACTION_EMOJIS.includes(emoji)) {
+                socket.emit('error', { message: '不支持的表情' });
+                return;
+            }
+
+            const message = isNaN(messageId) ? null : await Message.findById(messageId);
+            if (!message || message.deleted_at) {
+                socket.emit('error', { message: '消息不存在或已被删除' });
+                return;
+            }
+
+            const access = await checkChatroomAccess(message.chatroom_id, user.id, { write: true });
+            if (access.error) {
+                socket.emit('error', { message: access.error });
+                return;
+            }
+
+            if (shouldAdd) {
+                await Message.addReaction(messageId, user.id, emoji);
+            } else {
+                await Message.removeReaction(messageId, user.id, emoji);
+            }
+
+            const summaries = await Message.getReactionSummaries([messageId]);
+            io.to(await getBroadcastTargets(access.chatroom)).emit('reactionUpdated', {
+                messageId,
+                chatroomId: message.chatroom_id,
+                reactions: summaries.get(messageId) || []
+            });
+        } catch (error) {
+            logger.error('更新表情回应错误:', error);
+            socket.emit('error', { message: '操作失败' });
+        }
+    }
+
+    /**
+     * 添加表情回应
+     */
+    socket.on('addReaction', (data) => updateReaction(data, true));
+
+    /**
+     * 取消表情回应
+     */
+    socket.on('removeReaction', (data) => updateReaction(data, false));
+
     /**
      * 处理用户正在输入状态
      */
@@ -521,6 +2497,9 @@ io.on('connection', async (socket) => {
         
         const { chatroomId, isTyping } = data;
         const user = socket.user; // 从socket对象获取用户信息
+
+        // 只能在已加入的房间里广播输入状态
+        if (!socket.rooms.has(`room_${chatroomId}`)) return;
         
         // 管理正在输入的用户列表
         if (!typingUsers.has(chatroomId)) {
@@ -539,34 +2518,60 @@ io.on('connection', async (socket) => {
         }
         
         // 发送正在输入的用户列表给聊天室所有用户
-        const typingList = Array.from(roomTypingUsers.values());
         io.to(`room_${chatroomId}`).emit('typingUsers', {
             chatroomId: chatroomId,
-            typingUsers: typingList
+            typingUsers: getTypingList(chatroomId)
         });
     });
 
+    /**
+     * 客户端上报用户是否在操作（闲置一段时间后自动变为离开）
+     */
+    socket.on('presenceActivity', (data) => {
+        const status = presence.setSocketActive(socket.user.id, socket.id, !!(data && data.active));
+        if (status) {
+            broadcastPresence(socket.user.id, status)
+                .catch(error => logger.error('广播在线状态失败:', error));
+        }
+    });
+
+    /**
+     * 开启或关闭免打扰
+     */
+    socket.on('setDoNotDisturb', async (data) => {
+        try {
+            const enabled = !!(data && data.enabled);
+            await User.setDoNotDisturb(socket.user.id, enabled);
+            // 同一用户的其他连接在状态未变化时也需要同步开关
+            const status = presence.setDnd(socket.user.id, enabled) || presence.getPresence(socket.user.id);
+            await broadcastPresence(socket.user.id, status);
+        } catch (error) {
+            logger.error('设置免打扰失败:', error);
+            socket.emit('error', { message: '设置免打扰失败' });
+        }
+    });
+
     /**
      * 离开聊天室
      */
     socket.on('leaveRoom', (data) => {
         if (!socket.user) return;
         
-        const { chatroomId } = data;
+        const chatroomId = parseInt(data.chatroomId);
+        if (isNaN(chatroomId)) return;
         const user = socket.user; // 从socket对象获取用户信息
         socket.leave(`room_${chatroomId}`);
-        
-        if (chatroomUsers.has(chatroomId)) {
-            chatroomUsers.get(chatroomId).delete(socket.id);
-        }
 
-        socket.to(`room_${chatroomId}`).emit('userLeft', {
-            user: {
-                id: user.id,
-                nickname: user.nickname
-            },
-            message: `${user.nickname} 离开了聊天室`
-        });
+        // 用户在其他标签页或设备中仍打开着该聊天室时不通知离开
+        if (presence.leaveRoom(chatroomId, user.id, socket.id)) {
+            socket.to(`room_${chatroomId}`).emit('userLeft', {
+                user: {
+                    id: user.id,
+                    nickname: user.nickname
+                },
+                message: `${user.nickname} 离开了聊天室`
+            });
+        }
 
         logger.info(`${user.nickname} 离开了聊天室 ${chatroomId}`);
     });
@@ -580,20 +2585,18 @@ io.on('connection', async (socket) => {
             logger.info(`用户 ${user.nickname} 断开连接: ${socket.id}`);
             
             // 从所有聊天室中移除
-            for (const [chatroomId, socketIds] of chatroomUsers.entries()) {
-                if (socketIds.has(socket.id)) {
-                    socketIds.delete(socket.id);
-                    
-                    // 从正在输入的用户列表中移除
-                    if (typingUsers.has(chatroomId)) {
-                        typingUsers.get(chatroomId).delete(socket.id);
-                        const typingList = Array.from(typingUsers.get(chatroomId).values());
-                        socket.to(`room_${chatroomId}`).emit('typingUsers', {
-                            chatroomId: chatroomId,
-                            typingUsers: typingList
-                        });
-                    }
-                    
+            presence.leaveAllRooms(user.id, socket.id).forEach(({ chatroomId, last }) => {
+                // 从正在输入的用户列表中移除
+                if (typingUsers.has(chatroomId)) {
+                    typingUsers.get(chatroomId).delete(socket.id);
+                    socket.to(`room_${chatroomId}`).emit('typingUsers', {
+                        chatroomId: chatroomId,
+                        typingUsers: getTypingList(chatroomId)
+                    });
+                }
+
+                // 用户在其他标签页或设备中仍打开着该聊天室时不通知离开
+                if (last) {
                     socket.to(`room_${chatroomId}`).emit('userLeft', {
                         user: {
                             id: user.id,
@@ -602,13 +2605,23 @@ io.on('connection', async (socket) => {
                         message: `${user.nickname} 离开了聊天室`
                     });
                 }
-            }
+            });
         } else {
             logger.info(`未认证用户断开连接: ${socket.id}`);
         }
 
         // 从在线用户中移除
         onlineUsers.delete(socket.id);
+
+        // 最后一个连接断开时记录最后在线时间并通知其他用户
+        if (user) {
+            const status = presence.removeSocket(user.id, socket.id);
+            if (status) {
+                User.updateLastSeen(user.id)
+                    .then(lastSeen => broadcastPresence(user.id, status, lastSeen))
+                    .catch(error => logger.error('更新在线状态失败:', error));
+            }
+        }
     });
 });
 
@@ -621,10 +2634,16 @@ async function startServer() {
         await initializeDatabase();
         logger.info('数据库初始化完成');
 
+        // 定期清理未发送和不再被引用的上传文件
+        startOrphanSweeper(uploadsDir);
+
         const PORT = process.env.PORT || 3000;
         server.listen(PORT, '0.0.0.0', () => {
             logger.info(`聊天室服务器运行在 http://0.0.0.0:${PORT}`);
             logger.info(`环境: ${process.env.NODE_ENV || 'development'}`);
+            if (!APP_BASE_URL) {
+                logger.warn('未配置 APP_BASE_URL，通过邮件找回密码功能不可用');
+            }
         });
     } catch (error) {
         logger.error('服务器启动失败:', error);
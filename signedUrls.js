@@ -0,0 +1,62 @@
+/**
+ * 上传文件的签名链接
+ * 用于在无法携带登录cookie的场景中嵌入图片，链接到期后失效
+ */
+
+const crypto = require('crypto');
+
+// 签名密钥，未单独配置时复用会话密钥
+const SIGNING_SECRET = process.env.UPLOAD_SIGNING_SECRET || process.env.SESSION_SECRET || 'chatroom-secret-key-2024';
+
+// 默认有效期和最长有效期（秒）
+const DEFAULT_TTL = parseInt(process.env.SIGNED_URL_TTL_SECONDS) || 60 * 60;
+const MAX_TTL = 7 * 24 * 60 * 60;
+
+/**
+ * 计算文件名和过期时间的签名
+ * @param {string} fileName - 存储文件名
+ * @param {number} expires - 过期时间（Unix秒）
+ * @returns {string} 十六进制签名
+ */
+function computeSignature(fileName, expires) {
+    return crypto.createHmac('sha256', SIGNING_SECRET).update(`${fileName}:${expires}`).digest('hex');
+}
+
+/**
+ * 生成上传文件的签名链接
+ * @param {string} fileName - 存储文件名
+ * @param {number} [ttl] - 有效期（秒），超出上限时按上限处理
+ * @returns {Object} { url, expiresAt }
+ */
+function signUploadUrl(fileName, ttl) {
+    const seconds = Math.min(Math.max(parseInt(ttl) || DEFAULT_TTL, 1), MAX_TTL);
+    const expires = Math.floor(Date.now() / 1000) + seconds;
+    const signature = computeSignature(fileName, expires);
+    return {
+        url: `/uploads/${encodeURIComponent(fileName)}?expires=${expires}&signature=${signature}`,
+        expiresAt: new Date(expires * 1000).toISOString()
+    };
+}
+
+/**
+ * 校验签名链接
+ * @param {string} fileName - 存储文件名
+ * @param {string} expires - 链接中的过期时间
+ * @param {string} signature - 链接中的签名
+ * @returns {boolean} 签名有效且未过期时返回true
+ */
+function verifyUploadSignature(fileName, expires, signature) {
+    const expiresAt = parseInt(expires);
+    if (isNaN(expiresAt) || expiresAt < Date.now() / 1000 || typeof signature !== 'string') {
+        return false;
+    }
+    const expected = Buffer.from(computeSignature(fileName, expiresAt), 'hex');
+    const actual = Buffer.from(signature, 'hex');
+    // 长度不同时 timingSafeEqual 会抛出错误
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+module.exports = {
+    signUploadUrl,
+    verifyUploadSignature
+};
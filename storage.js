@@ -0,0 +1,157 @@
+/**
+ * 上传文件存储管理
+ * 记录每个存储的文件（所有者、大小、内容哈希），相同内容只保留一份，
+ * 检查用户和聊天室的存储配额，并定期清理不再被引用的文件
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Attachment, StoredFile } = require('./database');
+const logger = require('./logger');
+
+// 存储配额（可通过环境变量调整）
+const USER_STORAGE_QUOTA = (parseInt(process.env.USER_STORAGE_QUOTA_MB) || 200) * 1024 * 1024;
+const ROOM_STORAGE_QUOTA = (parseInt(process.env.ROOM_STORAGE_QUOTA_MB) || 1024) * 1024 * 1024;
+
+// 上传后未发送的文件保留多久（小时），以及清理任务的执行间隔（分钟）
+const ORPHAN_GRACE_HOURS = parseInt(process.env.ORPHAN_UPLOAD_GRACE_HOURS) || 24;
+const SWEEP_INTERVAL_MINUTES = parseInt(process.env.ORPHAN_SWEEP_INTERVAL_MINUTES) || 60;
+
+/**
+ * 计算文件的 SHA-256 哈希
+ * @param {string} filePath - 文件路径
+ * @returns {Promise<string>} 十六进制哈希
+ */
+function hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        fs.createReadStream(filePath)
+            .on('error', reject)
+            .on('data', chunk => hash.update(chunk))
+            .on('end', () => resolve(hash.digest('hex')));
+    });
+}
+
+/**
+ * 检查上传后是否超出用户和聊天室的存储配额
+ * @param {number} userId - 上传者ID
+ * @param {number|null} chatroomId - 聊天室ID，为空时（例如上传头像）只检查个人配额
+ * @param {number} size - 本次上传的字节数
+ * @returns {Promise<string|null>} 超出配额时返回错误信息，否则返回null
+ */
+async function checkQuota(userId, chatroomId, size) {
+    const userUsage = await Attachment.getUserUsage(userId);
+    if (userUsage + size > USER_STORAGE_QUOTA) {
+        return `个人存储空间不足（上限 ${Math.round(USER_STORAGE_QUOTA / 1024 / 1024)}MB），请删除不需要的文件后重试`;
+    }
+    if (!chatroomId) {
+        return null;
+    }
+    const roomUsage = await Attachment.getRoomUsage(chatroomId);
+    if (roomUsage + size > ROOM_STORAGE_QUOTA) {
+        return `该聊天室的存储空间已满（上限 ${Math.round(ROOM_STORAGE_QUOTA / 1024 / 1024)}MB）`;
+    }
+    return null;
+}
+
+/**
+ * 登记新写入上传目录的文件
+ * 已有相同内容且扩展名相同的文件时删除新文件，返回已有文件的文件名
+ * （扩展名决定了提供文件时的类型，不同扩展名的文件不合并）
+ * @param {string} filePath - 新文件路径
+ * @param {number} ownerId - 上传者ID
+ * @returns {Promise<string>} 最终使用的文件名
+ */
+async function storeFile(filePath, ownerId) {
+    const name = path.basename(filePath);
+    const sha256 = await hashFile(filePath);
+
+    const existing = await StoredFile.findByHash(sha256);
+    if (existing && path.extname(existing.name) === path.extname(name)) {
+        if (fs.existsSync(path.join(path.dirname(filePath), existing.name))) {
+            await StoredFile.touch(existing.id);
+            await fs.promises.unlink(filePath);
+            return existing.name;
+        }
+        // 记录存在但文件已丢失，用新文件替换旧记录
+        await StoredFile.delete(existing.id);
+    }
+
+    const { size } = await fs.promises.stat(filePath);
+    await StoredFile.create({ name, sha256, size, owner_id: ownerId });
+    return name;
+}
+
+/**
+ * 清理孤立的上传文件
+ * 1. 删除超过宽限期仍未发送的附件记录
+ * 2. 删除不再被任何附件或消息引用的文件
+ * 3. 上传目录中没有记录的文件：仍被引用的补登记，否则删除（例如中断的上传留下的临时文件）
+ * @param {string} uploadsDir - 上传目录
+ * @returns {Promise<Object>} { expiredAttachments, removedFiles, registeredFiles }
+ */
+async function sweepOrphanUploads(uploadsDir) {
+    const expiredAttachments = await Attachment.deleteExpiredUnsent(ORPHAN_GRACE_HOURS);
+    let removedFiles = 0;
+    let registeredFiles = 0;
+
+    const unreferenced = await StoredFile.getUnreferenced(ORPHAN_GRACE_HOURS);
+    for (const file of unreferenced) {
+        await StoredFile.delete(file.id);
+        await fs.promises.unlink(path.join(uploadsDir, file.name)).catch(() => {});
+        removedFiles++;
+    }
+
+    const cutoff = Date.now() - ORPHAN_GRACE_HOURS * 60 * 60 * 1000;
+    const names = await fs.promises.readdir(uploadsDir);
+    const known = await StoredFile.findExistingNames(names);
+    for (const name of names) {
+        if (known.has(name)) {
+            continue;
+        }
+        const filePath = path.join(uploadsDir, name);
+        const stat = await fs.promises.stat(filePath).catch(() => null);
+        if (!stat || !stat.isFile() || stat.mtimeMs > cutoff) {
+            continue;
+        }
+        if (await StoredFile.isReferenced(name)) {
+            // 存储记录上线前的文件只补登记，内容相同的旧文件不再合并
+            await StoredFile.create({ name, sha256: await hashFile(filePath), size: stat.size, owner_id: null })
+                .catch(error => logger.error(`登记上传文件 ${name} 失败:`, error));
+            registeredFiles++;
+        } else {
+            await fs.promises.unlink(filePath).catch(() => {});
+            removedFiles++;
+        }
+    }
+
+    return { expiredAttachments, removedFiles, registeredFiles };
+}
+
+/**
+ * 启动定期清理任务
+ * @param {string} uploadsDir - 上传目录
+ */
+function startOrphanSweeper(uploadsDir) {
+    const run = async () => {
+        try {
+            const result = await sweepOrphanUploads(uploadsDir);
+            if (result.expiredAttachments || result.removedFiles || result.registeredFiles) {
+                logger.info(`清理上传文件：过期附件 ${result.expiredAttachments} 个，删除文件 ${result.removedFiles} 个，补登记文件 ${result.registeredFiles} 个`);
+            }
+        } catch (error) {
+            logger.error('清理上传文件失败:', error);
+        }
+    };
+    run();
+    // 不阻止进程退出
+    setInterval(run, SWEEP_INTERVAL_MINUTES * 60 * 1000).unref();
+}
+
+module.exports = {
+    checkQuota,
+    storeFile,
+    sweepOrphanUploads,
+    startOrphanSweeper
+};